@@ -0,0 +1,31 @@
+/**
+ * Metrics Middleware
+ * Records every HTTP request in the request counter and duration histogram
+ */
+
+const metrics = require('../utils/metrics');
+
+/**
+ * Records the method, route and status code of each request once its response is sent
+ * Requests are labelled with the route pattern (e.g. /api/documents/:id) rather than the URL,
+ * so ids don't create a series each; requests that matched no route are labelled "unmatched".
+ */
+const recordHttpMetrics = (req, res, next) => {
+  const endTimer = metrics.httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode
+    };
+    metrics.httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+module.exports = {
+  recordHttpMetrics
+};
@@ -0,0 +1,66 @@
+/**
+ * Request Context Middleware
+ * Assigns each request an id, runs the rest of the request in its context and logs completed requests
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { runWithRequestId } = require('../utils/requestContext');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('http');
+
+// Ids accepted from the X-Request-Id header; anything else is replaced with a generated id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Takes the request id from the X-Request-Id header or generates one, echoes it in the response
+ * and makes it available to everything the request calls (see utils/requestContext.js)
+ */
+const assignRequestId = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+  const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : uuidv4();
+
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+  runWithRequestId(requestId, next);
+};
+
+/**
+ * Re-enters the request's context after middleware that calls next from stream callbacks
+ * (e.g. multer), which run outside the context assignRequestId set up
+ */
+const restoreRequestContext = (req, res, next) => {
+  runWithRequestId(req.requestId, next);
+};
+
+/**
+ * Logs each request once its response is sent
+ */
+const logRequests = (req, res, next) => {
+  const startTime = Date.now();
+
+  res.on('finish', () => {
+    const fields = {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Date.now() - startTime
+    };
+    // The response may finish outside the request's async context, so the id is passed explicitly
+    runWithRequestId(req.requestId, () => {
+      if (res.statusCode >= 500) {
+        logger.error('Request completed', fields);
+      } else {
+        logger.info('Request completed', fields);
+      }
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  assignRequestId,
+  restoreRequestContext,
+  logRequests
+};
@@ -5,22 +5,29 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('upload_middleware');
+
+// Largest accepted upload; large enough for long PDFs (e.g. several hundred pages)
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB || '50', 10);
+const MAX_UPLOAD_BYTES = MAX_UPLOAD_MB * 1024 * 1024;
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
 
 /**
  * Ensures the uploads directory exists
  */
 const ensureUploadsDir = (req, res, next) => {
   try {
-    const uploadsDir = path.join(__dirname, '../../uploads');
-    
-    if (!fs.existsSync(uploadsDir)) {
-      console.log('[LOG upload_middleware] ========= Creating uploads directory');
-      fs.mkdirSync(uploadsDir, { recursive: true });
+    if (!fs.existsSync(UPLOADS_DIR)) {
+      logger.info('Creating uploads directory');
+      fs.mkdirSync(UPLOADS_DIR, { recursive: true });
     }
     
     next();
   } catch (error) {
-    console.error('[LOG upload_middleware] ========= Error ensuring uploads directory exists:', error);
+    logger.error('Error ensuring uploads directory exists', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to ensure uploads directory exists'
@@ -28,18 +35,49 @@ const ensureUploadsDir = (req, res, next) => {
   }
 };
 
+/**
+ * Removes files left in the uploads directory by a previous run
+ * Uploads only live until their indexing job is done with them, and a restart fails every unfinished job,
+ * so at startup none of them is still needed.
+ * @param {string} uploadsDir - Directory to sweep
+ * @returns {number} - Number of files removed
+ */
+const removeOrphanedUploads = (uploadsDir = UPLOADS_DIR) => {
+  if (!fs.existsSync(uploadsDir)) {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const entry of fs.readdirSync(uploadsDir, { withFileTypes: true })) {
+    if (!entry.isFile()) {
+      continue;
+    }
+    try {
+      fs.unlinkSync(path.join(uploadsDir, entry.name));
+      removed++;
+    } catch (error) {
+      logger.error(`Error removing orphaned upload ${entry.name}`, { error });
+    }
+  }
+
+  if (removed > 0) {
+    logger.info(`Removed ${removed} orphaned uploads`);
+  }
+  return removed;
+};
+
 /**
  * Handles file upload errors
  */
 const handleUploadErrors = (err, req, res, next) => {
   if (err) {
-    console.error('[LOG upload_middleware] ========= File upload error:', err);
+    logger.error('File upload error', { error: err });
     
     // Handle file size limit exceeded
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        error: 'File size limit exceeded (10MB maximum)'
+        error: `File size limit exceeded (${MAX_UPLOAD_MB}MB maximum)`
       });
     }
     
@@ -62,6 +100,9 @@ const handleUploadErrors = (err, req, res, next) => {
 };
 
 module.exports = {
+  MAX_UPLOAD_BYTES,
+  UPLOADS_DIR,
   ensureUploadsDir,
+  removeOrphanedUploads,
   handleUploadErrors
 }; 
\ No newline at end of file
@@ -0,0 +1,338 @@
+/**
+ * Collection Routes
+ * Endpoints for managing knowledge bases (named collections)
+ */
+
+const express = require('express');
+const router = express.Router();
+const collectionService = require('../services/collectionService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('collection_routes');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Collection:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Collection name
+ *         description:
+ *           type: string
+ *           description: Human readable description
+ *         exists:
+ *           type: boolean
+ *           description: Whether the collection exists in the vector store yet
+ *         vectorCount:
+ *           type: integer
+ *           description: Number of vectors (chunks) in the collection
+ *         documentCount:
+ *           type: integer
+ *           description: Number of documents indexed into the collection
+ *         chunking:
+ *           $ref: '#/components/schemas/ChunkingOptions'
+ *         embedding:
+ *           $ref: '#/components/schemas/EmbeddingInfo'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     EmbeddingInfo:
+ *       type: object
+ *       description: >
+ *         Embedder the collection was built with. Indexing into or searching the collection by vector
+ *         similarity with a different embedder is refused with 409.
+ *       properties:
+ *         provider:
+ *           type: string
+ *           example: openai
+ *         model:
+ *           type: string
+ *           example: text-embedding-ada-002
+ *         dimensions:
+ *           type: integer
+ *           example: 1536
+ *     ChunkingOptions:
+ *       type: object
+ *       description: >
+ *         How documents are cut into chunks. Unset fields fall back to the collection's settings, then to the
+ *         strategy's defaults (1000 characters with 200 overlap, or 250 tokens with 50 overlap for the token strategy).
+ *       properties:
+ *         strategy:
+ *           type: string
+ *           enum: [recursive, sentence, token, markdown]
+ *           description: >
+ *             recursive splits by paragraphs, then lines, sentences and words; sentence packs whole sentences;
+ *             token packs words by estimated tokens; markdown never crosses headings and records section paths
+ *         chunkSize:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20000
+ *           description: Maximum chunk size in characters (estimated tokens for the token strategy)
+ *         chunkOverlap:
+ *           type: integer
+ *           minimum: 0
+ *           description: Overlap between consecutive chunks, in whole pieces (same unit as chunkSize)
+ */
+
+/**
+ * @swagger
+ * /api/rag/collections:
+ *   get:
+ *     summary: List knowledge bases
+ *     description: Returns all knowledge bases with their vector and document counts
+ *     tags: [Collections]
+ *     responses:
+ *       200:
+ *         description: List of knowledge bases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 collections:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Collection'
+ *       500:
+ *         description: Server error
+ */
+router.get('/rag/collections', async (req, res) => {
+  try {
+    const result = await collectionService.listCollections();
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error listing collections', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/collections:
+ *   post:
+ *     summary: Create a knowledge base
+ *     description: Creates a named collection that documents can be indexed into and chats can search
+ *     tags: [Collections]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 1-64 letters, digits, underscores or dashes
+ *                 example: hr_handbook
+ *               description:
+ *                 type: string
+ *                 description: Optional description
+ *               chunking:
+ *                 $ref: '#/components/schemas/ChunkingOptions'
+ *     responses:
+ *       201:
+ *         description: Knowledge base created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 collection:
+ *                   $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Invalid collection name or chunking options
+ *       409:
+ *         description: Collection already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/rag/collections', async (req, res) => {
+  try {
+    const { name, description, chunking } = req.body || {};
+    const result = await collectionService.createCollection({ name, description, chunking });
+
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error creating collection', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/collections/{name}:
+ *   get:
+ *     summary: Get a knowledge base
+ *     description: Returns a knowledge base with its vector and document counts
+ *     tags: [Collections]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collection name
+ *     responses:
+ *       200:
+ *         description: Knowledge base details
+ *       404:
+ *         description: Collection not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/rag/collections/:name', async (req, res) => {
+  try {
+    const result = await collectionService.getCollection(req.params.name);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error getting collection', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/collections/{name}:
+ *   patch:
+ *     summary: Update a knowledge base
+ *     description: >
+ *       Updates a knowledge base's description and default chunking options. New chunking options apply to
+ *       documents indexed afterwards; send `"chunking": null` to go back to the global defaults.
+ *     tags: [Collections]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collection name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               chunking:
+ *                 $ref: '#/components/schemas/ChunkingOptions'
+ *     responses:
+ *       200:
+ *         description: Knowledge base updated
+ *       400:
+ *         description: Invalid chunking options
+ *       404:
+ *         description: Collection not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/rag/collections/:name', async (req, res) => {
+  try {
+    const { description, chunking } = req.body || {};
+    const result = await collectionService.updateCollection(req.params.name, { description, chunking });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error updating collection', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/collections/{name}:
+ *   delete:
+ *     summary: Delete a knowledge base
+ *     description: Deletes a knowledge base, all of its vectors and its document records
+ *     tags: [Collections]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collection name
+ *     responses:
+ *       200:
+ *         description: Knowledge base deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 name:
+ *                   type: string
+ *                 documentsDeleted:
+ *                   type: integer
+ *       404:
+ *         description: Collection not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/rag/collections/:name', async (req, res) => {
+  try {
+    logger.info('Deleting collection', { collectionName: req.params.name });
+    const result = await collectionService.deleteCollection(req.params.name);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error deleting collection', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+/**
+ * Conversation Routes
+ * Endpoints for managing multi-turn chat sessions
+ */
+
+const express = require('express');
+const router = express.Router();
+const ragService = require('../services/ragService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('conversation_routes');
+
+/**
+ * @swagger
+ * /api/rag/conversations:
+ *   post:
+ *     summary: Create a conversation
+ *     description: Starts a new server-side chat session. Pass its conversationId to /api/rag/chat to ask follow-up questions.
+ *     tags: [Conversations]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Optional title for the conversation
+ *     responses:
+ *       201:
+ *         description: Conversation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 conversation:
+ *                   type: object
+ *                   properties:
+ *                     conversationId:
+ *                       type: string
+ *                     title:
+ *                       type: string
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *       500:
+ *         description: Server error
+ */
+router.post('/rag/conversations', async (req, res) => {
+  try {
+    const { title } = req.body || {};
+    const result = await ragService.createConversation({ title });
+
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error creating conversation', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/conversations/{id}:
+ *   get:
+ *     summary: Get a conversation
+ *     description: Returns a conversation with its full message history
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Conversation and its messages
+ *       404:
+ *         description: Conversation not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/rag/conversations/:id', async (req, res) => {
+  try {
+    const result = await ragService.getConversation(req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error getting conversation', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/conversations/{id}:
+ *   delete:
+ *     summary: Delete a conversation
+ *     description: Deletes a conversation and its message history
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Conversation deleted
+ *       404:
+ *         description: Conversation not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/rag/conversations/:id', async (req, res) => {
+  try {
+    const result = await ragService.deleteConversation(req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error deleting conversation', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+/**
+ * Document Routes
+ * Endpoints for listing, inspecting and deleting indexed documents
+ */
+
+const express = require('express');
+const router = express.Router();
+const ragService = require('../services/ragService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('document_routes');
+
+/**
+ * @swagger
+ * /api/rag/documents:
+ *   get:
+ *     summary: List indexed documents
+ *     description: Returns all documents that have been indexed
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: query
+ *         name: collection
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only list documents in this knowledge base
+ *     responses:
+ *       200:
+ *         description: List of indexed documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   description: Whether the request was successful
+ *                 count:
+ *                   type: integer
+ *                   description: Number of documents
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       documentId:
+ *                         type: string
+ *                       filename:
+ *                         type: string
+ *                       fileType:
+ *                         type: string
+ *                       collectionName:
+ *                         type: string
+ *                       logicalName:
+ *                         type: string
+ *                         description: Name that versions of the document are tracked under
+ *                       version:
+ *                         type: integer
+ *                       status:
+ *                         type: string
+ *                         enum: [processing, indexed, failed, superseded]
+ *                         description: superseded versions were replaced by a newer upload and have no chunks
+ *                       checksum:
+ *                         type: string
+ *                         description: SHA-256 of the file content
+ *                       chunksCount:
+ *                         type: integer
+ *                       metadata:
+ *                         type: object
+ *                         description: User metadata supplied when the document was indexed
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       500:
+ *         description: Server error
+ */
+router.get('/rag/documents', async (req, res) => {
+  try {
+    const result = await ragService.listDocuments({ collection: req.query.collection });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error listing documents', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/documents/{id}:
+ *   get:
+ *     summary: Get a document
+ *     description: Returns a document's metadata and all of its indexed chunks
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document metadata and chunks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 document:
+ *                   type: object
+ *                   description: Document metadata
+ *                 versions:
+ *                   type: array
+ *                   description: All versions of the logical document, newest first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       documentId:
+ *                         type: string
+ *                       version:
+ *                         type: integer
+ *                       status:
+ *                         type: string
+ *                       checksum:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 chunks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       chunkIndex:
+ *                         type: integer
+ *                       contentHash:
+ *                         type: string
+ *                         description: SHA-256 of the chunk content
+ *                       content:
+ *                         type: string
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/rag/documents/:id', async (req, res) => {
+  try {
+    const result = await ragService.getDocument(req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error getting document', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/documents/{id}:
+ *   delete:
+ *     summary: Delete a document
+ *     description: Deletes a document and all vector store points whose document_id matches
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 documentId:
+ *                   type: string
+ *                 chunksDeleted:
+ *                   type: integer
+ *                   description: Number of chunks removed from the vector store
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/rag/documents/:id', async (req, res) => {
+  try {
+    logger.info('Deleting document', { documentId: req.params.id });
+    const result = await ragService.deleteDocument(req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error deleting document', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+/**
+ * Job Routes
+ * Endpoints for tracking and cancelling background indexing jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobService = require('../services/jobService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('job_routes');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         jobId:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *           description: X-Request-Id of the request that enqueued the job; the job's log lines carry it
+ *         type:
+ *           type: string
+ *           enum: [index, repair-embeddings]
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *         stage:
+ *           type: string
+ *           enum: [queued, fetching, extracting, chunking, embedding, storing, done]
+ *           description: Current pipeline stage
+ *         progress:
+ *           type: object
+ *           properties:
+ *             chunksDone:
+ *               type: integer
+ *             chunksTotal:
+ *               type: integer
+ *         documentId:
+ *           type: string
+ *         filename:
+ *           type: string
+ *         collectionName:
+ *           type: string
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: Indexing result once the job has finished
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/rag/jobs:
+ *   get:
+ *     summary: List jobs
+ *     description: Returns background jobs, newest first
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *         description: Only list jobs with this status
+ *     responses:
+ *       200:
+ *         description: List of jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid status filter
+ *       500:
+ *         description: Server error
+ */
+router.get('/rag/jobs', async (req, res) => {
+  try {
+    const result = await jobService.listJobs({ status: req.query.status });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error listing jobs', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/jobs/{id}:
+ *   get:
+ *     summary: Get a job
+ *     description: Returns a job's status, stage, chunk progress, error and final result
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/rag/jobs/:id', async (req, res) => {
+  try {
+    const result = await jobService.getJob(req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error getting job', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a job
+ *     description: >
+ *       Cancels a queued or running job. Running jobs stop at the next stage or embedding batch
+ *       boundary, before anything is written to the vector store.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Cancellation accepted
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has already finished
+ *       500:
+ *         description: Server error
+ */
+router.post('/rag/jobs/:id/cancel', async (req, res) => {
+  try {
+    logger.info('Cancelling job', { jobId: req.params.id });
+    const result = await jobService.cancelJob(req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.statusCode || 500).json(result);
+    }
+  } catch (error) {
+    logger.error('Error cancelling job', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * Metrics Routes
+ * Prometheus scrape endpoint
+ */
+
+const express = require('express');
+const router = express.Router();
+const metrics = require('../utils/metrics');
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Get Prometheus metrics
+ *     description: >
+ *       Returns counters and histograms in the Prometheus text exposition format: HTTP requests per route,
+ *       indexing duration per stage, documents and chunks indexed, embedding and LLM call latency, errors
+ *       and retries, embedding cache usage, vector search latency, retrieval result counts and mock
+ *       embedding fallbacks. Values are kept in memory and reset when the server restarts.
+ *     tags: [Status]
+ *     responses:
+ *       200:
+ *         description: Metrics in the Prometheus text format
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+router.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.registry.render());
+});
+
+module.exports = router;
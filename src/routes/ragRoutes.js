@@ -7,9 +7,15 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const ragService = require('../services/ragService');
-const { ensureUploadsDir, handleUploadErrors } = require('../middlewares/uploadMiddleware');
+const jobService = require('../services/jobService');
+const { MAX_UPLOAD_BYTES, ensureUploadsDir, handleUploadErrors } = require('../middlewares/uploadMiddleware');
+const { restoreRequestContext } = require('../middlewares/requestContextMiddleware');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('rag_routes');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -25,14 +31,20 @@ const storage = multer.diskStorage({
 
 // File filter to allow only supported file types
 const fileFilter = (req, file, cb) => {
-  // Accept PDF, DOCX, PPT, and images
-  const allowedFileTypes = ['.pdf', '.docx', '.doc', '.pptx', '.ppt', '.jpg', '.jpeg', '.png', '.txt'];
+  // Accept PDF, DOCX, PPTX, Markdown, HTML, CSV, JSON, EPUB, text and images
+  const allowedFileTypes = [
+    '.pdf', '.docx', '.doc', '.pptx', '.jpg', '.jpeg', '.png', '.txt',
+    '.md', '.markdown', '.html', '.htm', '.csv', '.json', '.epub'
+  ];
   const ext = path.extname(file.originalname).toLowerCase();
   
-  if (allowedFileTypes.includes(ext)) {
+  if (ext === '.ppt') {
+    // Legacy binary presentations cannot be parsed; reject them instead of indexing a placeholder
+    cb(new Error('Unsupported file type. Legacy PowerPoint (.ppt) files are not supported; please save the presentation as .pptx.'), false);
+  } else if (allowedFileTypes.includes(ext)) {
     cb(null, true);
   } else {
-    cb(new Error('Unsupported file type. Only PDF, DOCX, PPT, images, and text files are allowed.'), false);
+    cb(new Error('Unsupported file type. Only PDF, DOCX, PPTX, Markdown, HTML, CSV, JSON, EPUB, images, and text files are allowed.'), false);
   }
 };
 
@@ -40,18 +52,201 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({ 
   storage,
   fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB file size limit
+  limits: { fileSize: MAX_UPLOAD_BYTES }
 });
 
+/**
+ * Parses a multipart form field holding a JSON object (multipart fields are always strings)
+ * @param {Object} req - Express request
+ * @param {string} name - Field name
+ * @returns {Object} - { value } (undefined if the field was not sent), or { error } if it is not valid JSON
+ */
+const parseJsonField = (req, name) => {
+  try {
+    return { value: req.body[name] ? JSON.parse(req.body[name]) : undefined };
+  } catch (error) {
+    return { error: `${name} must be a JSON object` };
+  }
+};
+
+/**
+ * Responds to an indexing (or embedding repair) request: 202 with the enqueued job, or with `?wait=true`
+ * the final result once the job has finished
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of enqueueing the indexing job
+ */
+const respondWithIndexingJob = async (req, res, result) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 500).json(result);
+  }
+  
+  if (req.query.wait !== 'true') {
+    return res.status(202).json(result);
+  }
+  
+  // Synchronous mode: respond with the indexing result once the job finishes
+  const { success, job } = await jobService.waitForJob(result.jobId);
+  res.status(success ? 200 : (job.result && job.result.statusCode) || 500).json({
+    ...job.result,
+    success,
+    jobId: job.jobId,
+    ...(!success && { error: job.error })
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchFilters:
+ *       type: object
+ *       description: >
+ *         Restricts retrieval to chunks matching every given filter. Applies to vector, keyword and hybrid search.
+ *       properties:
+ *         documentIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only chunks of these documents
+ *         fileTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only chunks of these file types (e.g. pdf, docx, markdown)
+ *           example: [pdf, docx]
+ *         createdAfter:
+ *           type: string
+ *           format: date-time
+ *           description: Only documents indexed at or after this time
+ *         createdBefore:
+ *           type: string
+ *           format: date-time
+ *           description: Only documents indexed at or before this time
+ *         metadata:
+ *           type: object
+ *           description: >
+ *             User metadata supplied at upload. Each key must match the given value, or one of the values
+ *             when an array is given (array metadata matches if any element does)
+ *           example: { team: hr, year: [2023, 2024] }
+ */
+
+/**
+ * Picks the chat options shared by the chat endpoints from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Chat options
+ */
+const chatOptions = (body) => {
+  const { conversationId, collection, searchMode, topK, candidates, stages, mmrLambda, filters, model, temperature, maxTokens } = body;
+  return { conversationId, collection, searchMode, topK, candidates, stages, mmrLambda, filters, model, temperature, maxTokens };
+};
+
+/**
+ * Checks whether the client asked for a Server-Sent Events response
+ * @param {Object} req - Express request
+ * @returns {boolean} - True if the Accept header includes text/event-stream
+ */
+const wantsEventStream = (req) => {
+  return (req.headers.accept || '').includes('text/event-stream');
+};
+
+/**
+ * Writes a single Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload (serialized as JSON)
+ */
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Streams a chat response as Server-Sent Events:
+ * `contexts` (retrieved contexts), `delta` (text deltas), then `done` (usage and timing) or `error`
+ * The response only switches to an event stream once the request has been validated, so invalid options
+ * and unknown collections or conversations get the same JSON 400/404 as a non-streaming chat request.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} query - User query
+ * @param {Object} options - Chat options (e.g. conversationId)
+ */
+const streamChat = async (req, res, query, options = {}) => {
+  const startStream = () => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+  };
+
+  // Stop generating if the client goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info('Client disconnected from chat stream');
+      abortController.abort();
+    }
+  });
+
+  const result = await ragService.streamChatResponse(query, {
+    ...options,
+    onStart: startStream,
+    onContexts: contexts => sendEvent(res, 'contexts', { contexts }),
+    onDelta: content => sendEvent(res, 'delta', { content }),
+    signal: abortController.signal
+  });
+
+  if (abortController.signal.aborted) {
+    return;
+  }
+
+  if (!res.headersSent) {
+    return res.status(result.statusCode || 500).json(result);
+  }
+
+  if (result.success) {
+    sendEvent(res, 'done', {
+      query: result.query,
+      collection: result.collection,
+      searchMode: result.searchMode,
+      conversationId: result.conversationId,
+      standaloneQuery: result.standaloneQuery,
+      response: result.response,
+      citations: result.citations,
+      invalidCitations: result.invalidCitations,
+      llm: result.llm,
+      degraded: result.degraded,
+      degradedReasons: result.degradedReasons,
+      usage: result.usage,
+      timing: result.timing
+    });
+  } else {
+    sendEvent(res, 'error', { error: result.error, statusCode: result.statusCode || 500, response: result.response });
+  }
+  res.end();
+};
+
 /**
  * @swagger
  * /api/rag/index:
  *   post:
  *     summary: Index a document
- *     description: Upload and process a document for RAG
+ *     description: >
+ *       Upload a document and enqueue a background job that extracts, chunks, embeds and stores it.
+ *       Returns 202 with a job ID immediately; poll /api/rag/jobs/{id} for progress.
+ *       Pass `wait=true` to block until indexing has finished and get the final result instead.
  *     tags: [RAG]
  *     consumes:
  *       - multipart/form-data
+ *     parameters:
+ *       - in: query
+ *         name: wait
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Wait for indexing to finish before responding
  *     requestBody:
  *       required: true
  *       content:
@@ -64,10 +259,50 @@ const upload = multer({
  *               document:
  *                 type: string
  *                 format: binary
- *                 description: Document to index (PDF, DOCX, PPT, image, or text file)
+ *                 description: Document to index (PDF, DOCX, PPTX, Markdown, HTML, CSV, JSON, EPUB, image, or text file). Legacy .ppt files are rejected.
+ *               collection:
+ *                 type: string
+ *                 description: Knowledge base to index into (defaults to global_documents)
+ *               metadata:
+ *                 type: string
+ *                 description: JSON object of user metadata stored with the document and its chunks
+ *                 example: '{"team": "hr", "year": 2024}'
+ *               chunking:
+ *                 type: string
+ *                 description: JSON object of chunking options (see ChunkingOptions), overriding the collection's settings
+ *                 example: '{"strategy": "sentence", "chunkSize": 800, "chunkOverlap": 100}'
+ *               name:
+ *                 type: string
+ *                 description: >
+ *                   Logical document name that versions are tracked under (defaults to the filename).
+ *                   Re-uploading the same content is skipped; a changed file replaces the previous version.
+ *                 example: employee-handbook
  *     responses:
+ *       202:
+ *         description: Indexing job enqueued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 jobId:
+ *                   type: string
+ *                   description: Job to poll at /api/rag/jobs/{id}
+ *                 status:
+ *                   type: string
+ *                   example: queued
+ *                 documentId:
+ *                   type: string
+ *                   description: ID the document will have once indexed
+ *                 collectionName:
+ *                   type: string
+ *                 filename:
+ *                   type: string
  *       200:
- *         description: Document indexed successfully
+ *         description: Document indexed successfully (wait=true)
  *         content:
  *           application/json:
  *             schema:
@@ -77,24 +312,76 @@ const upload = multer({
  *                   type: boolean
  *                   description: Whether the request was successful
  *                   example: true
+ *                 jobId:
+ *                   type: string
+ *                   description: Job that performed the indexing
+ *                 documentId:
+ *                   type: string
+ *                   description: ID of the indexed document
  *                 collectionName:
  *                   type: string
  *                   description: Collection name in vector store
+ *                 action:
+ *                   type: string
+ *                   enum: [created, replaced, unchanged]
+ *                   description: >
+ *                     created for a new logical document, replaced when a changed file superseded the previous
+ *                     version, unchanged when the current version already has the same content and chunking
+ *                     (documentId is then the existing document's ID and nothing is re-indexed)
+ *                 logicalName:
+ *                   type: string
+ *                   description: Logical document name
+ *                 version:
+ *                   type: integer
+ *                   description: Version of the logical document
+ *                 replacedDocumentId:
+ *                   type: string
+ *                   description: ID of the superseded version (replaced only)
  *                 documentCount:
  *                   type: integer
  *                   description: Number of chunks indexed
+ *                 chunksIndexed:
+ *                   type: integer
+ *                   description: Number of chunks indexed (same as documentCount)
+ *                 chunksSkipped:
+ *                   type: integer
+ *                   description: Chunks left out because of the MAX_CHUNKS_PER_DOCUMENT limit
+ *                 chunksTotal:
+ *                   type: integer
+ *                   description: Number of chunks the document produced
+ *                 chunksMockEmbedded:
+ *                   type: integer
+ *                   description: Chunks stored with mock embeddings because the embedding provider failed (never in strict mode)
+ *                 warning:
+ *                   type: string
+ *                   description: Present when chunks were skipped
+ *                 embeddingWarning:
+ *                   type: string
+ *                   description: Present when chunks were stored with mock embeddings
+ *                 supersedeWarning:
+ *                   type: string
+ *                   description: >
+ *                     Present when the previous version's chunks could not be removed; the new version is indexed
+ *                     and the previous one stays searchable until the next version is indexed
  *                 filename:
  *                   type: string
  *                   description: Original filename
  *       400:
- *         description: Invalid request or file type
+ *         description: Invalid request, file type or collection name
+ *       404:
+ *         description: Collection not found
+ *       409:
+ *         description: The collection was built with a different embedder than the one configured
  *       500:
  *         description: Server error
+ *       502:
+ *         description: The embedding provider failed in strict mode (wait=true)
  */
 router.post('/rag/index', 
   ensureUploadsDir, 
   upload.single('document'), 
   handleUploadErrors,
+  restoreRequestContext,
   async (req, res) => {
     try {
       // Basic validation
@@ -105,18 +392,375 @@ router.post('/rag/index',
         });
       }
       
-      console.log(`[LOG rag_routes] ========= Indexing document:`, req.file.originalname);
+      logger.info('Indexing document', { filename: req.file.originalname });
       
-      // Process the document
-      const result = await ragService.indexDocument(req.file);
+      const metadata = parseJsonField(req, 'metadata');
+      const chunking = parseJsonField(req, 'chunking');
+      if (metadata.error || chunking.error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+          success: false,
+          error: metadata.error || chunking.error
+        });
+      }
+      
+      // Enqueue the document for background processing
+      const result = await ragService.enqueueIndexDocument(req.file, {
+        collection: req.body.collection,
+        metadata: metadata.value,
+        chunking: chunking.value,
+        name: req.body.name
+      });
+      await respondWithIndexingJob(req, res, result);
+    } catch (error) {
+      logger.error('Error indexing document', { error });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rag/index/text:
+ *   post:
+ *     summary: Index raw text
+ *     description: >
+ *       Enqueues a background job that indexes text submitted as JSON, using the same chunking, embedding
+ *       and document registry as uploads. The title is used as the document's filename.
+ *       Returns 202 with a job ID, or the final result with `wait=true`.
+ *     tags: [RAG]
+ *     parameters:
+ *       - in: query
+ *         name: wait
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Wait for indexing to finish before responding
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: >
+ *                   Document title (defaults to "Untitled document"). Submitting text with the title of an indexed
+ *                   document replaces that document; untitled texts are always indexed as new documents.
+ *                 example: Leave policy
+ *               text:
+ *                 type: string
+ *                 description: Document text
+ *               metadata:
+ *                 type: object
+ *                 description: User metadata stored with the document and its chunks
+ *                 example: { "team": "hr" }
+ *               collection:
+ *                 type: string
+ *                 description: Knowledge base to index into (defaults to global_documents)
+ *               chunking:
+ *                 $ref: '#/components/schemas/ChunkingOptions'
+ *     responses:
+ *       202:
+ *         description: Indexing job enqueued
+ *       200:
+ *         description: Text indexed successfully (wait=true)
+ *       400:
+ *         description: Missing text, invalid metadata, chunking options or collection name
+ *       404:
+ *         description: Collection not found
+ *       409:
+ *         description: The collection was built with a different embedder than the one configured
+ *       500:
+ *         description: Server error
+ */
+router.post('/rag/index/text', async (req, res) => {
+  try {
+    const { title, text, metadata, collection, chunking } = req.body || {};
+    logger.info('Indexing text', { title: title || 'Untitled document' });
+    
+    const result = await ragService.enqueueIndexText({ title, text, metadata, collection, chunking });
+    await respondWithIndexingJob(req, res, result);
+  } catch (error) {
+    logger.error('Error indexing text', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/index/url:
+ *   post:
+ *     summary: Index a URL
+ *     description: >
+ *       Enqueues a background job that fetches a URL and indexes it with the URL as its source_file.
+ *       HTML pages are stripped to their readable text (scripts, styles, navigation and footers are dropped);
+ *       PDF, DOCX, PPTX, EPUB, Markdown, CSV, JSON and plain text responses are processed like uploads.
+ *       Returns 202 with a job ID, or the final result with `wait=true`.
+ *     tags: [RAG]
+ *     parameters:
+ *       - in: query
+ *         name: wait
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Wait for indexing to finish before responding
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: http or https URL to fetch
+ *                 example: https://example.com/handbook.html
+ *               metadata:
+ *                 type: object
+ *                 description: User metadata stored with the document and its chunks
+ *               collection:
+ *                 type: string
+ *                 description: Knowledge base to index into (defaults to global_documents)
+ *               chunking:
+ *                 $ref: '#/components/schemas/ChunkingOptions'
+ *     responses:
+ *       202:
+ *         description: Indexing job enqueued
+ *       200:
+ *         description: URL indexed successfully (wait=true)
+ *       400:
+ *         description: >
+ *           Invalid URL, metadata, chunking options or collection name, or a URL whose host (or a redirect's host)
+ *           resolves to a loopback, private, link-local or otherwise non-public address
+ *       404:
+ *         description: Collection not found
+ *       409:
+ *         description: The collection was built with a different embedder than the one configured
+ *       500:
+ *         description: Server error, or the URL could not be fetched (wait=true)
+ */
+router.post('/rag/index/url', async (req, res) => {
+  try {
+    const { url, metadata, collection, chunking } = req.body || {};
+    logger.info('Indexing URL', { url });
+    
+    const result = await ragService.enqueueIndexUrl({ url, metadata, collection, chunking });
+    await respondWithIndexingJob(req, res, result);
+  } catch (error) {
+    logger.error('Error indexing URL', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/collections/{name}/repair-embeddings:
+ *   post:
+ *     summary: Repair mock embeddings
+ *     description: >
+ *       Enqueues a background job that re-embeds the collection's chunks that were stored with mock embeddings
+ *       (tagged `embedding_mock` when the embedding provider failed outside strict mode). Repaired chunks keep their
+ *       IDs and lose the tag; if the provider still fails, the job fails and the chunks are left as they were.
+ *       Returns 202 with a job ID, or the final result with `wait=true`.
+ *     tags: [RAG]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collection name
+ *       - in: query
+ *         name: wait
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Wait for the repair to finish before responding
+ *     responses:
+ *       202:
+ *         description: Repair job enqueued
+ *       200:
+ *         description: Chunks repaired (wait=true)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 collectionName:
+ *                   type: string
+ *                 chunksRepaired:
+ *                   type: integer
+ *                   description: Number of chunks that were re-embedded
+ *                 documentIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Documents the repaired chunks belong to
+ *                 jobId:
+ *                   type: string
+ *       400:
+ *         description: Invalid collection name
+ *       404:
+ *         description: Collection not found
+ *       409:
+ *         description: The collection was built with a different embedder than the one configured
+ *       502:
+ *         description: The embedding provider still fails (wait=true)
+ */
+router.post('/rag/collections/:name/repair-embeddings', async (req, res) => {
+  try {
+    logger.info('Repairing embeddings in collection', { collectionName: req.params.name });
+    
+    const result = await ragService.enqueueRepairEmbeddings(req.params.name);
+    await respondWithIndexingJob(req, res, result);
+  } catch (error) {
+    logger.error('Error repairing embeddings', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/chunks/preview:
+ *   post:
+ *     summary: Preview chunking
+ *     description: >
+ *       Extracts and chunks an uploaded document (multipart) or submitted text (JSON) without embedding or
+ *       storing anything, to tune chunking options. The collection's chunking settings apply unless overridden.
+ *     tags: [RAG]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - document
+ *             properties:
+ *               document:
+ *                 type: string
+ *                 format: binary
+ *               collection:
+ *                 type: string
+ *                 description: Knowledge base whose chunking settings apply (defaults to global_documents)
+ *               chunking:
+ *                 type: string
+ *                 description: JSON object of chunking options (see ChunkingOptions)
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *               collection:
+ *                 type: string
+ *                 description: Knowledge base whose chunking settings apply (defaults to global_documents)
+ *               chunking:
+ *                 $ref: '#/components/schemas/ChunkingOptions'
+ *     responses:
+ *       200:
+ *         description: Chunks the document would be indexed as
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 collectionName:
+ *                   type: string
+ *                 fileType:
+ *                   type: string
+ *                 chunking:
+ *                   $ref: '#/components/schemas/ChunkingOptions'
+ *                 chunkCount:
+ *                   type: integer
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     minLength:
+ *                       type: integer
+ *                     maxLength:
+ *                       type: integer
+ *                     averageLength:
+ *                       type: integer
+ *                 chunks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       content:
+ *                         type: string
+ *                       length:
+ *                         type: integer
+ *                       estimatedTokens:
+ *                         type: integer
+ *                       metadata:
+ *                         type: object
+ *                         description: Chunk metadata (chunk_index, char_start, char_end, page, section_path, ...)
+ *       400:
+ *         description: Missing document or text, or invalid chunking options or collection name
+ *       404:
+ *         description: Collection not found
+ *       500:
+ *         description: Server error, e.g. the document could not be extracted
+ */
+router.post('/rag/chunks/preview',
+  ensureUploadsDir,
+  upload.single('document'),
+  handleUploadErrors,
+  restoreRequestContext,
+  async (req, res) => {
+    try {
+      // Uploads send chunking as a JSON string field; JSON requests send an object
+      const chunking = req.file ? parseJsonField(req, 'chunking') : { value: req.body.chunking };
+      if (chunking.error) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+          success: false,
+          error: chunking.error
+        });
+      }
+      
+      const result = await ragService.previewChunks({
+        file: req.file,
+        text: req.body.text,
+        collection: req.body.collection,
+        chunking: chunking.value
+      });
       
       if (result.success) {
         res.json(result);
       } else {
-        res.status(500).json(result);
+        res.status(result.statusCode || 500).json(result);
       }
     } catch (error) {
-      console.error('[LOG rag_routes] ========= Error indexing document:', error);
+      logger.error('Error previewing chunks', { error });
       res.status(500).json({
         success: false,
         error: error.message
@@ -130,7 +774,9 @@ router.post('/rag/index',
  * /api/rag/chat:
  *   post:
  *     summary: Generate chat response
- *     description: Generate a response based on all indexed documents
+ *     description: >
+ *       Generate a response based on the documents indexed in a knowledge base.
+ *       Send `Accept: text/event-stream` to receive the response as Server-Sent Events (see /api/rag/chat/stream).
  *     tags: [RAG]
  *     requestBody:
  *       required: true
@@ -144,6 +790,57 @@ router.post('/rag/index',
  *               query:
  *                 type: string
  *                 description: User query
+ *               conversationId:
+ *                 type: string
+ *                 description: Optional conversation to continue (see /api/rag/conversations)
+ *               collection:
+ *                 type: string
+ *                 description: Knowledge base to search (defaults to global_documents)
+ *               searchMode:
+ *                 type: string
+ *                 enum: [vector, keyword, hybrid]
+ *                 description: >
+ *                   Retrieval mode: embedding similarity, BM25 keyword scoring, or both fused with
+ *                   reciprocal rank fusion (defaults to DEFAULT_SEARCH_MODE, normally vector)
+ *               topK:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *                 description: Number of contexts passed to the LLM (default 5)
+ *               candidates:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 description: Candidates retrieved before the post-retrieval stages (defaults to RERANK_CANDIDATES, normally 20)
+ *               stages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [dedupe, rerank, mmr]
+ *                 description: >
+ *                   Post-retrieval stages: remove near-duplicate chunks, re-rank by LLM-judged relevance,
+ *                   and diversify with maximal marginal relevance. An empty array returns the top results as
+ *                   retrieved (defaults to DEFAULT_RERANK_STAGES, normally dedupe and mmr)
+ *               mmrLambda:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *                 description: MMR trade-off between relevance (1) and diversity (0) (defaults to MMR_LAMBDA, normally 0.7)
+ *               filters:
+ *                 $ref: '#/components/schemas/SearchFilters'
+ *               model:
+ *                 type: string
+ *                 description: LLM model to use instead of the configured LLM_MODEL
+ *               temperature:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 2
+ *                 description: Sampling temperature (defaults to LLM_TEMPERATURE, normally 0.7)
+ *               maxTokens:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 4096
+ *                 description: Maximum tokens to generate (defaults to LLM_MAX_TOKENS, normally 500)
  *     responses:
  *       200:
  *         description: Chat response generated successfully
@@ -158,18 +855,145 @@ router.post('/rag/index',
  *                 query:
  *                   type: string
  *                   description: The original query
+ *                 collection:
+ *                   type: string
+ *                   description: Knowledge base that was searched
+ *                 searchMode:
+ *                   type: string
+ *                   description: Retrieval mode that was used
+ *                 conversationId:
+ *                   type: string
+ *                   description: Conversation the turn was recorded in (only when conversationId was sent)
+ *                 standaloneQuery:
+ *                   type: string
+ *                   description: Follow-up question rewritten as a standalone query and used for retrieval
  *                 response:
  *                   type: string
- *                   description: Generated response
+ *                   description: Generated response, citing contexts with [n] markers
+ *                 citations:
+ *                   type: array
+ *                   description: One entry per context cited in the response
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       marker:
+ *                         type: integer
+ *                         description: Number used in the response's [n] markers
+ *                       documentId:
+ *                         type: string
+ *                       chunkId:
+ *                         type: string
+ *                       chunkIndex:
+ *                         type: integer
+ *                       filename:
+ *                         type: string
+ *                       page:
+ *                         type: integer
+ *                         description: Page number, when known
+ *                       slide:
+ *                         type: integer
+ *                         description: Slide number, when known
+ *                       sectionPath:
+ *                         type: string
+ *                         description: Heading path, e.g. "Setup > Linux", when known
+ *                 invalidCitations:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   description: Markers pointing to contexts that were not provided (removed from the response)
+ *                 llm:
+ *                   type: object
+ *                   description: LLM provider and model that generated the response
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                       enum: [openai, openai-compatible, mock]
+ *                     model:
+ *                       type: string
+ *                       description: Model the provider reports having used, which can differ from the requested model
+ *                     baseUrl:
+ *                       type: string
+ *                 degraded:
+ *                   type: boolean
+ *                   description: Whether the response was produced in degraded or mock mode
+ *                 degradedReasons:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     enum: [mock_query_embedding, mock_embedded_contexts, condense_failed, rerank_failed, mock_llm]
+ *                   description: >
+ *                     Why the response is degraded: the query got a random mock embedding, some contexts were stored
+ *                     with mock embeddings (see POST /api/rag/collections/{name}/repair-embeddings), the LLM could
+ *                     not condense the follow-up question or re-rank the contexts, or the answer came from the mock
+ *                     LLM provider. Only present when degraded.
+ *                 cached:
+ *                   type: boolean
+ *                   description: >
+ *                     Whether the answer came from the answer cache (ANSWER_CACHE_ENABLED) because a similar question
+ *                     with the same options was answered against the same, unchanged documents
+ *                 cachedFrom:
+ *                   type: object
+ *                   description: The cached question that was matched (only present when cached)
+ *                   properties:
+ *                     query:
+ *                       type: string
+ *                     similarity:
+ *                       type: number
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
  *                 contexts:
  *                   type: array
  *                   items:
  *                     type: object
+ *                     properties:
+ *                       marker:
+ *                         type: integer
+ *                         description: Number the response uses to cite this context
+ *                       content:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                         description: Ranking score (cosine similarity, BM25 score, or fused RRF score)
+ *                       vectorScore:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Cosine similarity, or null if not found by vector search
+ *                       keywordScore:
+ *                         type: number
+ *                         nullable: true
+ *                         description: BM25 score, or null if not found by keyword search
+ *                       rerankScore:
+ *                         type: number
+ *                         description: LLM-judged relevance from 0 to 1 (only when the rerank stage ran)
+ *                       source:
+ *                         type: string
+ *                       page:
+ *                         type: integer
+ *                         description: PDF page number, when known
+ *                       slide:
+ *                         type: integer
+ *                         description: Slide number, when known
+ *                       sectionPath:
+ *                         type: string
+ *                         description: Heading path of the section the chunk belongs to, when known
+ *                       charStart:
+ *                         type: integer
+ *                         description: Start offset of the chunk in the document's extracted text
+ *                       charEnd:
+ *                         type: integer
+ *                         description: End offset (exclusive) of the chunk in the document's extracted text
  *                   description: Contexts used for generation
  *       400:
  *         description: Invalid request parameters
+ *       404:
+ *         description: Conversation or collection not found
+ *       409:
+ *         description: The collection was built with a different embedder (vector and hybrid search)
  *       500:
  *         description: Server error
+ *       502:
+ *         description: The LLM provider failed, or the query could not be embedded in strict mode (the error names the provider and model)
  */
 router.post('/rag/chat', async (req, res) => {
   try {
@@ -183,18 +1007,26 @@ router.post('/rag/chat', async (req, res) => {
       });
     }
     
-    console.log(`[LOG rag_routes] ========= Generating chat response for query: "${query}"`);
+    if (wantsEventStream(req)) {
+      return await streamChat(req, res, query, chatOptions(req.body));
+    }
+    
+    logger.debug('Chat request received', { query });
     
     // Generate response
-    const result = await ragService.generateChatResponse(query);
+    const result = await ragService.generateChatResponse(query, chatOptions(req.body));
     
     if (result.success) {
       res.json(result);
     } else {
-      res.status(500).json(result);
+      res.status(result.statusCode || 500).json(result);
     }
   } catch (error) {
-    console.error('[LOG rag_routes] ========= Error generating chat response:', error);
+    logger.error('Error generating chat response', { error });
+    if (res.headersSent) {
+      sendEvent(res, 'error', { error: error.message });
+      return res.end();
+    }
     res.status(500).json({
       success: false,
       error: error.message,
@@ -203,4 +1035,125 @@ router.post('/rag/chat', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/rag/chat/stream:
+ *   post:
+ *     summary: Stream chat response
+ *     description: >
+ *       Generate a response based on the documents indexed in a knowledge base and stream it as Server-Sent Events.
+ *       Events are emitted in order: `contexts` (retrieved contexts), `delta` (one per text fragment),
+ *       then `done` (full response, token usage and timing) or `error`.
+ *     tags: [RAG]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - query
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 description: User query
+ *               conversationId:
+ *                 type: string
+ *                 description: Optional conversation to continue (see /api/rag/conversations)
+ *               collection:
+ *                 type: string
+ *                 description: Knowledge base to search (defaults to global_documents)
+ *               searchMode:
+ *                 type: string
+ *                 enum: [vector, keyword, hybrid]
+ *                 description: >
+ *                   Retrieval mode: embedding similarity, BM25 keyword scoring, or both fused with
+ *                   reciprocal rank fusion (defaults to DEFAULT_SEARCH_MODE, normally vector)
+ *               topK:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *                 description: Number of contexts passed to the LLM (default 5)
+ *               candidates:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 description: Candidates retrieved before the post-retrieval stages (defaults to RERANK_CANDIDATES, normally 20)
+ *               stages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [dedupe, rerank, mmr]
+ *                 description: >
+ *                   Post-retrieval stages: remove near-duplicate chunks, re-rank by LLM-judged relevance,
+ *                   and diversify with maximal marginal relevance. An empty array returns the top results as
+ *                   retrieved (defaults to DEFAULT_RERANK_STAGES, normally dedupe and mmr)
+ *               mmrLambda:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *                 description: MMR trade-off between relevance (1) and diversity (0) (defaults to MMR_LAMBDA, normally 0.7)
+ *               filters:
+ *                 $ref: '#/components/schemas/SearchFilters'
+ *               model:
+ *                 type: string
+ *                 description: LLM model to use instead of the configured LLM_MODEL
+ *               temperature:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 2
+ *                 description: Sampling temperature (defaults to LLM_TEMPERATURE, normally 0.7)
+ *               maxTokens:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 4096
+ *                 description: Maximum tokens to generate (defaults to LLM_MAX_TOKENS, normally 500)
+ *     responses:
+ *       200:
+ *         description: Server-Sent Events stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: contexts
+ *                 data: {"contexts":[{"marker":1,"content":"...","score":0.82,"vectorScore":0.82,"keywordScore":null,"source":"handbook.pdf"}]}
+ *
+ *                 event: delta
+ *                 data: {"content":"Based "}
+ *
+ *                 event: done
+ *                 data: {"query":"...","response":"... [1]","citations":[{"marker":1,"documentId":"...","chunkId":"...","chunkIndex":0,"filename":"handbook.pdf"}],"invalidCitations":[],"llm":{"provider":"openai","model":"gpt-3.5-turbo"},"degraded":false,"usage":{"promptTokens":412,"completionTokens":57,"totalTokens":469,"estimated":true},"timing":{"retrievalMs":120,"generationMs":1840,"totalMs":1960}}
+ *       400:
+ *         description: Invalid request parameters (returned as JSON, before the stream starts)
+ *       404:
+ *         description: Collection or conversation not found (returned as JSON, before the stream starts)
+ */
+router.post('/rag/chat/stream', async (req, res) => {
+  try {
+    const { query } = req.body;
+    
+    // Basic validation
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query is required'
+      });
+    }
+    
+    logger.debug('Chat stream request received', { query });
+    await streamChat(req, res, query, chatOptions(req.body));
+  } catch (error) {
+    logger.error('Error streaming chat response', { error });
+    if (res.headersSent) {
+      sendEvent(res, 'error', { error: error.message });
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -6,6 +6,9 @@
 const express = require('express');
 const router = express.Router();
 const ragService = require('../services/ragService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('status_routes');
 
 /**
  * @swagger
@@ -28,12 +31,83 @@ const ragService = require('../services/ragService');
  *                 status:
  *                   type: object
  *                   properties:
- *                     qdrantConnected:
+ *                     vectorStoreProvider:
+ *                       type: string
+ *                       enum: [qdrant, local]
+ *                       description: Vector store backend in use
+ *                     vectorStoreConnected:
  *                       type: boolean
  *                       description: Whether the vector store is connected
+ *                     qdrantConnected:
+ *                       type: boolean
+ *                       description: Whether the Qdrant backend is in use and connected
  *                     openaiAvailable:
  *                       type: boolean
  *                       description: Whether the OpenAI API is available
+ *                     llmProvider:
+ *                       type: string
+ *                       description: LLM provider answering chat requests (openai, openai-compatible or mock)
+ *                     llmModel:
+ *                       type: string
+ *                       description: Default LLM model
+ *                     embeddingProvider:
+ *                       type: string
+ *                       description: Embedding provider (openai, openai-compatible or hashing)
+ *                     embeddingModel:
+ *                       type: string
+ *                       description: Embedding model
+ *                     embeddingDimensions:
+ *                       type: integer
+ *                       description: Length of the embedding vectors
+ *                     embeddingCache:
+ *                       type: object
+ *                       description: Embedding cache counters since startup (or the last clear)
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         embedder:
+ *                           type: string
+ *                           description: Provider, model and dimensions the cached entries belong to
+ *                           example: openai:text-embedding-ada-002:1536
+ *                         hits:
+ *                           type: integer
+ *                         misses:
+ *                           type: integer
+ *                         memoryHits:
+ *                           type: integer
+ *                         diskHits:
+ *                           type: integer
+ *                         hitRate:
+ *                           type: number
+ *                           nullable: true
+ *                         memoryEntries:
+ *                           type: integer
+ *                         maxMemoryEntries:
+ *                           type: integer
+ *                         diskEntries:
+ *                           type: integer
+ *                           description: Entries persisted for the current embedder
+ *                         maxDiskEntries:
+ *                           type: integer
+ *                           description: Disk limit (EMBEDDING_CACHE_DISK_MAX_ENTRIES), 0 for none
+ *                     answerCache:
+ *                       type: object
+ *                       description: Answer cache counters since startup
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         threshold:
+ *                           type: number
+ *                           description: Query similarity needed for a hit
+ *                         hits:
+ *                           type: integer
+ *                         misses:
+ *                           type: integer
+ *                         invalidations:
+ *                           type: integer
+ *                           description: Times a collection's answers were dropped because its documents changed
+ *                         entries:
+ *                           type: integer
  *                     globalCollection:
  *                       type: object
  *                       properties:
@@ -46,11 +120,29 @@ const ragService = require('../services/ragService');
  *                         vectorCount:
  *                           type: integer
  *                           description: Number of vectors in the collection
+ *                     collections:
+ *                       type: array
+ *                       description: Per-knowledge-base stats
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                           exists:
+ *                             type: boolean
+ *                           vectorCount:
+ *                             type: integer
+ *                           documentCount:
+ *                             type: integer
+ *                           embedding:
+ *                             $ref: '#/components/schemas/EmbeddingInfo'
  *                     indexedDocuments:
  *                       type: array
  *                       items:
  *                         type: object
- *                       description: List of indexed documents
+ *                       description: Documents from the persistent registry (id, filename, type, chunk count, checksum, status, timestamps)
  *       500:
  *         description: Error getting system status
  *         content:
@@ -70,7 +162,45 @@ router.get('/status', async (req, res) => {
     const status = await ragService.getSystemStatus();
     res.json(status);
   } catch (error) {
-    console.error('[LOG status_routes] ========= Error getting system status:', error);
+    logger.error('Error getting system status', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/status/embedding-cache:
+ *   delete:
+ *     summary: Clear the embedding cache
+ *     description: >
+ *       Removes every cached embedding from memory and disk and resets the hit/miss counters.
+ *       Entries of other embedders are already dropped automatically when the embedding model changes.
+ *     tags: [Status]
+ *     responses:
+ *       200:
+ *         description: Cache cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 entriesCleared:
+ *                   type: integer
+ *                   description: Number of entries that were held in memory
+ *       500:
+ *         description: Error clearing the cache
+ */
+router.delete('/status/embedding-cache', async (req, res) => {
+  try {
+    const result = await ragService.clearEmbeddingCache();
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    logger.error('Error clearing embedding cache', { error });
     res.status(500).json({
       success: false,
       error: error.message
@@ -6,20 +6,30 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const morgan = require('morgan');
 const path = require('path');
 const fs = require('fs');
 const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const { createLogger } = require('./utils/logger');
+
+const logger = createLogger('server');
 
 // Import routes
 const statusRoutes = require('./routes/statusRoutes');
 const ragRoutes = require('./routes/ragRoutes');
+const documentRoutes = require('./routes/documentRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const { recordHttpMetrics } = require('./middlewares/metricsMiddleware');
+const { assignRequestId, logRequests } = require('./middlewares/requestContextMiddleware');
+const { removeOrphanedUploads } = require('./middlewares/uploadMiddleware');
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../uploads');
 if (!fs.existsSync(uploadsDir)) {
-  console.log(`[LOG server] ========= Creating uploads directory at ${uploadsDir}`);
+  logger.info(`Creating uploads directory at ${uploadsDir}`);
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
@@ -28,8 +38,10 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
-app.use(morgan('dev'));
+app.use(assignRequestId); // X-Request-Id, logged with every line written while serving the request
+app.use(logRequests);
+app.use(recordHttpMetrics);
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' })); // Large enough for text submitted for indexing
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
@@ -60,6 +72,13 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 // Routes
 app.use('/api', statusRoutes);
 app.use('/api', ragRoutes);
+app.use('/api', documentRoutes);
+app.use('/api', conversationRoutes);
+app.use('/api', collectionRoutes);
+app.use('/api', jobRoutes);
+
+// Prometheus scrape endpoint, at the conventional path outside /api
+app.use('/', metricsRoutes);
 
 // Root redirect to static HTML page
 app.get('/', (req, res) => {
@@ -68,7 +87,7 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(`[LOG server] ========= Unhandled error:`, err);
+  logger.error('Unhandled error', { error: err });
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -76,10 +95,15 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`[LOG server] ========= Server running on port ${PORT}`);
-  console.log(`[LOG server] ========= Swagger docs available at http://localhost:${PORT}/api-docs`);
-});
+// Start server (unless the app is loaded by tests, which listen on a port of their own)
+if (require.main === module) {
+  // Jobs interrupted by the last shutdown never finish, so the uploads they were holding are orphaned
+  removeOrphanedUploads(uploadsDir);
+
+  app.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`);
+    logger.info(`Swagger docs available at http://localhost:${PORT}/api-docs`);
+  });
+}
 
 module.exports = app; // For testing purposes 
\ No newline at end of file
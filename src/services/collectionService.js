@@ -0,0 +1,358 @@
+/**
+ * Collection Service
+ * Manages knowledge bases: named collections in the vector store plus their registry records
+ */
+
+const vectorStore = require('../utils/vectorStore');
+const collectionRegistry = require('../utils/collectionRegistry');
+const documentRegistry = require('../utils/documentRegistry');
+const lexicalIndex = require('../utils/lexicalIndex');
+const embeddingProvider = require('../utils/embeddingProvider');
+const answerCache = require('../utils/answerCache');
+const { validateChunkingOptions, resolveChunkingOptions } = require('../utils/chunking');
+const { createLogger } = require('../utils/logger');
+const { DEFAULT_COLLECTION_NAME } = collectionRegistry;
+
+const logger = createLogger('collection_service');
+
+/**
+ * Resolves the collection a request targets
+ * @param {string} name - Requested collection name (defaults to the global collection)
+ * @returns {Object} - { name } on success, or { error, statusCode } if invalid or unknown
+ */
+const resolveCollection = (name) => {
+  const collectionName = name || DEFAULT_COLLECTION_NAME;
+
+  if (!collectionRegistry.isValidName(collectionName)) {
+    return {
+      statusCode: 400,
+      error: `Invalid collection name "${collectionName}". Use 1-64 letters, digits, underscores or dashes.`
+    };
+  }
+
+  if (!collectionRegistry.get(collectionName)) {
+    return {
+      statusCode: 404,
+      error: `Collection not found: ${collectionName}`
+    };
+  }
+
+  return { name: collectionName };
+};
+
+/**
+ * Gets the chunking options for a document indexed into a collection
+ * @param {string} name - Collection name
+ * @param {Object} overrides - Chunking options from the request, overriding the collection's settings
+ * @returns {{strategy: string, chunkSize: number, chunkOverlap: number}} - Chunking options
+ */
+const getChunkingOptions = (name, overrides) => {
+  const record = collectionRegistry.get(name);
+  return resolveChunkingOptions(record && record.chunking, overrides);
+};
+
+/**
+ * Describes an embedder for error messages
+ * @param {Object} embedding - Embedder description ({ provider, model, dimensions })
+ * @returns {string} - e.g. "openai model text-embedding-ada-002 (1536 dimensions)"
+ */
+const describeEmbedding = ({ provider, model, dimensions }) => `${provider} model ${model} (${dimensions} dimensions)`;
+
+/**
+ * Checks that a collection was built with the configured embedder
+ * Vectors from different models (or of different sizes) are not comparable, so searching or adding to a
+ * collection built with another embedder would return meaningless results or fail in the vector store.
+ * Collections indexed before embedders were recorded are checked by their vector size only.
+ * @param {string} name - Collection name
+ * @returns {Promise<Object|null>} - { statusCode, error } if the embedders differ, or null
+ */
+const checkEmbeddingCompatibility = async (name) => {
+  const current = embeddingProvider.describe();
+  const record = collectionRegistry.get(name);
+  const recorded = record && record.embedding;
+
+  if (recorded) {
+    if (recorded.provider === current.provider && recorded.model === current.model && recorded.dimensions === current.dimensions) {
+      return null;
+    }
+    return {
+      statusCode: 409,
+      error: `Collection "${name}" was built with ${describeEmbedding(recorded)}, but the configured embedder is ` +
+        `${describeEmbedding(current)}. Configure the original embedder or re-index the collection into a new one.`
+    };
+  }
+
+  const collectionInfo = await vectorStore.getCollection(name);
+  const size = collectionInfo && collectionInfo.config?.params?.vectors?.size;
+  if (size && size !== current.dimensions) {
+    return {
+      statusCode: 409,
+      error: `Collection "${name}" holds ${size}-dimensional vectors, but the configured embedder is ` +
+        `${describeEmbedding(current)}. Configure the original embedder or re-index the collection into a new one.`
+    };
+  }
+  return null;
+};
+
+/**
+ * Records the configured embedder on a collection that has none recorded yet
+ * Call once vectors have been stored, so that later requests can be checked against it.
+ * @param {string} name - Collection name
+ * @returns {Promise<void>}
+ */
+const recordEmbedding = async (name) => {
+  const record = collectionRegistry.get(name);
+  if (record && !record.embedding) {
+    await collectionRegistry.upsert(name, { embedding: embeddingProvider.describe() });
+  }
+};
+
+/**
+ * Gets a collection record together with vector and document counts
+ * @param {Object} record - Collection registry record
+ * @returns {Promise<Object>} - Collection with stats
+ */
+const withStats = async (record) => {
+  let vectorCount = 0;
+  let exists = false;
+
+  const collectionInfo = await vectorStore.getCollection(record.name);
+  if (collectionInfo) {
+    exists = true;
+    vectorCount = collectionInfo.points_count ?? collectionInfo.vectors_count ?? 0;
+  }
+
+  return {
+    ...record,
+    exists,
+    vectorCount,
+    documentCount: documentRegistry.list({ collectionName: record.name }).length
+  };
+};
+
+/**
+ * Lists all knowledge bases with their stats
+ * Collections found in the vector store but missing from the registry are registered on the fly
+ * @returns {Promise<Object>} - Status and collections
+ */
+const listCollections = async () => {
+  try {
+    logger.debug('Listing collections');
+
+    const storeCollections = await vectorStore.listCollections();
+    for (const name of storeCollections) {
+      if (!collectionRegistry.get(name) && collectionRegistry.isValidName(name)) {
+        await collectionRegistry.upsert(name, { description: null });
+      }
+    }
+
+    const collections = await Promise.all(collectionRegistry.list().map(withStats));
+    return {
+      success: true,
+      count: collections.length,
+      collections
+    };
+  } catch (error) {
+    logger.error('Error listing collections', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Creates a knowledge base
+ * @param {Object} params - Collection parameters
+ * @param {string} params.name - Collection name
+ * @param {string} params.description - Optional description
+ * @param {Object} params.chunking - Default chunking options for documents indexed into the collection
+ * @returns {Promise<Object>} - Status and collection
+ */
+const createCollection = async ({ name, description = null, chunking } = {}) => {
+  try {
+    if (!collectionRegistry.isValidName(name)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: 'Collection name is required and may only contain 1-64 letters, digits, underscores or dashes'
+      };
+    }
+
+    const chunkingError = validateChunkingOptions(chunking);
+    if (chunkingError) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: chunkingError
+      };
+    }
+
+    if (collectionRegistry.get(name)) {
+      return {
+        success: false,
+        statusCode: 409,
+        error: `Collection already exists: ${name}`
+      };
+    }
+
+    logger.info(`Creating collection: ${name}`);
+    const embedding = embeddingProvider.describe();
+    const storeResult = await vectorStore.createCollection(name, embedding.dimensions);
+    if (!storeResult.success) {
+      throw new Error(`Failed to create collection: ${storeResult.error}`);
+    }
+
+    const record = await collectionRegistry.upsert(name, { description, ...(chunking && { chunking }), embedding });
+    return {
+      success: true,
+      collection: await withStats(record)
+    };
+  } catch (error) {
+    logger.error('Error creating collection', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Gets a knowledge base with its stats
+ * @param {string} name - Collection name
+ * @returns {Promise<Object>} - Status and collection
+ */
+const getCollection = async (name) => {
+  try {
+    const record = collectionRegistry.get(name);
+    if (!record) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Collection not found: ${name}`
+      };
+    }
+
+    return {
+      success: true,
+      collection: await withStats(record)
+    };
+  } catch (error) {
+    logger.error('Error getting collection', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Updates a knowledge base's description and chunking settings
+ * Chunking settings apply to documents indexed afterwards; existing chunks are not re-chunked.
+ * @param {string} name - Collection name
+ * @param {Object} fields - Fields to update (omitted fields are left unchanged)
+ * @param {string} fields.description - New description
+ * @param {Object|null} fields.chunking - New default chunking options, or null to use the global defaults
+ * @returns {Promise<Object>} - Status and collection
+ */
+const updateCollection = async (name, { description, chunking } = {}) => {
+  try {
+    if (!collectionRegistry.get(name)) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Collection not found: ${name}`
+      };
+    }
+
+    const chunkingError = validateChunkingOptions(chunking);
+    if (chunkingError) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: chunkingError
+      };
+    }
+
+    const record = await collectionRegistry.upsert(name, {
+      ...(description !== undefined && { description }),
+      ...(chunking !== undefined && { chunking })
+    });
+    return {
+      success: true,
+      collection: await withStats(record)
+    };
+  } catch (error) {
+    logger.error('Error updating collection', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Deletes a knowledge base, its vectors and its document records
+ * @param {string} name - Collection name
+ * @returns {Promise<Object>} - Status and number of removed documents
+ */
+const deleteCollection = async (name) => {
+  try {
+    if (!collectionRegistry.get(name)) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Collection not found: ${name}`
+      };
+    }
+
+    logger.info(`Deleting collection: ${name}`);
+
+    // Deleting a collection that was never written to is not an error
+    if (await vectorStore.getCollection(name)) {
+      const deleted = await vectorStore.deleteCollection(name);
+      if (!deleted) {
+        throw new Error(`Failed to delete collection from vector store: ${name}`);
+      }
+    }
+
+    await lexicalIndex.deleteCollection(name);
+    answerCache.invalidate(name);
+    const documentsDeleted = await documentRegistry.removeByCollection(name);
+    await collectionRegistry.remove(name);
+
+    return {
+      success: true,
+      name,
+      documentsDeleted
+    };
+  } catch (error) {
+    logger.error('Error deleting collection', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Gets stats for every registered knowledge base
+ * @returns {Promise<Array<Object>>} - Collections with stats
+ */
+const getCollectionStats = async () => {
+  return Promise.all(collectionRegistry.list().map(withStats));
+};
+
+module.exports = {
+  DEFAULT_COLLECTION_NAME,
+  resolveCollection,
+  getChunkingOptions,
+  checkEmbeddingCompatibility,
+  recordEmbedding,
+  listCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  getCollectionStats
+};
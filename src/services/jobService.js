@@ -0,0 +1,144 @@
+/**
+ * Job Service
+ * Exposes background job status, waiting and cancellation to the API layer
+ */
+
+const jobQueue = require('../utils/jobQueue');
+const { createLogger } = require('../utils/logger');
+const { JOB_STATUS } = jobQueue;
+
+const logger = createLogger('job_service');
+
+/**
+ * Lists jobs, newest first
+ * @param {Object} options - List options
+ * @param {string} options.status - Only list jobs with this status
+ * @returns {Promise<Object>} - Status and jobs
+ */
+const listJobs = async ({ status } = {}) => {
+  try {
+    if (status && !Object.values(JOB_STATUS).includes(status)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: `Invalid status "${status}". Expected one of: ${Object.values(JOB_STATUS).join(', ')}`
+      };
+    }
+
+    const jobs = jobQueue.list({ status });
+    return {
+      success: true,
+      count: jobs.length,
+      jobs
+    };
+  } catch (error) {
+    logger.error('Error listing jobs', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Gets a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - Status and job
+ */
+const getJob = async (jobId) => {
+  try {
+    const job = jobQueue.get(jobId);
+    if (!job) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Job not found: ${jobId}`
+      };
+    }
+
+    return {
+      success: true,
+      job
+    };
+  } catch (error) {
+    logger.error('Error getting job', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Waits for a job to finish
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - Status and finished job
+ */
+const waitForJob = async (jobId) => {
+  try {
+    const job = await jobQueue.waitFor(jobId);
+    if (!job) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Job not found: ${jobId}`
+      };
+    }
+
+    return {
+      success: job.status === JOB_STATUS.COMPLETED,
+      job
+    };
+  } catch (error) {
+    logger.error('Error waiting for job', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Cancels a queued or running job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - Status and job
+ */
+const cancelJob = async (jobId) => {
+  try {
+    const job = jobQueue.get(jobId);
+    if (!job) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Job not found: ${jobId}`
+      };
+    }
+
+    if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)) {
+      return {
+        success: false,
+        statusCode: 409,
+        error: `Job already ${job.status}`,
+        job
+      };
+    }
+
+    return {
+      success: true,
+      job: jobQueue.cancel(jobId)
+    };
+  } catch (error) {
+    logger.error('Error cancelling job', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  listJobs,
+  getJob,
+  waitForJob,
+  cancelJob
+};
@@ -5,103 +5,478 @@
 
 const path = require('path');
 const fs = require('fs');
-const { promisify } = require('util');
+const { promisify, isDeepStrictEqual } = require('util');
 const unlinkAsync = promisify(fs.unlink);
+const writeFileAsync = promisify(fs.writeFile);
 const { v4: uuidv4 } = require('uuid');
 
 const documentProcessor = require('../utils/documentProcessor');
 const vectorStore = require('../utils/vectorStore');
 const contentGenerator = require('../utils/contentGenerator');
+const embeddingProvider = require('../utils/embeddingProvider');
+const embeddingCache = require('../utils/embeddingCache');
+const answerCache = require('../utils/answerCache');
+const documentRegistry = require('../utils/documentRegistry');
+const conversationStore = require('../utils/conversationStore');
+const { resolveCitations } = require('../utils/citations');
+const { validateChunkingOptions } = require('../utils/chunking');
+const { estimateTokens } = require('../utils/tokenCounter');
+const collectionService = require('./collectionService');
+const retrievalService = require('./retrievalService');
+const jobQueue = require('../utils/jobQueue');
+const urlFetcher = require('../utils/urlFetcher');
+const metrics = require('../utils/metrics');
+const { createLogger } = require('../utils/logger');
+const { DOCUMENT_STATUS } = documentRegistry;
 
-// Global collection for all documents
-const GLOBAL_COLLECTION_NAME = 'global_documents';
+const logger = createLogger('rag_service');
 
-// In-memory storage for indexed documents
-const indexedDocuments = new Map();
+// Default collection for documents that don't name a knowledge base
+const GLOBAL_COLLECTION_NAME = collectionService.DEFAULT_COLLECTION_NAME;
+
+// Pending registry load/rebuild, shared by all callers
+let registryReady = null;
+
+/**
+ * Builds a registry record from the payloads of a document's chunks
+ * @param {string} documentId - Document ID
+ * @param {Array<Object>} chunks - Chunks belonging to the document
+ * @param {string} collectionName - Collection the chunks were found in
+ * @returns {Object} - Document record
+ */
+const documentInfoFromChunks = (documentId, chunks, collectionName) => {
+  const { metadata } = chunks[0];
+  return {
+    documentId,
+    filename: metadata.source_file,
+    fileType: metadata.file_type,
+    collectionName,
+    logicalName: metadata.logical_name || metadata.source_file,
+    version: metadata.version || 1,
+    chunksCount: chunks.length,
+    checksum: metadata.checksum || null,
+    metadata: metadata.user_metadata || {},
+    status: DOCUMENT_STATUS.INDEXED,
+    createdAt: metadata.created_at,
+    updatedAt: metadata.created_at
+  };
+};
+
+/**
+ * Loads the document registry, rebuilding it from vector store payloads if no registry file exists
+ * @returns {Promise<void>}
+ */
+const ensureRegistry = () => {
+  if (!registryReady) {
+    registryReady = (async () => {
+      if (documentRegistry.load()) {
+        return;
+      }
+      
+      logger.info('No document registry found, rebuilding from vector store payloads');
+      const records = [];
+      
+      for (const collectionName of await vectorStore.listCollections()) {
+        const points = await vectorStore.getPoints(collectionName);
+        
+        // Group chunks by the document they belong to
+        const chunksByDocument = new Map();
+        for (const point of points) {
+          const documentId = point.metadata.document_id;
+          if (!documentId) {
+            continue;
+          }
+          if (!chunksByDocument.has(documentId)) {
+            chunksByDocument.set(documentId, []);
+          }
+          chunksByDocument.get(documentId).push(point);
+        }
+        
+        for (const [documentId, chunks] of chunksByDocument) {
+          records.push(documentInfoFromChunks(documentId, chunks, collectionName));
+        }
+      }
+      
+      await documentRegistry.importDocuments(records);
+      logger.info(`Rebuilt registry with ${records.length} documents`);
+    })().catch(error => {
+      // Allow the next caller to retry, e.g. once the vector store is reachable
+      registryReady = null;
+      logger.error('Error rebuilding document registry', { error });
+    });
+  }
+  return registryReady;
+};
+
+/**
+ * Deletes an uploaded file once it is no longer needed
+ * @param {string} filePath - Path to the temporary file
+ * @returns {Promise<void>}
+ */
+const removeTemporaryFile = async (filePath) => {
+  try {
+    await unlinkAsync(filePath);
+    logger.debug(`Temporary file deleted: ${filePath}`);
+  } catch (err) {
+    logger.error('Error deleting temporary file', { error: err });
+  }
+};
+
+/**
+ * Writes submitted content to a temporary file in the uploads directory so it can be indexed like an upload
+ * @param {string} content - File content
+ * @param {string} extension - File extension (e.g. ".txt")
+ * @returns {Promise<string>} - Path to the temporary file
+ */
+const createTemporaryFile = async (content, extension) => {
+  fs.mkdirSync(urlFetcher.UPLOADS_DIR, { recursive: true });
+  const filePath = path.join(urlFetcher.UPLOADS_DIR, `text-${uuidv4()}${extension}`);
+  await writeFileAsync(filePath, content, 'utf8');
+  return filePath;
+};
+
+/**
+ * Validates user-supplied document metadata
+ * Keys are 1-64 letters, digits, underscores or dashes; values are strings, numbers, booleans or arrays of them.
+ * @param {*} metadata - Metadata to validate (undefined is allowed)
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateUserMetadata = (metadata) => {
+  if (metadata === undefined || metadata === null) {
+    return null;
+  }
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return 'metadata must be an object';
+  }
+
+  const isScalar = value => ['string', 'number', 'boolean'].includes(typeof value);
+  for (const [key, value] of Object.entries(metadata)) {
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(key)) {
+      return `Invalid metadata key "${key}". Use 1-64 letters, digits, underscores or dashes.`;
+    }
+    if (!isScalar(value) && !(Array.isArray(value) && value.every(isScalar))) {
+      return `Invalid value for metadata key "${key}". Use a string, number, boolean or an array of them.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Removes a replaced document version's chunks and marks its record as superseded
+ * The record is kept so the document's version history stays visible.
+ * @param {Object} record - Registry record of the replaced version
+ * @param {string} supersededBy - ID of the document that replaces it
+ * @returns {Promise<void>}
+ */
+const supersedeVersion = async (record, supersededBy) => {
+  logger.info(`Removing chunks of replaced document ${record.documentId} (version ${record.version || 1})`);
+  const deleteResult = await vectorStore.deletePoints(record.collectionName, { document_id: record.documentId });
+  if (!deleteResult.success) {
+    throw new Error(`Failed to remove chunks of the replaced version: ${deleteResult.error}`);
+  }
+  answerCache.invalidate(record.collectionName);
+  await retrievalService.removeChunks(record.collectionName, { document_id: record.documentId });
+  
+  await documentRegistry.update(record.documentId, {
+    status: DOCUMENT_STATUS.SUPERSEDED,
+    supersededBy
+  });
+};
+
+/**
+ * Supersedes every indexed version of a logical document older than a newly indexed one
+ * Failures are not fatal: the new version is already stored and searchable, so it stays indexed and the older
+ * version stays searchable alongside it until the next changed version is indexed, which retries the cleanup.
+ * @param {string} collectionName - Collection name
+ * @param {string} logicalName - Logical document name
+ * @param {string} documentId - ID of the newly indexed version
+ * @returns {Promise<string|null>} - Warning when an older version could not be superseded, or null
+ */
+const supersedeOlderVersions = async (collectionName, logicalName, documentId) => {
+  const olderVersions = documentRegistry.listVersions(collectionName, logicalName)
+    .filter(doc => doc.status === DOCUMENT_STATUS.INDEXED && doc.documentId !== documentId);
+  
+  const failed = [];
+  for (const record of olderVersions) {
+    try {
+      await supersedeVersion(record, documentId);
+    } catch (error) {
+      logger.warn(`Could not supersede document ${record.documentId}, it stays searchable until the next version is indexed`, { error });
+      failed.push(record.documentId);
+    }
+  }
+  
+  return failed.length > 0
+    ? `The previous version could not be removed and is still searchable (${failed.join(', ')}); it will be retried when the next version is indexed`
+    : null;
+};
 
 /**
  * Performs the RAG indexing process
  * @param {Object} file - The uploaded file object
- * @returns {Promise<Object>} - Status and info
- */
-const indexDocument = async (file) => {
-  try {
-    console.log(`[LOG rag_service] ========= Starting indexing for file: ${file.originalname}`);
-    
-    // Determine file type from extension
-    const fileExtension = path.extname(file.originalname).toLowerCase().substring(1);
-    let fileType;
-    
-    switch (fileExtension) {
-      case 'pdf':
-        fileType = 'pdf';
-        break;
-      case 'docx':
-      case 'doc':
-        fileType = 'docx';
-        break;
-      case 'jpg':
-      case 'jpeg':
-      case 'png':
-        fileType = 'image';
-        break;
-      case 'ppt':
-      case 'pptx':
-        fileType = 'ppt';
-        break;
-      case 'txt':
-        fileType = 'text';
-        break;
-      default:
-        fileType = 'text';
+ * @param {Object} options - Indexing options
+ * @param {string} options.collection - Knowledge base to index into (defaults to the global collection)
+ * @param {string} options.documentId - Document ID to use (generated if not given)
+ * @param {string} options.fileType - File type to use instead of detecting it from the file extension
+ * @param {Object} options.metadata - User metadata stored with the document and its chunks
+ * @param {Object} options.chunking - Chunking options overriding the collection's settings
+ * @param {string} options.name - Logical document name that versions are tracked under (defaults to the filename)
+ * @param {Function} options.onProgress - Called with { stage, chunksDone, chunksTotal } as indexing advances
+ * @param {AbortSignal} options.signal - Optional signal to cancel indexing
+ * @returns {Promise<Object>} - Status and info, including the action taken: `created` for a new logical document,
+ *   `replaced` when a changed file superseded the previous version, or `unchanged` when the current version already
+ *   has the same content and chunking (nothing is re-indexed)
+ */
+const indexDocument = async (file, { collection, documentId: requestedDocumentId, fileType: requestedFileType, metadata: userMetadata = {}, chunking: requestedChunking, name, onProgress = () => {}, signal } = {}) => {
+  let documentId = null;
+  
+  try {
+    logger.info(`Starting indexing for file: ${file.originalname}`);
+    await ensureRegistry();
+    
+    const target = collectionService.resolveCollection(collection);
+    if (target.error) {
+      await removeTemporaryFile(file.path);
+      return {
+        success: false,
+        statusCode: target.statusCode,
+        error: target.error
+      };
+    }
+    const collectionName = target.name;
+    
+    // Vectors from another embedder can't share the collection
+    const embeddingError = await collectionService.checkEmbeddingCompatibility(collectionName);
+    if (embeddingError) {
+      await removeTemporaryFile(file.path);
+      return {
+        success: false,
+        ...embeddingError
+      };
+    }
+    
+    // Determine file type from extension unless the caller already knows it
+    const fileType = requestedFileType || documentProcessor.getFileType(file.originalname);
+    const chunking = collectionService.getChunkingOptions(collectionName, requestedChunking);
+    
+    // Skip files whose content and chunking match the current version of the same logical document
+    const logicalName = name || file.originalname;
+    const checksum = await documentProcessor.computeFileChecksum(file.path);
+    const previous = documentRegistry.getCurrentVersion(collectionName, logicalName);
+    if (previous && previous.checksum === checksum && isDeepStrictEqual(previous.chunking, chunking)) {
+      logger.info(`Document unchanged, skipping indexing: ${logicalName} (version ${previous.version || 1})`);
+      await removeTemporaryFile(file.path);
+      metrics.documentsIndexedTotal.inc({ outcome: 'unchanged' });
+      return {
+        success: true,
+        action: 'unchanged',
+        documentId: previous.documentId,
+        collectionName,
+        logicalName,
+        version: previous.version || 1,
+        documentCount: previous.chunksCount,
+        filename: file.originalname,
+        chunking
+      };
     }
     
     // Generate a document ID
-    const documentId = uuidv4();
+    documentId = requestedDocumentId || uuidv4();
+    
+    // Number after every earlier attempt, so a retry after a failed or cancelled one gets a version of its own
+    const [latest] = documentRegistry.listVersions(collectionName, logicalName)
+      .filter(doc => doc.documentId !== documentId);
+    const version = latest ? (latest.version || 1) + 1 : 1;
     
     // Create metadata for the file
     const metadata = {
       source_file: file.originalname,
       file_type: fileType,
       created_at: new Date().toISOString(),
-      document_id: documentId
+      document_id: documentId,
+      logical_name: logicalName,
+      version,
+      checksum,
+      user_metadata: userMetadata
     };
     
+    // Record the document before processing so failures remain visible
+    await documentRegistry.upsert({
+      documentId,
+      filename: file.originalname,
+      fileType,
+      collectionName,
+      logicalName,
+      version,
+      chunksCount: 0,
+      checksum,
+      metadata: userMetadata,
+      chunking,
+      status: DOCUMENT_STATUS.PROCESSING,
+      createdAt: metadata.created_at
+    });
+    
     // Process the file - extract text, chunk, and generate embeddings
-    console.log(`[LOG rag_service] ========= Processing ${fileType} file: ${file.path}`);
-    const processedDocuments = await documentProcessor.processFile(file.path, fileType, metadata);
-    console.log(`[LOG rag_service] ========= Generated ${processedDocuments.length} chunks with embeddings`);
+    logger.info(`Processing ${fileType} file: ${file.path}`);
+    const { chunks: processedDocuments, chunksTotal, chunksSkipped, chunksMockEmbedded } = await documentProcessor.processFile(file.path, fileType, metadata, undefined, { onProgress, signal, chunking });
+    logger.info(`Generated ${processedDocuments.length} chunks with embeddings`);
     
-    // Store vectors in Qdrant
-    console.log(`[LOG rag_service] ========= Storing vectors in collection: ${GLOBAL_COLLECTION_NAME}`);
-    const storeResult = await vectorStore.addDocuments(GLOBAL_COLLECTION_NAME, processedDocuments);
+    // Last chance to cancel before anything is written to the vector store
+    documentProcessor.throwIfCancelled(signal);
+    onProgress({ stage: 'storing', chunksDone: processedDocuments.length, chunksTotal: processedDocuments.length });
+    
+    // Store vectors in the vector store
+    logger.info(`Storing vectors in collection: ${collectionName}`);
+    const endStoringTimer = metrics.indexingStageDuration.startTimer({ stage: 'storing' });
+    const storeResult = await vectorStore.addDocuments(collectionName, processedDocuments);
+    if (!storeResult.success) {
+      throw new Error(`Failed to store vectors: ${storeResult.error}`);
+    }
+    answerCache.invalidate(collectionName);
+    await retrievalService.indexChunks(collectionName, processedDocuments);
+    endStoringTimer();
+    await collectionService.recordEmbedding(collectionName);
     
     // Delete the temporary file after processing
-    try {
-      await unlinkAsync(file.path);
-      console.log(`[LOG rag_service] ========= Temporary file deleted: ${file.path}`);
-    } catch (err) {
-      console.error(`[LOG rag_service] ========= Error deleting temporary file:`, err);
+    await removeTemporaryFile(file.path);
+    
+    // Mark the document as indexed in the registry
+    await documentRegistry.update(documentId, {
+      chunksCount: processedDocuments.length,
+      chunksSkipped,
+      chunksMockEmbedded,
+      status: DOCUMENT_STATUS.INDEXED
+    });
+    
+    // The new version is searchable, so retire older versions' chunks (including any a failed earlier attempt left behind)
+    const supersedeWarning = previous ? await supersedeOlderVersions(collectionName, logicalName, documentId) : null;
+    
+    metrics.documentsIndexedTotal.inc({ outcome: previous ? 'replaced' : 'created' });
+    metrics.chunksIndexedTotal.inc({}, processedDocuments.length);
+    metrics.chunksSkippedTotal.inc({}, chunksSkipped);
+    return {
+      success: true,
+      action: previous ? 'replaced' : 'created',
+      documentId,
+      collectionName,
+      logicalName,
+      version,
+      ...(previous && { replacedDocumentId: previous.documentId }),
+      documentCount: processedDocuments.length,
+      chunksIndexed: processedDocuments.length,
+      chunksSkipped,
+      chunksTotal,
+      chunksMockEmbedded,
+      ...(chunksSkipped > 0 && {
+        warning: `Only the first ${processedDocuments.length} of ${chunksTotal} chunks were indexed (MAX_CHUNKS_PER_DOCUMENT limit)`
+      }),
+      ...(chunksMockEmbedded > 0 && {
+        embeddingWarning: `${chunksMockEmbedded} chunks were stored with mock embeddings and cannot be found by vector search ` +
+          'until they are repaired (POST /api/rag/collections/{name}/repair-embeddings)'
+      }),
+      ...(supersedeWarning && { supersedeWarning }),
+      filename: file.originalname,
+      chunking
+    };
+  } catch (error) {
+    await removeTemporaryFile(file.path);
+    
+    if (error.cancelled) {
+      // Nothing was stored, so forget the document entirely
+      logger.info(`Indexing cancelled for file: ${file.originalname}`);
+      metrics.documentsIndexedTotal.inc({ outcome: 'cancelled' });
+      if (documentId) {
+        await documentRegistry.remove(documentId)
+          .catch(err => logger.error('Error updating document registry', { error: err }));
+      }
+      return {
+        success: false,
+        cancelled: true,
+        error: error.message
+      };
     }
     
-    // Store document info in memory
-    indexedDocuments.set(documentId, {
+    logger.error('Error indexing document', { error });
+    metrics.documentsIndexedTotal.inc({ outcome: 'failed' });
+    if (documentId) {
+      await documentRegistry.update(documentId, {
+        status: DOCUMENT_STATUS.FAILED,
+        error: error.message
+      }).catch(err => logger.error('Error updating document registry', { error: err }));
+    }
+    return {
+      success: false,
+      ...(error.statusCode && { statusCode: error.statusCode }),
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Enqueues a background job that indexes an uploaded document
+ * @param {Object} file - The uploaded file object
+ * @param {Object} options - Indexing options
+ * @param {string} options.collection - Knowledge base to index into (defaults to the global collection)
+ * @param {string} options.fileType - File type to use instead of detecting it from the file extension
+ * @param {Object} options.metadata - User metadata stored with the document and its chunks
+ * @param {Object} options.chunking - Chunking options overriding the collection's settings
+ * @param {string} options.name - Logical document name that versions are tracked under (defaults to the filename)
+ * @param {string} options.documentId - Document ID to use (generated if not given)
+ * @returns {Promise<Object>} - Status, job ID and the ID the document will get
+ */
+const enqueueIndexDocument = async (file, { collection, fileType, metadata, chunking, name, documentId = uuidv4() } = {}) => {
+  try {
+    // Validate up front so bad requests fail immediately instead of as a failed job
+    const target = collectionService.resolveCollection(collection);
+    const optionsError = validateUserMetadata(metadata) || validateChunkingOptions(chunking) ||
+      (name !== undefined && (typeof name !== 'string' || name.trim().length === 0) ? 'name must be a non-empty string' : null);
+    if (target.error || optionsError) {
+      await removeTemporaryFile(file.path);
+      return {
+        success: false,
+        statusCode: target.error ? target.statusCode : 400,
+        error: target.error || optionsError
+      };
+    }
+    const embeddingError = await collectionService.checkEmbeddingCompatibility(target.name);
+    if (embeddingError) {
+      await removeTemporaryFile(file.path);
+      return {
+        success: false,
+        ...embeddingError
+      };
+    }
+    
+    const job = jobQueue.enqueue({
+      type: 'index',
       documentId,
-      chunksCount: processedDocuments.length,
       filename: file.originalname,
+      collectionName: target.name
+    }, ({ onProgress, signal }) => indexDocument(file, {
+      collection: target.name,
+      documentId,
       fileType,
-      createdAt: new Date().toISOString()
+      metadata,
+      chunking,
+      name: name && name.trim(),
+      onProgress,
+      signal
+    }), {
+      // indexDocument removes the upload once it runs; a job cancelled while queued never gets that far
+      cleanup: () => removeTemporaryFile(file.path)
     });
     
+    logger.info(`Enqueued indexing job ${job.jobId} for file: ${file.originalname}`);
     return {
       success: true,
+      jobId: job.jobId,
+      status: job.status,
       documentId,
-      collectionName: GLOBAL_COLLECTION_NAME,
-      documentCount: processedDocuments.length,
+      collectionName: target.name,
       filename: file.originalname
     };
   } catch (error) {
-    console.error('[LOG rag_service] ========= Error indexing document:', error);
+    logger.error('Error enqueueing indexing job', { error });
     return {
       success: false,
       error: error.message
@@ -109,60 +484,643 @@ const indexDocument = async (file) => {
   }
 };
 
+/**
+ * Enqueues a background job that indexes raw text submitted without a file upload
+ * @param {Object} input - Submitted document
+ * @param {string} input.title - Document title, used as its filename and the logical name versions are tracked under;
+ *   untitled texts are each tracked as a document of their own, so they never replace one another
+ * @param {string} input.text - Document text
+ * @param {Object} input.metadata - User metadata stored with the document and its chunks
+ * @param {string} input.collection - Knowledge base to index into (defaults to the global collection)
+ * @param {Object} input.chunking - Chunking options overriding the collection's settings
+ * @returns {Promise<Object>} - Status, job ID and the ID the document will get
+ */
+const enqueueIndexText = async ({ title, text, metadata, collection, chunking } = {}) => {
+  try {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: 'text is required'
+      };
+    }
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: 'title must be a non-empty string'
+      };
+    }
+    
+    const filePath = await createTemporaryFile(text, '.txt');
+    logger.info(`Indexing submitted text: ${title || 'Untitled document'}`);
+    const documentId = uuidv4();
+    return enqueueIndexDocument({
+      path: filePath,
+      originalname: title ? title.trim() : 'Untitled document'
+    }, { collection, fileType: 'text', metadata, chunking, documentId, ...(!title && { name: documentId }) });
+  } catch (error) {
+    logger.error('Error enqueueing text indexing job', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Enqueues a background job that fetches a URL and indexes its readable content
+ * HTML pages are stripped to their readable text; other documents (PDF, DOCX, Markdown, ...) are
+ * processed like uploads. The URL is used as the document's source_file.
+ * @param {Object} input - Submitted URL
+ * @param {string} input.url - http(s) URL to fetch
+ * @param {Object} input.metadata - User metadata stored with the document and its chunks
+ * @param {string} input.collection - Knowledge base to index into (defaults to the global collection)
+ * @param {Object} input.chunking - Chunking options overriding the collection's settings
+ * @returns {Promise<Object>} - Status, job ID and the ID the document will get
+ */
+const enqueueIndexUrl = async ({ url, metadata, collection, chunking } = {}) => {
+  try {
+    // Checked again for every redirect when the job fetches the URL
+    const urlError = typeof url === 'string' ? await urlFetcher.checkUrlAllowed(url) : 'url must be an absolute http or https URL';
+    if (urlError) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: urlError
+      };
+    }
+    
+    const target = collectionService.resolveCollection(collection);
+    const optionsError = validateUserMetadata(metadata) || validateChunkingOptions(chunking);
+    if (target.error || optionsError) {
+      return {
+        success: false,
+        statusCode: target.error ? target.statusCode : 400,
+        error: target.error || optionsError
+      };
+    }
+    const embeddingError = await collectionService.checkEmbeddingCompatibility(target.name);
+    if (embeddingError) {
+      return {
+        success: false,
+        ...embeddingError
+      };
+    }
+    
+    const documentId = uuidv4();
+    const job = jobQueue.enqueue({
+      type: 'index',
+      documentId,
+      filename: url,
+      collectionName: target.name
+    }, async ({ onProgress, signal }) => {
+      onProgress({ stage: 'fetching', chunksDone: 0, chunksTotal: 0 });
+      let download;
+      try {
+        download = await urlFetcher.downloadToFile(url, { signal });
+      } catch (error) {
+        documentProcessor.throwIfCancelled(signal);
+        throw error;
+      }
+      
+      return indexDocument({ path: download.path, originalname: url }, {
+        collection: target.name,
+        documentId,
+        fileType: download.fileType,
+        metadata,
+        chunking,
+        onProgress,
+        signal
+      });
+    });
+    
+    logger.info(`Enqueued indexing job ${job.jobId} for URL: ${url}`);
+    return {
+      success: true,
+      jobId: job.jobId,
+      status: job.status,
+      documentId,
+      collectionName: target.name,
+      filename: url
+    };
+  } catch (error) {
+    logger.error('Error enqueueing URL indexing job', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Re-embeds the chunks of a collection that were stored with mock embeddings
+ * Runs in strict mode, so chunks only lose their embedding_mock tag once the provider has embedded them.
+ * @param {string} collectionName - Collection name
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with { stage, chunksDone, chunksTotal } as the repair advances
+ * @param {AbortSignal} options.signal - Optional signal to cancel before anything is stored
+ * @returns {Promise<Object>} - Status, number of repaired chunks and the documents they belong to
+ */
+const repairEmbeddings = async (collectionName, { onProgress = () => {}, signal } = {}) => {
+  try {
+    const chunks = await vectorStore.getPoints(collectionName, { embedding_mock: true });
+    const documentIds = [...new Set(chunks.map(chunk => chunk.metadata.document_id).filter(Boolean))];
+    logger.info(`Repairing ${chunks.length} mock-embedded chunks in collection: ${collectionName}`);
+    
+    if (chunks.length > 0) {
+      onProgress({ stage: 'embedding', chunksDone: 0, chunksTotal: chunks.length });
+      const { embeddings } = await documentProcessor.generateEmbeddings(chunks.map(chunk => chunk.content), {
+        signal,
+        strict: true,
+        onProgress: chunksDone => onProgress({ stage: 'embedding', chunksDone, chunksTotal: chunks.length })
+      });
+      
+      documentProcessor.throwIfCancelled(signal);
+      onProgress({ stage: 'storing', chunksDone: chunks.length, chunksTotal: chunks.length });
+      
+      // Same IDs, so the stored points and keyword index entries are overwritten in place
+      const repaired = chunks.map((chunk, index) => {
+        const { original_id, content, embedding_mock, ...metadata } = chunk.metadata;
+        return { id: chunk.id, content: chunk.content, metadata, embedding: embeddings[index] };
+      });
+      const storeResult = await vectorStore.addDocuments(collectionName, repaired);
+      if (!storeResult.success) {
+        throw new Error(`Failed to store vectors: ${storeResult.error}`);
+      }
+      answerCache.invalidate(collectionName);
+      await retrievalService.indexChunks(collectionName, repaired);
+      
+      for (const documentId of documentIds) {
+        if (documentRegistry.get(documentId)) {
+          await documentRegistry.update(documentId, { chunksMockEmbedded: 0 });
+        }
+      }
+    }
+    
+    return {
+      success: true,
+      collectionName,
+      chunksRepaired: chunks.length,
+      documentIds
+    };
+  } catch (error) {
+    if (error.cancelled) {
+      logger.info(`Embedding repair cancelled for collection: ${collectionName}`);
+      return {
+        success: false,
+        cancelled: true,
+        error: error.message
+      };
+    }
+    
+    logger.error('Error repairing embeddings', { error });
+    return {
+      success: false,
+      ...(error.statusCode && { statusCode: error.statusCode }),
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Enqueues a background job that re-embeds a collection's mock-embedded chunks
+ * @param {string} collection - Knowledge base to repair
+ * @returns {Promise<Object>} - Status and job ID
+ */
+const enqueueRepairEmbeddings = async (collection) => {
+  try {
+    const target = collectionService.resolveCollection(collection);
+    if (target.error) {
+      return {
+        success: false,
+        statusCode: target.statusCode,
+        error: target.error
+      };
+    }
+    const embeddingError = await collectionService.checkEmbeddingCompatibility(target.name);
+    if (embeddingError) {
+      return {
+        success: false,
+        ...embeddingError
+      };
+    }
+    
+    const job = jobQueue.enqueue({
+      type: 'repair-embeddings',
+      collectionName: target.name
+    }, ({ onProgress, signal }) => repairEmbeddings(target.name, { onProgress, signal }));
+    
+    logger.info(`Enqueued embedding repair job ${job.jobId} for collection: ${target.name}`);
+    return {
+      success: true,
+      jobId: job.jobId,
+      status: job.status,
+      collectionName: target.name
+    };
+  } catch (error) {
+    logger.error('Error enqueueing embedding repair job', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Chunks an uploaded file or submitted text without embedding or storing it, to tune chunking settings
+ * @param {Object} input - Document to chunk
+ * @param {Object} input.file - Uploaded file object (removed afterwards)
+ * @param {string} input.text - Text to chunk when no file is uploaded
+ * @param {string} input.collection - Knowledge base whose chunking settings apply (defaults to the global collection)
+ * @param {Object} input.chunking - Chunking options overriding the collection's settings
+ * @returns {Promise<Object>} - Status, resolved chunking options, chunk stats and chunks
+ */
+const previewChunks = async ({ file, text, collection, chunking } = {}) => {
+  try {
+    const target = collectionService.resolveCollection(collection);
+    const optionsError = validateChunkingOptions(chunking);
+    if (target.error || optionsError || (!file && (typeof text !== 'string' || text.trim().length === 0))) {
+      return {
+        success: false,
+        statusCode: target.error ? target.statusCode : 400,
+        error: target.error || optionsError || 'A document upload or text is required'
+      };
+    }
+    
+    const resolvedChunking = collectionService.getChunkingOptions(target.name, chunking);
+    const fileType = file ? documentProcessor.getFileType(file.originalname) : 'text';
+    logger.info(`Previewing ${resolvedChunking.strategy} chunks for: ${file ? file.originalname : 'submitted text'}`);
+    
+    const chunks = file
+      ? await documentProcessor.previewChunks(file.path, fileType, resolvedChunking)
+      : documentProcessor.chunkSections([{ content: text, metadata: {} }], resolvedChunking);
+    const lengths = chunks.map(chunk => chunk.content.length);
+    
+    return {
+      success: true,
+      collectionName: target.name,
+      fileType,
+      chunking: resolvedChunking,
+      chunkCount: chunks.length,
+      stats: {
+        minLength: chunks.length > 0 ? Math.min(...lengths) : 0,
+        maxLength: chunks.length > 0 ? Math.max(...lengths) : 0,
+        averageLength: chunks.length > 0 ? Math.round(lengths.reduce((sum, length) => sum + length, 0) / chunks.length) : 0
+      },
+      chunks: chunks.map(chunk => ({
+        content: chunk.content,
+        length: chunk.content.length,
+        estimatedTokens: estimateTokens(chunk.content),
+        metadata: chunk.metadata
+      }))
+    };
+  } catch (error) {
+    logger.error('Error previewing chunks', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    if (file) {
+      await removeTemporaryFile(file.path);
+    }
+  }
+};
+
+/**
+ * Validates the target collection, retrieval options and generation options of a chat request
+ * @param {Object} target - Result of resolving the requested collection
+ * @param {Object} retrievalOptions - Retrieval options (searchMode, topK, candidates, stages, mmrLambda, filters)
+ * @param {Object} generationOptions - Generation options (model, temperature, maxTokens)
+ * @returns {Object|null} - { statusCode, error } for an invalid request, or null
+ */
+const validateChatOptions = (target, retrievalOptions, generationOptions) => {
+  if (target.error) {
+    return { statusCode: target.statusCode, error: target.error };
+  }
+  
+  const optionsError = retrievalService.validateRetrievalOptions(retrievalOptions) ||
+    contentGenerator.validateGenerationOptions(generationOptions);
+  if (optionsError) {
+    return { statusCode: 400, error: optionsError };
+  }
+  return null;
+};
+
+/**
+ * Shapes search results into the contexts returned to API clients
+ * @param {Array<Object>} searchResults - Search results
+ * @returns {Array<Object>} - Contexts
+ */
+const formatContexts = (searchResults) => {
+  return searchResults.map((doc, index) => ({
+    marker: index + 1,
+    content: doc.content,
+    score: doc.score,
+    vectorScore: doc.vectorScore,
+    keywordScore: doc.keywordScore,
+    ...(doc.rerankScore !== undefined && { rerankScore: doc.rerankScore }),
+    source: doc.metadata?.source_file || 'Unknown',
+    ...(doc.metadata?.page && { page: doc.metadata.page }),
+    ...(doc.metadata?.slide && { slide: doc.metadata.slide }),
+    ...(doc.metadata?.section_path && { sectionPath: doc.metadata.section_path }),
+    ...(doc.metadata?.char_start !== undefined && { charStart: doc.metadata.char_start, charEnd: doc.metadata.char_end })
+  }));
+};
+
+/**
+ * Reports whether a chat response was produced in degraded or mock mode
+ * @param {Array<string>} reasons - Degraded reasons reported by query condensing and retrieval
+ * @returns {Object} - { degraded } plus `degradedReasons` when degraded; 'mock_llm' is added when the
+ *   answer came from the mock LLM provider
+ */
+const describeDegradation = (reasons) => {
+  const degradedReasons = contentGenerator.describe().provider === 'mock'
+    ? [...reasons, 'mock_llm']
+    : reasons;
+  return {
+    degraded: degradedReasons.length > 0,
+    ...(degradedReasons.length > 0 && { degradedReasons })
+  };
+};
+
+/**
+ * Embeds a question for the answer cache and looks for a cached answer to a similar question
+ * Questions that cannot be embedded by the provider bypass the cache.
+ * @param {string} query - User query
+ * @param {string} collectionName - Collection the question targets
+ * @param {Object} options - Retrieval and generation options of the request
+ * @returns {Promise<Object|null>} - { embedding, signature, generation, hit } for cacheable questions, or null
+ */
+const lookupCachedAnswer = async (query, collectionName, options) => {
+  let queryEmbedding;
+  try {
+    queryEmbedding = await documentProcessor.generateEmbedding(query);
+  } catch (error) {
+    logger.warn('Skipping answer cache, query could not be embedded', { error });
+    return null;
+  }
+  if (queryEmbedding.mock) {
+    return null;
+  }
+  
+  const signature = answerCache.signature(options);
+  return {
+    embedding: queryEmbedding.embedding,
+    signature,
+    generation: answerCache.generation(collectionName),
+    hit: answerCache.find(collectionName, queryEmbedding.embedding, signature)
+  };
+};
+
+/**
+ * Loads conversation history and condenses the query into a standalone search query
+ * When condensing fails the query is used as is, and 'condense_failed' is reported in `degradedReasons`.
+ * @param {string} query - User query
+ * @param {string} conversationId - Optional conversation ID
+ * @returns {Promise<Object>} - History, the query to use for retrieval and degraded reasons, or a not-found error
+ */
+const prepareConversation = async (query, conversationId) => {
+  if (!conversationId) {
+    return { history: [], searchQuery: query, degradedReasons: [] };
+  }
+  
+  if (!conversationStore.get(conversationId)) {
+    return { error: `Conversation not found: ${conversationId}` };
+  }
+  
+  const history = conversationStore.getHistory(conversationId);
+  const condensedQuery = await contentGenerator.condenseQuery(query, history);
+  const searchQuery = condensedQuery || query;
+  logger.info(`Using ${history.length} history messages for a standalone query`, { standaloneQuery: searchQuery });
+  
+  return { history, searchQuery, degradedReasons: condensedQuery === null ? ['condense_failed'] : [] };
+};
+
+/**
+ * Records a question and its answer in a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} query - User query
+ * @param {string} searchQuery - Standalone query used for retrieval
+ * @param {string} response - Generated response
+ * @returns {Promise<void>}
+ */
+const recordConversationTurn = async (conversationId, query, searchQuery, response) => {
+  if (!conversationId) {
+    return;
+  }
+  
+  await conversationStore.appendMessages(conversationId, [
+    { role: 'user', content: query, standaloneQuery: searchQuery },
+    { role: 'assistant', content: response }
+  ]);
+};
+
 /**
  * Generates a chat response using the RAG approach
  * @param {string} query - User query
+ * @param {Object} options - Chat options
+ * @param {string} options.conversationId - Optional conversation to continue
+ * @param {string} options.collection - Knowledge base to search (defaults to the global collection)
+ * @param {string} options.searchMode - Retrieval mode: vector, keyword or hybrid
+ * @param {number} options.topK - Number of contexts passed to the LLM
+ * @param {number} options.candidates - Number of candidates retrieved before the post-retrieval stages
+ * @param {Array<string>} options.stages - Post-retrieval stages to run: dedupe, rerank, mmr
+ * @param {number} options.mmrLambda - MMR trade-off between relevance (1) and diversity (0)
+ * @param {Object} options.filters - Metadata filters contexts must match ({ documentIds, fileTypes, createdAfter, createdBefore, metadata })
+ * @param {string} options.model - LLM model to use instead of the provider's default
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Maximum tokens to generate
  * @returns {Promise<Object>} - Response and context info
  */
-const generateChatResponse = async (query) => {
+const generateChatResponse = async (query, { conversationId, collection, searchMode = retrievalService.DEFAULT_SEARCH_MODE, topK, candidates, stages, mmrLambda, filters, model, temperature, maxTokens } = {}) => {
   try {
-    console.log(`[LOG rag_service] ========= Generating chat response for query: "${query}"`);
-    
-    // Generate embedding for the query
-    console.log(`[LOG rag_service] ========= Generating embedding for query`);
-    const queryEmbedding = await documentProcessor.generateEmbedding(query);
+    logger.info('Generating chat response', { query });
     
-    // Default search options
-    const limit = 5;
-    const minScore = 0.7;
+    const target = collectionService.resolveCollection(collection);
+    const retrievalOptions = { searchMode, topK, candidates, stages, mmrLambda, filters };
+    const generationOptions = { model, temperature, maxTokens };
+    const optionsError = validateChatOptions(target, retrievalOptions, generationOptions);
+    if (optionsError) {
+      return {
+        success: false,
+        ...optionsError,
+        query
+      };
+    }
     
-    // Search in the global collection
-    console.log(`[LOG rag_service] ========= Searching in global collection: ${GLOBAL_COLLECTION_NAME}`);
-    let searchResults = [];
+    const conversation = await prepareConversation(query, conversationId);
+    if (conversation.error) {
+      return {
+        success: false,
+        statusCode: 404,
+        query,
+        error: conversation.error
+      };
+    }
     
-    try {
-      searchResults = await vectorStore.search(
-        GLOBAL_COLLECTION_NAME,
-        queryEmbedding,
-        limit,
-        minScore
-      );
-      
-      console.log(`[LOG rag_service] ========= Found ${searchResults.length} relevant documents`);
-    } catch (err) {
-      console.error(`[LOG rag_service] ========= Error searching: ${err.message}`);
-      // Return empty results if collection doesn't exist yet
-      searchResults = [];
+    // Answers within a conversation depend on its history, so only standalone questions use the answer cache
+    const cacheLookup = answerCache.enabled && !conversationId
+      ? await lookupCachedAnswer(query, target.name, { ...retrievalOptions, ...generationOptions })
+      : null;
+    if (cacheLookup && cacheLookup.hit) {
+      const { entry, similarity } = cacheLookup.hit;
+      return {
+        ...entry.response,
+        query,
+        cached: true,
+        cachedFrom: {
+          query: entry.query,
+          similarity,
+          createdAt: new Date(entry.createdAt).toISOString()
+        }
+      };
     }
     
+    const retrieval = await retrievalService.retrieveContexts(conversation.searchQuery, target.name, retrievalOptions);
+    const searchResults = retrieval.results;
+    const degradedReasons = [...conversation.degradedReasons, ...retrieval.degradedReasons];
+    
     // Generate response based on search results
-    console.log(`[LOG rag_service] ========= Generating response using content generator`);
-    const response = await contentGenerator.generateResponse(query, searchResults);
+    logger.debug('Generating response using content generator');
+    const { text: generatedText, model: usedModel } = await contentGenerator.generateResponse(query, searchResults, {
+      ...generationOptions,
+      history: conversation.history
+    });
+    const { response, citations, invalidCitations } = resolveCitations(generatedText, searchResults);
+    
+    await recordConversationTurn(conversationId, query, conversation.searchQuery, response);
+    
+    const result = {
+      success: true,
+      query,
+      collection: target.name,
+      searchMode,
+      ...(conversationId && { conversationId, standaloneQuery: conversation.searchQuery }),
+      response,
+      citations,
+      invalidCitations,
+      llm: { ...contentGenerator.describe(), model: usedModel },
+      ...describeDegradation(degradedReasons),
+      cached: false,
+      contexts: formatContexts(searchResults)
+    };
+    
+    // Answers built on mock embeddings or without re-ranking are not worth repeating
+    if (cacheLookup && degradedReasons.length === 0) {
+      answerCache.store(target.name, {
+        query,
+        embedding: cacheLookup.embedding,
+        signature: cacheLookup.signature,
+        response: result
+      }, cacheLookup.generation);
+    }
+    return result;
+  } catch (error) {
+    logger.error('Error generating chat response', { error });
+    return {
+      success: false,
+      ...(error.statusCode && { statusCode: error.statusCode }),
+      query,
+      error: error.message,
+      response: "I'm sorry, I encountered an error processing your query. Please try again."
+    };
+  }
+};
+
+/**
+ * Generates a chat response and streams it as it is produced
+ * @param {string} query - User query
+ * @param {Object} handlers - Event handlers and chat options
+ * @param {Function} handlers.onStart - Called once the request has been validated and its conversation loaded,
+ *   before anything is retrieved or streamed; failures before this point are returned without calling it
+ * @param {Function} handlers.onContexts - Called once with the retrieved contexts
+ * @param {Function} handlers.onDelta - Called with each text delta from the LLM
+ * @param {AbortSignal} handlers.signal - Optional signal to stop generation (e.g. client disconnected)
+ * @param {string} handlers.conversationId - Optional conversation to continue
+ * @param {string} handlers.collection - Knowledge base to search (defaults to the global collection)
+ * @param {string} handlers.searchMode - Retrieval mode: vector, keyword or hybrid
+ * @param {number} handlers.topK - Number of contexts passed to the LLM
+ * @param {number} handlers.candidates - Number of candidates retrieved before the post-retrieval stages
+ * @param {Array<string>} handlers.stages - Post-retrieval stages to run: dedupe, rerank, mmr
+ * @param {number} handlers.mmrLambda - MMR trade-off between relevance (1) and diversity (0)
+ * @param {Object} handlers.filters - Metadata filters contexts must match ({ documentIds, fileTypes, createdAfter, createdBefore, metadata })
+ * @param {string} handlers.model - LLM model to use instead of the provider's default
+ * @param {number} handlers.temperature - Sampling temperature
+ * @param {number} handlers.maxTokens - Maximum tokens to generate
+ * @returns {Promise<Object>} - Final response with usage and timing
+ */
+const streamChatResponse = async (query, { onStart = () => {}, onContexts = () => {}, onDelta = () => {}, signal, conversationId, collection, searchMode = retrievalService.DEFAULT_SEARCH_MODE, topK, candidates, stages, mmrLambda, filters, model, temperature, maxTokens } = {}) => {
+  try {
+    logger.info('Streaming chat response', { query });
+    const startTime = Date.now();
+    
+    const target = collectionService.resolveCollection(collection);
+    const retrievalOptions = { searchMode, topK, candidates, stages, mmrLambda, filters };
+    const generationOptions = { model, temperature, maxTokens };
+    const optionsError = validateChatOptions(target, retrievalOptions, generationOptions);
+    if (optionsError) {
+      return {
+        success: false,
+        ...optionsError,
+        query
+      };
+    }
+    
+    const conversation = await prepareConversation(query, conversationId);
+    if (conversation.error) {
+      return {
+        success: false,
+        statusCode: 404,
+        query,
+        error: conversation.error
+      };
+    }
+    
+    onStart();
+    const retrieval = await retrievalService.retrieveContexts(conversation.searchQuery, target.name, retrievalOptions);
+    const searchResults = retrieval.results;
+    const degradedReasons = [...conversation.degradedReasons, ...retrieval.degradedReasons];
+    const retrievalMs = Date.now() - startTime;
+    onContexts(formatContexts(searchResults));
+    
+    // Stream response based on search results
+    logger.debug('Streaming response using content generator');
+    const generationStartTime = Date.now();
+    const { text, usage, model: usedModel } = await contentGenerator.streamResponse(query, searchResults, {
+      ...generationOptions,
+      history: conversation.history,
+      signal
+    }, onDelta);
+    // Deltas have already been sent, so invalid markers can only be flagged, and removed from the final response
+    const { response, citations, invalidCitations } = resolveCitations(text, searchResults);
+    
+    await recordConversationTurn(conversationId, query, conversation.searchQuery, response);
     
     return {
       success: true,
       query,
+      collection: target.name,
+      searchMode,
+      ...(conversationId && { conversationId, standaloneQuery: conversation.searchQuery }),
       response,
-      contexts: searchResults.map(doc => ({
-        content: doc.content,
-        score: doc.score,
-        source: doc.metadata?.source_file || 'Unknown'
-      }))
+      citations,
+      invalidCitations,
+      llm: { ...contentGenerator.describe(), model: usedModel },
+      ...describeDegradation(degradedReasons),
+      usage,
+      timing: {
+        retrievalMs,
+        generationMs: Date.now() - generationStartTime,
+        totalMs: Date.now() - startTime
+      }
     };
   } catch (error) {
-    console.error('[LOG rag_service] ========= Error generating chat response:', error);
+    logger.error('Error streaming chat response', { error });
     return {
       success: false,
+      ...(error.statusCode && { statusCode: error.statusCode }),
       query,
       error: error.message,
       response: "I'm sorry, I encountered an error processing your query. Please try again."
@@ -176,13 +1134,16 @@ const generateChatResponse = async (query) => {
  */
 const getSystemStatus = async () => {
   try {
-    console.log(`[LOG rag_service] ========= Getting system status`);
+    logger.debug('Getting system status');
+    await ensureRegistry();
     
-    // Get Qdrant status
-    const qdrantStatus = vectorStore.initialized;
+    // Get vector store status
+    const vectorStoreStatus = vectorStore.initialized;
     
     // Check OpenAI availability
     const openaiAvailable = !!process.env.OPENAI_API_KEY;
+    const llm = contentGenerator.describe();
+    const embedding = embeddingProvider.describe();
     
     // Get document count
     let documentCount = 0;
@@ -202,18 +1163,263 @@ const getSystemStatus = async () => {
     return {
       success: true,
       status: {
-        qdrantConnected: qdrantStatus,
+        vectorStoreProvider: vectorStore.provider,
+        vectorStoreConnected: vectorStoreStatus,
+        qdrantConnected: vectorStore.provider === 'qdrant' && vectorStoreStatus,
         openaiAvailable,
+        llmProvider: llm.provider,
+        llmModel: llm.model,
+        embeddingProvider: embedding.provider,
+        embeddingModel: embedding.model,
+        embeddingDimensions: embedding.dimensions,
+        embeddingCache: embeddingCache.getStats(),
+        answerCache: answerCache.getStats(),
         globalCollection: {
           name: GLOBAL_COLLECTION_NAME,
           exists: collectionExists,
           vectorCount: documentCount
         },
-        indexedDocuments: Array.from(indexedDocuments.values())
+        collections: (await collectionService.getCollectionStats()).map(collection => ({
+          name: collection.name,
+          description: collection.description,
+          exists: collection.exists,
+          vectorCount: collection.vectorCount,
+          documentCount: collection.documentCount,
+          ...(collection.embedding && { embedding: collection.embedding })
+        })),
+        indexedDocuments: documentRegistry.list()
       }
     };
   } catch (error) {
-    console.error('[LOG rag_service] ========= Error getting system status:', error);
+    logger.error('Error getting system status', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Clears the embedding cache, in memory and on disk
+ * @returns {Promise<Object>} - Status and number of in-memory entries removed
+ */
+const clearEmbeddingCache = async () => {
+  try {
+    const entriesCleared = await embeddingCache.clear();
+    return {
+      success: true,
+      entriesCleared
+    };
+  } catch (error) {
+    logger.error('Error clearing embedding cache', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Lists indexed documents
+ * @param {Object} options - List options
+ * @param {string} options.collection - Only list documents in this collection
+ * @returns {Promise<Object>} - Status and documents
+ */
+const listDocuments = async ({ collection } = {}) => {
+  try {
+    logger.debug('Listing indexed documents');
+    await ensureRegistry();
+    const documents = documentRegistry.list({ collectionName: collection });
+    
+    return {
+      success: true,
+      count: documents.length,
+      documents
+    };
+  } catch (error) {
+    logger.error('Error listing documents', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Gets a document's metadata, its versions and its chunks
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} - Status, document info and chunks
+ */
+const getDocument = async (documentId) => {
+  try {
+    logger.debug(`Getting document: ${documentId}`);
+    await ensureRegistry();
+    
+    const documentInfo = documentRegistry.get(documentId);
+    if (!documentInfo) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Document not found: ${documentId}`
+      };
+    }
+    
+    const chunks = await vectorStore.getPoints(documentInfo.collectionName, { document_id: documentId });
+    
+    // Return chunks in their original order within the document
+    chunks.sort((a, b) => (a.metadata.chunk_index ?? 0) - (b.metadata.chunk_index ?? 0));
+    
+    const versions = documentRegistry.listVersions(documentInfo.collectionName, documentInfo.logicalName || documentInfo.filename)
+      .map(version => ({
+        documentId: version.documentId,
+        version: version.version || 1,
+        status: version.status,
+        checksum: version.checksum,
+        createdAt: version.createdAt
+      }));
+    
+    return {
+      success: true,
+      document: documentInfo,
+      versions,
+      chunks: chunks.map(chunk => ({
+        id: chunk.id,
+        chunkIndex: chunk.metadata.chunk_index,
+        contentHash: chunk.metadata.content_hash,
+        content: chunk.content
+      }))
+    };
+  } catch (error) {
+    logger.error('Error getting document', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Deletes a document and all of its chunks from the vector store
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} - Status and number of deleted chunks
+ */
+const deleteDocument = async (documentId) => {
+  try {
+    logger.info(`Deleting document: ${documentId}`);
+    await ensureRegistry();
+    
+    const documentInfo = documentRegistry.get(documentId);
+    const collectionName = documentInfo ? documentInfo.collectionName : GLOBAL_COLLECTION_NAME;
+    
+    const deleteResult = await vectorStore.deletePoints(collectionName, { document_id: documentId });
+    if (!deleteResult.success) {
+      throw new Error(`Failed to delete document chunks: ${deleteResult.error}`);
+    }
+    if (deleteResult.deleted > 0) {
+      answerCache.invalidate(collectionName);
+    }
+    await retrievalService.removeChunks(collectionName, { document_id: documentId });
+    
+    const wasRegistered = await documentRegistry.remove(documentId);
+    if (!wasRegistered && deleteResult.deleted === 0) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Document not found: ${documentId}`
+      };
+    }
+    
+    logger.info(`Deleted ${deleteResult.deleted} chunks for document ${documentId}`);
+    return {
+      success: true,
+      documentId,
+      chunksDeleted: deleteResult.deleted
+    };
+  } catch (error) {
+    logger.error('Error deleting document', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Creates a new conversation session
+ * @param {Object} options - Conversation options
+ * @param {string} options.title - Optional title
+ * @returns {Promise<Object>} - Status and conversation
+ */
+const createConversation = async ({ title } = {}) => {
+  try {
+    const conversation = await conversationStore.create({ title });
+    logger.info(`Created conversation: ${conversation.conversationId}`);
+    
+    return {
+      success: true,
+      conversation
+    };
+  } catch (error) {
+    logger.error('Error creating conversation', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Gets a conversation with its full message history
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} - Status and conversation
+ */
+const getConversation = async (conversationId) => {
+  try {
+    const conversation = conversationStore.get(conversationId);
+    if (!conversation) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Conversation not found: ${conversationId}`
+      };
+    }
+    
+    return {
+      success: true,
+      conversation
+    };
+  } catch (error) {
+    logger.error('Error getting conversation', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Deletes a conversation and its history
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} - Status
+ */
+const deleteConversation = async (conversationId) => {
+  try {
+    const deleted = await conversationStore.delete(conversationId);
+    if (!deleted) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Conversation not found: ${conversationId}`
+      };
+    }
+    
+    logger.info(`Deleted conversation: ${conversationId}`);
+    return {
+      success: true,
+      conversationId
+    };
+  } catch (error) {
+    logger.error('Error deleting conversation', { error });
     return {
       success: false,
       error: error.message
@@ -223,6 +1429,19 @@ const getSystemStatus = async () => {
 
 module.exports = {
   indexDocument,
+  enqueueIndexDocument,
+  enqueueIndexText,
+  enqueueIndexUrl,
+  enqueueRepairEmbeddings,
+  previewChunks,
   generateChatResponse,
-  getSystemStatus
+  streamChatResponse,
+  getSystemStatus,
+  clearEmbeddingCache,
+  listDocuments,
+  getDocument,
+  deleteDocument,
+  createConversation,
+  getConversation,
+  deleteConversation
 }; 
\ No newline at end of file
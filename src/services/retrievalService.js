@@ -0,0 +1,361 @@
+/**
+ * Retrieval Service
+ * Finds the chunks most relevant to a query using vector similarity, BM25 keyword scoring,
+ * or a hybrid of both fused with reciprocal rank fusion (RRF), then refines the candidates with
+ * near-duplicate removal, an optional LLM re-ranker and maximal marginal relevance (MMR)
+ */
+
+const documentProcessor = require('../utils/documentProcessor');
+const vectorStore = require('../utils/vectorStore');
+const lexicalIndex = require('../utils/lexicalIndex');
+const embeddingProvider = require('../utils/embeddingProvider');
+const collectionService = require('./collectionService');
+const contentGenerator = require('../utils/contentGenerator');
+const metrics = require('../utils/metrics');
+const { removeNearDuplicates, maximalMarginalRelevance } = require('../utils/resultRanking');
+const { validateSearchFilters, buildFilterConditions } = require('../utils/searchFilters');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('retrieval_service');
+
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+const DEFAULT_SEARCH_MODE = process.env.DEFAULT_SEARCH_MODE || 'vector';
+
+// Default search options
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 50;
+// Similarity scores depend on the embedder, so its own threshold applies unless overridden
+const MIN_VECTOR_SCORE = parseFloat(process.env.MIN_VECTOR_SCORE || String(embeddingProvider.minScore));
+
+// Post-retrieval stages, run in this order on the over-fetched candidates
+const RERANK_STAGES = ['dedupe', 'rerank', 'mmr'];
+const DEFAULT_RERANK_STAGES = (process.env.DEFAULT_RERANK_STAGES ?? 'dedupe,mmr')
+  .split(',').map(stage => stage.trim()).filter(Boolean);
+const RERANK_CANDIDATES = parseInt(process.env.RERANK_CANDIDATES || '20', 10);
+const MAX_CANDIDATES = 100;
+const MMR_LAMBDA = parseFloat(process.env.MMR_LAMBDA || '0.7');
+const DEDUPE_THRESHOLD = parseFloat(process.env.DEDUPE_THRESHOLD || '0.7');
+
+// Candidates taken from each ranking before fusion, and the RRF damping constant
+const HYBRID_CANDIDATES = parseInt(process.env.HYBRID_CANDIDATES || '20', 10);
+const RRF_K = parseInt(process.env.RRF_K || '60', 10);
+
+// Pending lexical index rebuilds per collection, shared by all callers
+const lexicalIndexReady = new Map();
+
+/**
+ * Checks that a value is an integer within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean} - True if the value is in range
+ */
+const isIntegerInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validates retrieval options from a request
+ * @param {Object} options - Retrieval options
+ * @param {string} options.searchMode - Requested search mode
+ * @param {number} options.topK - Number of contexts to return
+ * @param {number} options.candidates - Number of candidates to retrieve before the post-retrieval stages
+ * @param {Array<string>} options.stages - Post-retrieval stages to run
+ * @param {number} options.mmrLambda - MMR trade-off between relevance (1) and diversity (0)
+ * @param {Object} options.filters - Metadata filters (see utils/searchFilters.js)
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateRetrievalOptions = ({ searchMode, topK, candidates, stages, mmrLambda, filters } = {}) => {
+  if (searchMode !== undefined && !SEARCH_MODES.includes(searchMode)) {
+    return `Invalid searchMode "${searchMode}". Expected one of: ${SEARCH_MODES.join(', ')}`;
+  }
+  if (topK !== undefined && !isIntegerInRange(topK, 1, MAX_LIMIT)) {
+    return `topK must be an integer between 1 and ${MAX_LIMIT}`;
+  }
+  if (candidates !== undefined && !isIntegerInRange(candidates, 1, MAX_CANDIDATES)) {
+    return `candidates must be an integer between 1 and ${MAX_CANDIDATES}`;
+  }
+  if (stages !== undefined) {
+    if (!Array.isArray(stages)) {
+      return `stages must be an array of: ${RERANK_STAGES.join(', ')}`;
+    }
+    const unknown = stages.find(stage => !RERANK_STAGES.includes(stage));
+    if (unknown !== undefined) {
+      return `Invalid stage "${unknown}". Expected any of: ${RERANK_STAGES.join(', ')}`;
+    }
+  }
+  if (mmrLambda !== undefined && (typeof mmrLambda !== 'number' || !(mmrLambda >= 0 && mmrLambda <= 1))) {
+    return 'mmrLambda must be a number between 0 and 1';
+  }
+  return validateSearchFilters(filters);
+};
+
+/**
+ * Makes sure a collection's lexical index exists, building it from the vector store's payloads if needed
+ * (e.g. for collections indexed before keyword search was available)
+ * @param {string} collectionName - Collection name
+ * @returns {Promise<void>}
+ */
+const ensureLexicalIndex = (collectionName) => {
+  if (lexicalIndex.hasCollection(collectionName)) {
+    return Promise.resolve();
+  }
+
+  if (!lexicalIndexReady.has(collectionName)) {
+    const pending = (async () => {
+      logger.info(`Building lexical index for ${collectionName} from vector store payloads`);
+      const points = await vectorStore.getPoints(collectionName);
+      await lexicalIndex.rebuild(collectionName, points);
+    })().finally(() => lexicalIndexReady.delete(collectionName));
+
+    lexicalIndexReady.set(collectionName, pending);
+  }
+  return lexicalIndexReady.get(collectionName);
+};
+
+/**
+ * Adds freshly stored chunks to the collection's lexical index
+ * Call after the chunks have been written to the vector store. If the index cannot be updated it is
+ * dropped, so that it is rebuilt from the vector store on the next keyword search.
+ * @param {string} collectionName - Collection name
+ * @param {Array<Object>} chunks - Stored chunks ({ id, content, metadata })
+ * @returns {Promise<void>}
+ */
+const indexChunks = async (collectionName, chunks) => {
+  try {
+    if (lexicalIndex.hasCollection(collectionName)) {
+      await lexicalIndex.addDocuments(collectionName, chunks);
+    } else {
+      // The rebuild reads the vector store, which already holds the new chunks
+      await ensureLexicalIndex(collectionName);
+    }
+  } catch (error) {
+    logger.error(`Error updating lexical index for ${collectionName}`, { error });
+    await lexicalIndex.deleteCollection(collectionName).catch(() => {});
+  }
+};
+
+/**
+ * Removes chunks from the collection's lexical index
+ * @param {string} collectionName - Collection name
+ * @param {Object} filter - Metadata that removed chunks match, e.g. { document_id }
+ * @returns {Promise<void>}
+ */
+const removeChunks = async (collectionName, filter) => {
+  try {
+    await lexicalIndex.deleteDocuments(collectionName, filter);
+  } catch (error) {
+    logger.error(`Error updating lexical index for ${collectionName}`, { error });
+    await lexicalIndex.deleteCollection(collectionName).catch(() => {});
+  }
+};
+
+/**
+ * Searches a collection by embedding similarity
+ * @param {string} query - Query text
+ * @param {string} collectionName - Collection name
+ * @param {number} limit - Maximum number of results
+ * @param {Array<Object>} conditions - Metadata conditions results must satisfy
+ * @param {Set<string>} degradedReasons - Collects 'mock_query_embedding' if the query got a mock embedding
+ * @returns {Promise<Array<Object>>} - Results, best first
+ * @throws {Error} - With statusCode 409 if the collection was built with a different embedder,
+ *   or 502 if the query cannot be embedded in strict mode
+ */
+const vectorSearch = async (query, collectionName, limit, conditions, degradedReasons) => {
+  const embeddingError = await collectionService.checkEmbeddingCompatibility(collectionName);
+  if (embeddingError) {
+    const error = new Error(embeddingError.error);
+    error.statusCode = embeddingError.statusCode;
+    throw error;
+  }
+
+  logger.debug('Generating embedding for query');
+  const { embedding: queryEmbedding, mock } = await documentProcessor.generateEmbedding(query);
+  if (mock) {
+    degradedReasons.add('mock_query_embedding');
+  }
+
+  const endTimer = metrics.vectorSearchDuration.startTimer({ provider: vectorStore.provider });
+  try {
+    return await vectorStore.search(collectionName, queryEmbedding, limit, MIN_VECTOR_SCORE, conditions);
+  } catch (err) {
+    logger.error('Error in vector search', { error: err });
+    // Return empty results if collection doesn't exist yet
+    return [];
+  } finally {
+    endTimer();
+  }
+};
+
+/**
+ * Searches a collection by BM25 keyword score
+ * @param {string} query - Query text
+ * @param {string} collectionName - Collection name
+ * @param {number} limit - Maximum number of results
+ * @param {Array<Object>} conditions - Metadata conditions results must satisfy
+ * @returns {Promise<Array<Object>>} - Results, best first
+ */
+const keywordSearch = async (query, collectionName, limit, conditions) => {
+  try {
+    await ensureLexicalIndex(collectionName);
+    return lexicalIndex.search(collectionName, query, limit, conditions);
+  } catch (err) {
+    logger.error('Error in keyword search', { error: err });
+    return [];
+  }
+};
+
+/**
+ * Fuses two rankings with reciprocal rank fusion: score = sum of 1 / (RRF_K + rank)
+ * @param {Array<Object>} vectorResults - Vector search results, best first
+ * @param {Array<Object>} keywordResults - Keyword search results, best first
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<Object>} - Fused results carrying both component scores, best first
+ */
+const fuseRankings = (vectorResults, keywordResults, limit) => {
+  const fused = new Map();
+  const addRanking = (results, scoreField) => {
+    results.forEach((result, index) => {
+      const entry = fused.get(result.id) || {
+        id: result.id,
+        content: result.content,
+        metadata: result.metadata,
+        score: 0,
+        vectorScore: null,
+        keywordScore: null
+      };
+      entry.score += 1 / (RRF_K + index + 1);
+      entry[scoreField] = result.score;
+      fused.set(result.id, entry);
+    });
+  };
+
+  addRanking(vectorResults, 'vectorScore');
+  addRanking(keywordResults, 'keywordScore');
+
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Searches a collection with the given search mode
+ * @param {string} query - Query text
+ * @param {string} collectionName - Collection name
+ * @param {string} searchMode - vector, keyword or hybrid
+ * @param {number} limit - Maximum number of results
+ * @param {Array<Object>} conditions - Metadata conditions results must satisfy
+ * @param {Set<string>} degradedReasons - Collects the reasons results may be degraded
+ * @returns {Promise<Array<Object>>} - Results carrying both component scores, best first
+ */
+const search = async (query, collectionName, searchMode, limit, conditions, degradedReasons) => {
+  switch (searchMode) {
+    case 'keyword':
+      return (await keywordSearch(query, collectionName, limit, conditions))
+        .map(result => ({ ...result, vectorScore: null, keywordScore: result.score }));
+    case 'hybrid': {
+      const componentLimit = Math.max(HYBRID_CANDIDATES, limit);
+      const [vectorResults, keywordResults] = await Promise.all([
+        vectorSearch(query, collectionName, componentLimit, conditions, degradedReasons),
+        keywordSearch(query, collectionName, componentLimit, conditions)
+      ]);
+      logger.debug(`Fusing ${vectorResults.length} vector and ${keywordResults.length} keyword candidates`);
+      return fuseRankings(vectorResults, keywordResults, limit);
+    }
+    default:
+      return (await vectorSearch(query, collectionName, limit, conditions, degradedReasons))
+        .map(result => ({ ...result, vectorScore: result.score, keywordScore: null }));
+  }
+};
+
+/**
+ * Runs the post-retrieval stages on the candidates and keeps the best topK
+ * @param {string} query - Query text
+ * @param {Array<Object>} candidates - Retrieved candidates, best first
+ * @param {Array<string>} stages - Stages to run (dedupe, rerank, mmr)
+ * @param {number} topK - Number of results to keep
+ * @param {number} mmrLambda - MMR trade-off between relevance (1) and diversity (0)
+ * @param {Set<string>} degradedReasons - Collects 'rerank_failed' if the candidates could not be re-ranked
+ * @returns {Promise<Array<Object>>} - Refined results, best first
+ */
+const refineCandidates = async (query, candidates, stages, topK, mmrLambda, degradedReasons) => {
+  let results = candidates;
+
+  if (stages.includes('dedupe')) {
+    results = removeNearDuplicates(results, DEDUPE_THRESHOLD);
+    logger.info(`Removed ${candidates.length - results.length} near-duplicate candidates`);
+  }
+
+  let relevanceOf = result => result.score;
+  if (stages.includes('rerank')) {
+    const scores = await contentGenerator.scoreRelevance(query, results);
+    if (scores) {
+      results = results
+        .map((result, index) => ({ ...result, rerankScore: scores[index] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+      relevanceOf = result => result.rerankScore;
+    } else {
+      degradedReasons.add('rerank_failed');
+    }
+  }
+
+  if (stages.includes('mmr')) {
+    return maximalMarginalRelevance(results, topK, mmrLambda, relevanceOf);
+  }
+  return results.slice(0, topK);
+};
+
+/**
+ * Retrieves the contexts most relevant to a query
+ * Every result reports `score` (the retrieval score) along with `vectorScore` and `keywordScore`
+ * (null when the result was not found by that component), and `rerankScore` when re-ranked.
+ * When post-retrieval stages are enabled, `candidates` results are retrieved and refined down to `topK`.
+ * @param {string} query - User query
+ * @param {string} collectionName - Collection to search
+ * @param {Object} options - Retrieval options
+ * @param {string} options.searchMode - vector, keyword or hybrid (defaults to DEFAULT_SEARCH_MODE)
+ * @param {number} options.topK - Maximum number of results (default: 5)
+ * @param {number} options.candidates - Number of candidates to retrieve (default: RERANK_CANDIDATES)
+ * @param {Array<string>} options.stages - Post-retrieval stages to run (default: DEFAULT_RERANK_STAGES)
+ * @param {number} options.mmrLambda - MMR trade-off between relevance (1) and diversity (0) (default: MMR_LAMBDA)
+ * @param {Object} options.filters - Metadata filters results must match (see utils/searchFilters.js)
+ * @returns {Promise<{results: Array<Object>, degradedReasons: Array<string>}>} - Search results, best first, and why
+ *   they may be unreliable: 'mock_query_embedding' (the query got a random mock embedding),
+ *   'mock_embedded_contexts' (some results were stored with mock embeddings) or 'rerank_failed'
+ *   (the LLM could not re-rank the candidates, so they keep their retrieval order)
+ */
+const retrieveContexts = async (query, collectionName, {
+  searchMode = DEFAULT_SEARCH_MODE,
+  topK = DEFAULT_LIMIT,
+  candidates = RERANK_CANDIDATES,
+  stages = DEFAULT_RERANK_STAGES,
+  mmrLambda = MMR_LAMBDA,
+  filters
+} = {}) => {
+  const conditions = buildFilterConditions(filters);
+  logger.info(`Searching in collection: ${collectionName} (${searchMode} mode${conditions.length > 0 ? `, ${conditions.length} filter conditions` : ''})`);
+
+  // Over-fetch only when there are stages to choose among the candidates
+  const fetchLimit = stages.length > 0 ? Math.max(candidates, topK) : topK;
+  const degradedReasons = new Set();
+  const retrieved = await search(query, collectionName, searchMode, fetchLimit, conditions, degradedReasons);
+  const results = stages.length > 0
+    ? await refineCandidates(query, retrieved, stages, topK, mmrLambda, degradedReasons)
+    : retrieved;
+  if (results.some(result => result.metadata?.embedding_mock)) {
+    degradedReasons.add('mock_embedded_contexts');
+  }
+
+  logger.info(`Found ${results.length} relevant documents (${retrieved.length} candidates${stages.length > 0 ? `, stages: ${stages.join(', ')}` : ''})`);
+  metrics.retrievalResults.observe({ mode: searchMode }, results.length);
+  return { results, degradedReasons: Array.from(degradedReasons) };
+};
+
+module.exports = {
+  SEARCH_MODES,
+  DEFAULT_SEARCH_MODE,
+  RERANK_STAGES,
+  DEFAULT_RERANK_STAGES,
+  validateRetrievalOptions,
+  indexChunks,
+  removeChunks,
+  retrieveContexts
+};
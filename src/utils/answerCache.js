@@ -0,0 +1,148 @@
+/**
+ * Answer Cache
+ * Optional semantic cache of chat answers. A question whose embedding is close enough to a previously
+ * answered question against the same collection, with the same retrieval and generation options, gets the
+ * stored answer instead of being retrieved and generated again.
+ *
+ * Each collection has a generation number that is bumped whenever its documents change (indexed, replaced,
+ * repaired or deleted). Bumping drops the collection's entries, and answers computed while the documents
+ * changed are never stored, so a cached answer always reflects the current documents.
+ * Entries are kept in memory only.
+ */
+
+const crypto = require('crypto');
+const { cosineSimilarity } = require('./vectorMath');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('answer_cache');
+
+const ANSWER_CACHE_ENABLED = process.env.ANSWER_CACHE_ENABLED === 'true';
+const ANSWER_CACHE_THRESHOLD = parseFloat(process.env.ANSWER_CACHE_THRESHOLD || '0.95');
+const ANSWER_CACHE_TTL_MS = parseInt(process.env.ANSWER_CACHE_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+const ANSWER_CACHE_MAX_ENTRIES = parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES || '500', 10);
+
+class AnswerCache {
+  constructor() {
+    this.enabled = ANSWER_CACHE_ENABLED;
+    this.threshold = ANSWER_CACHE_THRESHOLD;
+    this.ttlMs = ANSWER_CACHE_TTL_MS;
+    this.maxEntries = ANSWER_CACHE_MAX_ENTRIES;
+
+    // Collection name -> entries, oldest first
+    this.collections = new Map();
+    // Collection name -> generation, bumped on every document change
+    this.generations = new Map();
+    this.stats = { hits: 0, misses: 0, invalidations: 0 };
+  }
+
+  /**
+   * Derives the signature of the options that shape an answer
+   * @param {Object} options - Retrieval and generation options of the chat request
+   * @returns {string} - Hex SHA-256 of the options (undefined options are left out)
+   */
+  signature(options) {
+    const defined = Object.keys(options).sort()
+      .filter(key => options[key] !== undefined)
+      .map(key => [key, options[key]]);
+    return crypto.createHash('sha256').update(JSON.stringify(defined)).digest('hex');
+  }
+
+  /**
+   * Gets the current generation of a collection's documents
+   * @param {string} collectionName - Collection name
+   * @returns {number} - Generation number
+   */
+  generation(collectionName) {
+    return this.generations.get(collectionName) || 0;
+  }
+
+  /**
+   * Finds the cached answer to the most similar question
+   * @param {string} collectionName - Collection the question targets
+   * @param {Array<number>} queryEmbedding - Embedding of the question
+   * @param {string} signature - Options signature of the request
+   * @returns {Object|null} - { entry, similarity } above the threshold, or null
+   */
+  find(collectionName, queryEmbedding, signature) {
+    const now = Date.now();
+    const entries = (this.collections.get(collectionName) || [])
+      .filter(entry => now - entry.createdAt < this.ttlMs);
+    this.collections.set(collectionName, entries);
+
+    let best = null;
+    for (const entry of entries) {
+      if (entry.signature !== signature || entry.embedding.length !== queryEmbedding.length) {
+        continue;
+      }
+      const similarity = cosineSimilarity(queryEmbedding, entry.embedding);
+      if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+        best = { entry, similarity };
+      }
+    }
+
+    if (best) {
+      this.stats.hits++;
+      logger.info(`Cache hit in ${collectionName} (similarity ${best.similarity.toFixed(3)})`, { cachedQuery: best.entry.query });
+    } else {
+      this.stats.misses++;
+    }
+    return best;
+  }
+
+  /**
+   * Stores an answer, unless the collection's documents changed while it was being computed
+   * @param {string} collectionName - Collection the question targeted
+   * @param {Object} entry - Entry to store
+   * @param {string} entry.query - Question
+   * @param {Array<number>} entry.embedding - Embedding of the question
+   * @param {string} entry.signature - Options signature of the request
+   * @param {Object} entry.response - Response to return on a hit
+   * @param {number} generation - Collection generation read before retrieval started
+   * @returns {boolean} - Whether the answer was stored
+   */
+  store(collectionName, { query, embedding, signature, response }, generation) {
+    if (generation !== this.generation(collectionName)) {
+      logger.info(`Documents in ${collectionName} changed while answering, not caching`);
+      return false;
+    }
+
+    const entries = this.collections.get(collectionName) || [];
+    entries.push({ query, embedding, signature, response, createdAt: Date.now() });
+    if (entries.length > this.maxEntries) {
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+    this.collections.set(collectionName, entries);
+    return true;
+  }
+
+  /**
+   * Drops a collection's cached answers after its documents changed
+   * @param {string} collectionName - Collection name
+   */
+  invalidate(collectionName) {
+    this.generations.set(collectionName, this.generation(collectionName) + 1);
+    const dropped = (this.collections.get(collectionName) || []).length;
+    this.collections.delete(collectionName);
+    this.stats.invalidations++;
+    if (dropped > 0) {
+      logger.info(`Documents in ${collectionName} changed, dropped ${dropped} cached answers`);
+    }
+  }
+
+  /**
+   * Reports hit/miss counters and size
+   * @returns {Object} - Cache statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      threshold: this.threshold,
+      ...this.stats,
+      entries: Array.from(this.collections.values()).reduce((sum, entries) => sum + entries.length, 0)
+    };
+  }
+}
+
+// Singleton instance
+const answerCache = new AnswerCache();
+module.exports = answerCache;
@@ -0,0 +1,269 @@
+/**
+ * Chunking
+ * Strategies for cutting extracted text into chunks: recursively by separators, by sentences,
+ * by estimated tokens, or along Markdown headings. Chunks are exact ranges of the text, so their
+ * character offsets can be stored with them.
+ */
+
+const { CHARS_PER_TOKEN } = require('./tokenCounter');
+
+const CHUNKING_STRATEGIES = ['recursive', 'sentence', 'token', 'markdown'];
+const DEFAULT_CHUNKING_STRATEGY = (process.env.DEFAULT_CHUNKING_STRATEGY || 'recursive').trim().toLowerCase();
+
+// Fail at startup, like the provider selectors, rather than on the first document that is chunked
+if (!CHUNKING_STRATEGIES.includes(DEFAULT_CHUNKING_STRATEGY)) {
+  throw new Error(`Unknown DEFAULT_CHUNKING_STRATEGY "${DEFAULT_CHUNKING_STRATEGY}". Expected one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+}
+
+// Default size and overlap per strategy: characters, or estimated tokens for the token strategy
+const STRATEGY_DEFAULTS = {
+  recursive: { chunkSize: 1000, chunkOverlap: 200 },
+  sentence: { chunkSize: 1000, chunkOverlap: 200 },
+  markdown: { chunkSize: 1000, chunkOverlap: 200 },
+  token: { chunkSize: 250, chunkOverlap: 50 }
+};
+const MAX_CHUNK_SIZE = 20000;
+
+// Separators tried in order when a piece of text is too large: paragraphs, lines, sentences, words
+const PARAGRAPH_SEPARATOR = /\n\s*\n/g;
+const LINE_SEPARATOR = /\n/g;
+const SENTENCE_SEPARATOR = /(?<=[.!?])\s+/g;
+const WORD_SEPARATOR = /\s+/g;
+const RECURSIVE_SEPARATORS = [PARAGRAPH_SEPARATOR, LINE_SEPARATOR, SENTENCE_SEPARATOR, WORD_SEPARATOR];
+
+/**
+ * Validates chunking options from a request or collection
+ * @param {*} chunking - Chunking options ({ strategy, chunkSize, chunkOverlap }); undefined is allowed
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateChunkingOptions = (chunking) => {
+  if (chunking === undefined || chunking === null) {
+    return null;
+  }
+  if (typeof chunking !== 'object' || Array.isArray(chunking)) {
+    return 'chunking must be an object';
+  }
+
+  const { strategy, chunkSize, chunkOverlap } = chunking;
+  if (strategy !== undefined && !CHUNKING_STRATEGIES.includes(strategy)) {
+    return `Invalid chunking strategy "${strategy}". Expected one of: ${CHUNKING_STRATEGIES.join(', ')}`;
+  }
+  if (chunkSize !== undefined && !(Number.isInteger(chunkSize) && chunkSize >= 1 && chunkSize <= MAX_CHUNK_SIZE)) {
+    return `chunkSize must be an integer between 1 and ${MAX_CHUNK_SIZE}`;
+  }
+  if (chunkOverlap !== undefined && !(Number.isInteger(chunkOverlap) && chunkOverlap >= 0)) {
+    return 'chunkOverlap must be a non-negative integer';
+  }
+  if (chunkSize !== undefined && chunkOverlap !== undefined && chunkOverlap >= chunkSize) {
+    return 'chunkOverlap must be smaller than chunkSize';
+  }
+  return null;
+};
+
+/**
+ * Resolves the chunking options to use, later layers overriding earlier ones
+ * (e.g. collection settings, then request options). A layer that switches strategy drops the sizes set
+ * by earlier layers, since sizes are measured per strategy. Unset sizes fall back to the strategy's defaults.
+ * @param {...Object} layers - Partial chunking options
+ * @returns {{strategy: string, chunkSize: number, chunkOverlap: number}} - Complete chunking options
+ */
+const resolveChunkingOptions = (...layers) => {
+  const options = layers.filter(Boolean).reduce((merged, layer) => {
+    const switchesStrategy = layer.strategy && layer.strategy !== (merged.strategy || DEFAULT_CHUNKING_STRATEGY);
+    return { ...(switchesStrategy ? {} : merged), ...layer };
+  }, {});
+  const strategy = options.strategy || DEFAULT_CHUNKING_STRATEGY;
+  const chunkSize = options.chunkSize ?? STRATEGY_DEFAULTS[strategy].chunkSize;
+  const chunkOverlap = Math.min(options.chunkOverlap ?? STRATEGY_DEFAULTS[strategy].chunkOverlap, chunkSize - 1);
+  return { strategy, chunkSize, chunkOverlap };
+};
+
+/**
+ * Narrows a range of the text so it does not start or end with whitespace
+ * @param {string} text - Text
+ * @param {number} start - Range start
+ * @param {number} end - Range end (exclusive)
+ * @returns {{start: number, end: number}|null} - Trimmed range, or null if it only holds whitespace
+ */
+const trimRange = (text, start, end) => {
+  while (start < end && /\s/.test(text[start])) {
+    start++;
+  }
+  while (end > start && /\s/.test(text[end - 1])) {
+    end--;
+  }
+  return start < end ? { start, end } : null;
+};
+
+/**
+ * Splits a range of the text at every match of a separator
+ * @param {string} text - Text
+ * @param {{start: number, end: number}} range - Range to split
+ * @param {RegExp} separator - Global separator pattern
+ * @returns {Array<{start: number, end: number}>} - Non-empty trimmed pieces
+ */
+const splitRange = (text, { start, end }, separator) => {
+  const pieces = [];
+  let pieceStart = start;
+  for (const match of text.slice(start, end).matchAll(separator)) {
+    pieces.push(trimRange(text, pieceStart, start + match.index));
+    pieceStart = start + match.index + match[0].length;
+  }
+  pieces.push(trimRange(text, pieceStart, end));
+  return pieces.filter(Boolean);
+};
+
+/**
+ * Breaks a range into pieces no larger than the chunk size, trying each separator in turn
+ * and cutting at a fixed length only when no separator is left
+ * @param {string} text - Text
+ * @param {{start: number, end: number}} range - Range to break up
+ * @param {Array<RegExp>} separators - Separators, coarsest first
+ * @param {number} maxLength - Maximum piece length in characters
+ * @returns {Array<{start: number, end: number}>} - Pieces, in order
+ */
+const splitRecursively = (text, range, separators, maxLength) => {
+  if (range.end - range.start <= maxLength) {
+    return [range];
+  }
+
+  if (separators.length === 0) {
+    const pieces = [];
+    for (let start = range.start; start < range.end; start += maxLength) {
+      pieces.push(trimRange(text, start, Math.min(start + maxLength, range.end)));
+    }
+    return pieces.filter(Boolean);
+  }
+
+  const [separator, ...finerSeparators] = separators;
+  return splitRange(text, range, separator)
+    .flatMap(piece => splitRecursively(text, piece, finerSeparators, maxLength));
+};
+
+/**
+ * Packs consecutive pieces into chunks of at most maxLength characters
+ * Each chunk after the first repeats the trailing pieces of the previous chunk that fit in the overlap.
+ * @param {Array<{start: number, end: number}>} pieces - Pieces, in order
+ * @param {number} maxLength - Maximum chunk length in characters
+ * @param {number} overlapLength - Maximum overlap length in characters
+ * @returns {Array<{start: number, end: number}>} - Chunk ranges
+ */
+const packPieces = (pieces, maxLength, overlapLength) => {
+  const chunks = [];
+  let current = [];
+
+  for (const piece of pieces) {
+    if (current.length > 0 && piece.end - current[0].start > maxLength) {
+      chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+
+      // Carry over the trailing pieces that fit in the overlap and still leave room for the new piece
+      let keepFrom = current.length;
+      while (keepFrom > 0) {
+        const start = current[keepFrom - 1].start;
+        if (current[current.length - 1].end - start > overlapLength || piece.end - start > maxLength) {
+          break;
+        }
+        keepFrom--;
+      }
+      current = current.slice(keepFrom);
+    }
+    current.push(piece);
+  }
+
+  if (current.length > 0) {
+    chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+  }
+  return chunks;
+};
+
+/**
+ * Splits Markdown into heading-delimited sections (headings inside code fences are ignored)
+ * @param {string} text - Markdown text
+ * @returns {Array<{start: number, end: number, sectionPath: string|null}>} - Sections with their heading path
+ */
+const markdownSections = (text) => {
+  const sections = [];
+  const headings = [];
+  let sectionStart = 0;
+  let sectionPath = null;
+  let inFence = false;
+
+  for (const line of text.matchAll(/^.*$/gm)) {
+    if (/^\s*(```|~~~)/.test(line[0])) {
+      inFence = !inFence;
+      continue;
+    }
+    const heading = !inFence && line[0].match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!heading) {
+      continue;
+    }
+
+    sections.push({ start: sectionStart, end: line.index, sectionPath });
+    const level = heading[1].length;
+    headings.splice(level - 1, headings.length, heading[2]);
+    sectionPath = headings.filter(Boolean).join(' > ');
+    sectionStart = line.index;
+  }
+  sections.push({ start: sectionStart, end: text.length, sectionPath });
+
+  return sections
+    .map(section => ({ ...trimRange(text, section.start, section.end), sectionPath: section.sectionPath }))
+    .filter(section => section.start !== undefined);
+};
+
+/**
+ * Cuts text into chunks with the given strategy
+ * - recursive: paragraphs, then lines, sentences and words for pieces that are still too large
+ * - sentence: whole sentences (paragraph breaks also end a sentence)
+ * - token: whole words, sized by estimated tokens
+ * - markdown: like recursive, but chunks never span two heading sections and carry their `section_path`
+ * @param {string} text - Text to chunk
+ * @param {Object} chunking - Chunking options ({ strategy, chunkSize, chunkOverlap }); missing fields use defaults
+ * @returns {Array<{start: number, end: number, metadata: Object}>} - Chunk ranges of the text, in order
+ */
+const chunkText = (text, chunking = {}) => {
+  const { strategy, chunkSize, chunkOverlap } = resolveChunkingOptions(chunking);
+  const whole = text && trimRange(text, 0, text.length);
+  if (!whole) {
+    return [];
+  }
+
+  // The token strategy measures in estimated tokens; convert to characters
+  const scale = strategy === 'token' ? CHARS_PER_TOKEN : 1;
+  const maxLength = chunkSize * scale;
+  const overlapLength = chunkOverlap * scale;
+
+  const chunkRange = (range, separators) =>
+    packPieces(splitRecursively(text, range, separators, maxLength), maxLength, overlapLength);
+
+  switch (strategy) {
+    case 'sentence':
+      return packPieces(
+        splitRange(text, whole, /(?<=[.!?])\s+|\n\s*\n/g)
+          .flatMap(sentence => splitRecursively(text, sentence, [WORD_SEPARATOR], maxLength)),
+        maxLength,
+        overlapLength
+      ).map(range => ({ ...range, metadata: {} }));
+    case 'token':
+      return packPieces(splitRange(text, whole, WORD_SEPARATOR)
+        .flatMap(word => splitRecursively(text, word, [], maxLength)), maxLength, overlapLength)
+        .map(range => ({ ...range, metadata: {} }));
+    case 'markdown':
+      return markdownSections(text).flatMap(section =>
+        chunkRange(section, RECURSIVE_SEPARATORS).map(range => ({
+          ...range,
+          metadata: section.sectionPath ? { section_path: section.sectionPath } : {}
+        }))
+      );
+    default:
+      return chunkRange(whole, RECURSIVE_SEPARATORS).map(range => ({ ...range, metadata: {} }));
+  }
+};
+
+module.exports = {
+  CHUNKING_STRATEGIES,
+  DEFAULT_CHUNKING_STRATEGY,
+  validateChunkingOptions,
+  resolveChunkingOptions,
+  chunkText
+};
@@ -0,0 +1,79 @@
+/**
+ * Citations
+ * Maps the [n] markers in a generated answer to the numbered contexts given to the LLM
+ */
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('citations');
+
+// One marker may cite several contexts, e.g. [1] or [1, 3]. Brackets right after a word
+// (e.g. items[0] in code) are not markers.
+const MARKER_PATTERN = /(\s*)(?<![\w`])\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Describes where a context comes from, for the prompt and for citations
+ * @param {Object} metadata - Chunk metadata
+ * @returns {Object} - Source location ({ filename, page?, slide?, sectionPath? })
+ */
+const sourceLocation = (metadata = {}) => ({
+  filename: metadata.source_file || 'Unknown',
+  ...(metadata.page && { page: metadata.page }),
+  ...(metadata.slide && { slide: metadata.slide }),
+  ...(metadata.section_path && { sectionPath: metadata.section_path })
+});
+
+/**
+ * Builds the citation entry for a context
+ * @param {number} marker - Marker number (1-based context position)
+ * @param {Object} context - Retrieved context ({ id, metadata })
+ * @returns {Object} - Citation
+ */
+const toCitation = (marker, context) => {
+  const metadata = context.metadata || {};
+  return {
+    marker,
+    documentId: metadata.document_id || null,
+    chunkId: context.id || null,
+    chunkIndex: metadata.chunk_index ?? null,
+    ...sourceLocation(metadata)
+  };
+};
+
+/**
+ * Resolves the citation markers in a generated answer
+ * Markers that point to contexts that were not provided are removed from the text and reported.
+ * @param {string} text - Generated answer
+ * @param {Array<Object>} contexts - Contexts given to the LLM, in marker order
+ * @returns {{response: string, citations: Array<Object>, invalidCitations: Array<number>}} - Cleaned
+ *   answer, one citation per cited context (by marker), and the invalid marker numbers
+ */
+const resolveCitations = (text, contexts = []) => {
+  const cited = new Set();
+  const invalid = new Set();
+
+  const response = text.replace(MARKER_PATTERN, (match, whitespace, list) => {
+    const markers = list.split(',').map(marker => parseInt(marker, 10));
+    const valid = markers.filter(marker => marker >= 1 && marker <= contexts.length);
+    markers.filter(marker => !valid.includes(marker)).forEach(marker => invalid.add(marker));
+    valid.forEach(marker => cited.add(marker));
+    return valid.length > 0 ? `${whitespace}[${valid.join(', ')}]` : '';
+  });
+
+  if (invalid.size > 0) {
+    logger.info(`Removed citations to unknown contexts: ${Array.from(invalid).join(', ')}`);
+  }
+
+  return {
+    response,
+    citations: Array.from(cited)
+      .sort((a, b) => a - b)
+      .map(marker => toCitation(marker, contexts[marker - 1])),
+    invalidCitations: Array.from(invalid).sort((a, b) => a - b)
+  };
+};
+
+module.exports = {
+  sourceLocation,
+  resolveCitations
+};
@@ -0,0 +1,125 @@
+/**
+ * Collection Registry
+ * Durable record of the knowledge bases (named collections), persisted as a JSON file in the data directory
+ */
+
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./fileStore');
+
+// Collection used when a request does not name one
+const DEFAULT_COLLECTION_NAME = process.env.DEFAULT_COLLECTION_NAME || 'global_documents';
+
+// Letters, digits, underscores and dashes; valid for both Qdrant and local file names
+const COLLECTION_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class CollectionRegistry {
+  constructor() {
+    this.filePath = process.env.COLLECTION_REGISTRY_PATH || path.join(DATA_DIR, 'collections.json');
+    this.collections = null;
+  }
+
+  /**
+   * Loads collections from disk on first use, always including the default collection
+   * @returns {Map<string, Object>} - Collections by name
+   */
+  _load() {
+    if (!this.collections) {
+      const data = readJson(this.filePath);
+      this.collections = new Map(((data && data.collections) || []).map(c => [c.name, c]));
+      this._ensureDefault();
+    }
+    return this.collections;
+  }
+
+  /**
+   * Registers the default collection if it is missing
+   */
+  _ensureDefault() {
+    if (!this.collections.has(DEFAULT_COLLECTION_NAME)) {
+      const now = new Date().toISOString();
+      this.collections.set(DEFAULT_COLLECTION_NAME, {
+        name: DEFAULT_COLLECTION_NAME,
+        description: 'Default knowledge base',
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+  }
+
+  /**
+   * Writes all collections to disk
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    await writeJson(this.filePath, {
+      collections: Array.from(this._load().values())
+    });
+  }
+
+  /**
+   * Checks whether a collection name is valid
+   * @param {string} name - Collection name
+   * @returns {boolean} - True if the name is valid
+   */
+  isValidName(name) {
+    return typeof name === 'string' && COLLECTION_NAME_PATTERN.test(name);
+  }
+
+  /**
+   * Lists all registered collections
+   * @returns {Array<Object>} - Collection records
+   */
+  list() {
+    return Array.from(this._load().values());
+  }
+
+  /**
+   * Gets a collection record
+   * @param {string} name - Collection name
+   * @returns {Object|null} - Collection record, or null if not registered
+   */
+  get(name) {
+    return this._load().get(name) || null;
+  }
+
+  /**
+   * Registers a new collection or updates an existing one
+   * @param {string} name - Collection name
+   * @param {Object} fields - Fields to set (e.g. description)
+   * @returns {Promise<Object>} - Stored record
+   */
+  async upsert(name, fields = {}) {
+    const now = new Date().toISOString();
+    const existing = this.get(name);
+
+    const stored = {
+      name,
+      createdAt: now,
+      ...existing,
+      ...fields,
+      updatedAt: now
+    };
+    this._load().set(name, stored);
+    await this._save();
+    return stored;
+  }
+
+  /**
+   * Removes a collection record (the default collection is immediately re-registered empty)
+   * @param {string} name - Collection name
+   * @returns {Promise<boolean>} - Whether a record was removed
+   */
+  async remove(name) {
+    const removed = this._load().delete(name);
+    if (removed) {
+      this._ensureDefault();
+      await this._save();
+    }
+    return removed;
+  }
+}
+
+// Singleton instance
+const collectionRegistry = new CollectionRegistry();
+module.exports = collectionRegistry;
+module.exports.DEFAULT_COLLECTION_NAME = DEFAULT_COLLECTION_NAME;
@@ -3,122 +3,316 @@
  * Handles LLM interactions for generating content based on retrieved contexts
  */
 
-const { Configuration, OpenAIApi } = require('openai');
+const llmProvider = require('./llmProvider');
+const { estimateTokens, estimateMessagesTokens } = require('./tokenCounter');
+const { sourceLocation } = require('./citations');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('content_generator');
+
+// Largest max tokens a chat request may ask for
+const MAX_GENERATION_TOKENS = 4096;
 
 class ContentGenerator {
   constructor() {
-    // Initialize OpenAI API if available
-    this.openai = null;
-    
-    if (process.env.OPENAI_API_KEY) {
-      const configuration = new Configuration({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-      this.openai = new OpenAIApi(configuration);
-      console.log('[LOG content_generator] ========= OpenAI API initialized');
-    } else {
-      console.log('[LOG content_generator] ========= No OpenAI API key found, using mock content generation');
-    }
+    // LLM backend selected by LLM_PROVIDER (see llmProvider.js)
+    this.llm = llmProvider;
     
     // Default system prompt for RAG responses
     this.defaultSystemPrompt = 
       'You are a helpful assistant that answers questions based on the context provided. ' +
       'Your job is to provide accurate, helpful information from the context. ' +
       'If the context doesn\'t contain information to answer the question, say "I don\'t have enough information to answer this question." ' +
-      'Do not make up information or use knowledge outside of the provided context.';
+      'Do not make up information or use knowledge outside of the provided context. ' +
+      'The contexts are numbered. After each statement, cite the contexts that support it with their numbers ' +
+      'in square brackets, e.g. [1] or [1, 3]. Only cite numbers of contexts that were provided.';
+    
+    // Prompt used to rewrite follow-up questions into standalone search queries
+    this.condenseSystemPrompt =
+      'Given a conversation and a follow-up question, rephrase the follow-up question to be a standalone question ' +
+      'that can be understood without the conversation. Resolve pronouns and references such as "it" or "the second one". ' +
+      'Return only the standalone question. If the follow-up question is already standalone, return it unchanged.';
+
+    // Prompt used to score how relevant retrieved passages are to a question
+    this.rerankSystemPrompt =
+      'You rate how useful passages are for answering a question. For each passage, give a score from 0 ' +
+      '(irrelevant) to 10 (directly answers the question). Respond with only a JSON array of numbers, ' +
+      'one score per passage, in the order the passages were given.';
   }
 
   /**
-   * Generates a response based on user query and retrieved contexts
+   * Builds the chat messages sent to the LLM
    * @param {string} query - User query
    * @param {Array<Object>} contexts - Retrieved context documents
+   * @param {string} systemPrompt - System prompt
+   * @param {Array<Object>} history - Prior conversation turns ({ role, content })
+   * @returns {Array<Object>} - Chat completion messages
+   */
+  _buildMessages(query, contexts, systemPrompt, history = []) {
+    // Number the contexts so the answer can cite them as [1], [2], ...
+    const contextText = contexts.map((ctx, index) => {
+      const { filename, page, slide, sectionPath } = sourceLocation(ctx.metadata);
+      const location = [filename, page && `page ${page}`, slide && `slide ${slide}`, sectionPath].filter(Boolean).join(', ');
+      return `[${index + 1}] (source: ${location})\n${ctx.content}\n`;
+    }).join('\n');
+
+    return [
+      { role: 'system', content: systemPrompt },
+      ...history.map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: `CONTEXTS:\n${contextText}\n\nQUESTION: ${query}\n\nPlease provide a response based on the above contexts, citing them by number.` }
+    ];
+  }
+
+  /**
+   * Describes the LLM provider in use
+   * @returns {Object} - Provider name and default model
+   */
+  describe() {
+    return this.llm.describe();
+  }
+
+  /**
+   * Validates per-request generation options
    * @param {Object} options - Generation options
-   * @returns {Promise<string>} - Generated response
+   * @param {string} options.model - Model to use instead of the provider's default
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.maxTokens - Maximum tokens to generate
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateGenerationOptions({ model, temperature, maxTokens } = {}) {
+    if (model !== undefined && (typeof model !== 'string' || model.trim().length === 0 || model.length > 200)) {
+      return 'model must be a non-empty string';
+    }
+    if (temperature !== undefined && (typeof temperature !== 'number' || !(temperature >= 0 && temperature <= 2))) {
+      return 'temperature must be a number between 0 and 2';
+    }
+    if (maxTokens !== undefined && !(Number.isInteger(maxTokens) && maxTokens >= 1 && maxTokens <= MAX_GENERATION_TOKENS)) {
+      return `maxTokens must be an integer between 1 and ${MAX_GENERATION_TOKENS}`;
+    }
+    return null;
+  }
+
+  /**
+   * Generates a response based on user query and retrieved contexts
+   * Provider failures are thrown (with `statusCode` 502) rather than replaced by a canned answer.
+   * @param {string} query - User query
+   * @param {Array<Object>} contexts - Retrieved context documents
+   * @param {Object} options - Generation options (model, temperature, maxTokens, timeoutMs, systemPrompt, history)
+   * @returns {Promise<{text: string, model: string}>} - Generated response and the model the provider used
    */
   async generateResponse(query, contexts = [], options = {}) {
+    const {
+      model,
+      systemPrompt = this.defaultSystemPrompt,
+      temperature,
+      maxTokens,
+      timeoutMs,
+      history = []
+    } = options;
+
+    // Create messages array for the chat completion
+    const messages = this._buildMessages(query, contexts, systemPrompt, history);
+
+    logger.info(`Generating response with ${contexts.length} contexts`, { query });
+
     try {
-      // If no OpenAI API key is available, use mock response
-      if (!this.openai) {
-        return this._generateMockResponse(query, contexts);
-      }
+      const completion = await this._callLlm('complete', {
+        messages,
+        model,
+        temperature,
+        maxTokens,
+        timeoutMs,
+        task: { type: 'answer', query, contexts }
+      });
+      logger.info(`Response generated successfully (${completion.text.length} chars)`, { model: completion.model });
+      return completion;
+    } catch (error) {
+      logger.error('Error generating response', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrites a follow-up question into a standalone query using the conversation history
+   * @param {string} query - Follow-up question
+   * @param {Array<Object>} history - Prior conversation turns ({ role, content })
+   * @param {Object} options - Generation options
+   * @returns {Promise<string|null>} - Standalone query, or null if condensing failed
+   */
+  async condenseQuery(query, history = [], options = {}) {
+    if (history.length === 0) {
+      return query;
+    }
 
-      // Extract options with defaults
-      const { 
-        model = 'gpt-3.5-turbo',
-        systemPrompt = this.defaultSystemPrompt,
-        temperature = 0.7,
-        maxTokens = 500,
-        timeoutMs = 30000 
+    try {
+      const {
+        model,
+        timeoutMs = 15000
       } = options;
 
-      // Extract content from contexts
-      const contextText = contexts.map(ctx => {
-        return `CONTEXT: ${ctx.content}\n`;
-      }).join('\n');
-
-      // Create messages array for the chat completion
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `${contextText}\n\nQUESTION: ${query}\n\nPlease provide a response based on the above context.` }
-      ];
-
-      console.log(`[LOG content_generator] ========= Generating response for query: "${query}" with ${contexts.length} contexts`);
-      
-      // Create a timeout promise
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`LLM request timed out after ${timeoutMs}ms`)), timeoutMs);
-      });
-      
-      // Create the completion request promise
-      const completionPromise = this.openai.createChatCompletion({
+      const transcript = history
+        .map(({ role, content }) => `${role === 'user' ? 'User' : 'Assistant'}: ${content}`)
+        .join('\n');
+
+      logger.info('Condensing follow-up query', { query });
+
+      const { text: standaloneQuery } = await this._callLlm('complete', {
+        messages: [
+          { role: 'system', content: this.condenseSystemPrompt },
+          { role: 'user', content: `CONVERSATION:\n${transcript}\n\nFOLLOW-UP QUESTION: ${query}\n\nSTANDALONE QUESTION:` }
+        ],
         model,
-        messages,
-        temperature,
-        max_tokens: maxTokens,
+        temperature: 0,
+        maxTokens: 200,
+        timeoutMs,
+        task: { type: 'condense', query, history }
       });
-      
-      // Race the promises to implement a timeout
-      const response = await Promise.race([completionPromise, timeoutPromise]);
-      
-      const generatedText = response.data.choices[0].message.content.trim();
-      console.log(`[LOG content_generator] ========= Response generated successfully (${generatedText.length} chars)`);
-      
-      return generatedText;
+      logger.info('Condensed query', { standaloneQuery });
+
+      return standaloneQuery || query;
     } catch (error) {
-      console.error('[LOG content_generator] ========= Error generating response:', error);
-      // Fallback to mock response in case of error
-      return this._generateMockResponse(query, contexts);
+      logger.warn('Error condensing query', { error });
+      // The caller falls back to the original question rather than failing the chat request
+      return null;
     }
   }
 
   /**
-   * Generates a mock response for development/testing
+   * Scores how relevant each passage is to a query, for re-ranking retrieved contexts
    * @param {string} query - User query
    * @param {Array<Object>} contexts - Retrieved context documents
-   * @returns {string} - Mock response
+   * @param {Object} options - Generation options
+   * @returns {Promise<Array<number>|null>} - One score in [0, 1] per context, or null if scoring failed
    */
-  _generateMockResponse(query, contexts = []) {
-    console.log(`[LOG content_generator] ========= Generating mock response for: "${query}"`);
-    
+  async scoreRelevance(query, contexts = [], options = {}) {
     if (contexts.length === 0) {
-      return "I don't have enough information to answer this question as no context was provided.";
+      return [];
     }
-    
-    // Create a simple but plausible response based on the contexts
-    let response = `Based on the information I have, I can tell you that `;
-    
-    // Extract a few sentences from the contexts
-    const contextSamples = contexts.slice(0, 2).map(ctx => {
-      const sentences = ctx.content.split(/[.!?]+/).filter(s => s.trim().length > 0);
-      return sentences.slice(0, 2).join('. ') + '.';
-    });
-    
-    response += contextSamples.join(' Furthermore, ');
-    
-    // Add a disclaimer
-    response += ` This information is directly based on the context provided. Is there anything specific about this you'd like me to elaborate on?`;
-    
-    return response;
+
+    try {
+      const {
+        model,
+        timeoutMs = 20000,
+        maxPassageChars = 1000
+      } = options;
+
+      const passages = contexts
+        .map((ctx, index) => `[${index + 1}] ${ctx.content.slice(0, maxPassageChars)}`)
+        .join('\n\n');
+
+      logger.debug(`Scoring relevance of ${contexts.length} passages`);
+
+      const { text: completion } = await this._callLlm('complete', {
+        messages: [
+          { role: 'system', content: this.rerankSystemPrompt },
+          { role: 'user', content: `QUESTION: ${query}\n\nPASSAGES:\n${passages}\n\nSCORES:` }
+        ],
+        model,
+        temperature: 0,
+        maxTokens: 10 + contexts.length * 4,
+        timeoutMs,
+        task: { type: 'rerank', query, contexts }
+      });
+      const match = completion.match(/\[[\s\S]*\]/);
+      const scores = match ? JSON.parse(match[0]) : null;
+
+      if (!Array.isArray(scores) || scores.length !== contexts.length || !scores.every(Number.isFinite)) {
+        throw new Error('Rerank response is not one number per passage');
+      }
+      return scores.map(score => Math.min(Math.max(score, 0), 10) / 10);
+    } catch (error) {
+      logger.warn('Error scoring relevance', { error });
+      // The caller keeps the retrieval order rather than failing the chat request
+      return null;
+    }
+  }
+
+  /**
+   * Streams a response token by token based on user query and retrieved contexts
+   * Provider failures are thrown (with `statusCode` 502) rather than replaced by a canned answer.
+   * @param {string} query - User query
+   * @param {Array<Object>} contexts - Retrieved context documents
+   * @param {Object} options - Generation options (same as generateResponse, plus signal)
+   * @param {Function} onDelta - Called with each text delta as it arrives
+   * @returns {Promise<{text: string, usage: Object, model: string}>} - Full text, token usage and the model the provider used
+   */
+  async streamResponse(query, contexts = [], options = {}, onDelta = () => {}) {
+    const {
+      model,
+      systemPrompt = this.defaultSystemPrompt,
+      temperature,
+      maxTokens,
+      timeoutMs,
+      history = [],
+      signal
+    } = options;
+
+    const messages = this._buildMessages(query, contexts, systemPrompt, history);
+    let text = '';
+    let usedModel;
+
+    logger.info(`Streaming response with ${contexts.length} contexts`, { query });
+
+    try {
+      ({ model: usedModel } = await this._callLlm('stream', {
+        messages,
+        model,
+        temperature,
+        maxTokens,
+        timeoutMs,
+        signal,
+        task: { type: 'answer', query, contexts }
+      }, (delta) => {
+        text += delta;
+        onDelta(delta);
+      }));
+    } catch (error) {
+      logger.error('Error streaming response', { error });
+      throw error;
+    }
+
+    logger.info(`Streamed response successfully (${text.length} chars)`, { model: usedModel });
+    return { text, usage: this._estimateUsage(messages, text), model: usedModel };
+  }
+
+  /**
+   * Calls the LLM provider, recording its latency and outcome by task
+   * @param {string} method - Provider method: complete or stream
+   * @param {Object} request - Completion request (its task.type labels the metrics)
+   * @param {Function} onDelta - Delta callback for stream
+   * @returns {Promise<*>} - Result of the provider call
+   */
+  async _callLlm(method, request, onDelta) {
+    const labels = { provider: this.llm.provider, task: request.task.type };
+    const endTimer = metrics.llmRequestDuration.startTimer(labels);
+    try {
+      const result = await this.llm[method](request, onDelta);
+      endTimer({ outcome: 'success' });
+      metrics.llmRequestsTotal.inc({ ...labels, outcome: 'success' });
+      return result;
+    } catch (error) {
+      endTimer({ outcome: 'error' });
+      metrics.llmRequestsTotal.inc({ ...labels, outcome: 'error' });
+      throw error;
+    }
+  }
+
+  /**
+   * Estimates token usage for a completion (streaming responses don't report usage)
+   * @param {Array<Object>} messages - Prompt messages
+   * @param {string} completion - Generated text
+   * @returns {Object} - Token usage
+   */
+  _estimateUsage(messages, completion) {
+    const promptTokens = estimateMessagesTokens(messages);
+    const completionTokens = estimateTokens(completion);
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated: true
+    };
   }
 }
 
@@ -0,0 +1,146 @@
+/**
+ * Conversation Store
+ * Server-side chat sessions with their message history, persisted as a JSON file in the data directory
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR, readJson, writeJson } = require('./fileStore');
+const { estimateTokens } = require('./tokenCounter');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('conversation_store');
+
+// Default number of tokens of prior turns sent along with each question
+const DEFAULT_HISTORY_TOKEN_BUDGET = 1000;
+
+class ConversationStore {
+  constructor() {
+    this.filePath = process.env.CONVERSATION_STORE_PATH || path.join(DATA_DIR, 'conversations.json');
+    this.historyTokenBudget = parseInt(process.env.CONVERSATION_HISTORY_TOKEN_BUDGET || DEFAULT_HISTORY_TOKEN_BUDGET, 10);
+    this.conversations = null;
+  }
+
+  /**
+   * Loads conversations from disk on first use
+   * @returns {Map<string, Object>} - Conversations by ID
+   */
+  _load() {
+    if (!this.conversations) {
+      const data = readJson(this.filePath);
+      this.conversations = new Map(((data && data.conversations) || []).map(c => [c.conversationId, c]));
+      logger.info(`Loaded ${this.conversations.size} conversations`);
+    }
+    return this.conversations;
+  }
+
+  /**
+   * Writes all conversations to disk
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    await writeJson(this.filePath, {
+      conversations: Array.from(this._load().values())
+    });
+  }
+
+  /**
+   * Creates a new, empty conversation
+   * @param {Object} options - Conversation options
+   * @param {string} options.title - Optional human readable title
+   * @returns {Promise<Object>} - Created conversation
+   */
+  async create({ title = null } = {}) {
+    const now = new Date().toISOString();
+    const conversation = {
+      conversationId: uuidv4(),
+      title,
+      messages: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this._load().set(conversation.conversationId, conversation);
+    await this._save();
+    return conversation;
+  }
+
+  /**
+   * Gets a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Object|null} - Conversation, or null if not found
+   */
+  get(conversationId) {
+    return this._load().get(conversationId) || null;
+  }
+
+  /**
+   * Deletes a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<boolean>} - Whether the conversation existed
+   */
+  async delete(conversationId) {
+    const deleted = this._load().delete(conversationId);
+    if (deleted) {
+      await this._save();
+    }
+    return deleted;
+  }
+
+  /**
+   * Appends messages (e.g. a user question and the assistant answer) to a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Array<Object>} messages - Messages with role and content, plus optional extra fields
+   * @returns {Promise<Object|null>} - Updated conversation, or null if not found
+   */
+  async appendMessages(conversationId, messages) {
+    const conversation = this.get(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    conversation.messages.push(...messages.map(message => ({ ...message, createdAt: now })));
+    conversation.updatedAt = now;
+    await this._save();
+    return conversation;
+  }
+
+  /**
+   * Gets the most recent messages of a conversation that fit in the token budget
+   * @param {string} conversationId - Conversation ID
+   * @param {number} tokenBudget - Maximum estimated tokens of history to return
+   * @returns {Array<{role: string, content: string}>} - Messages in chronological order
+   */
+  getHistory(conversationId, tokenBudget = this.historyTokenBudget) {
+    const conversation = this.get(conversationId);
+    if (!conversation) {
+      return [];
+    }
+
+    const history = [];
+    let usedTokens = 0;
+
+    // Walk backwards from the latest message and stop once the budget is exhausted
+    for (let i = conversation.messages.length - 1; i >= 0; i--) {
+      const { role, content } = conversation.messages[i];
+      const tokens = estimateTokens(content);
+      if (usedTokens + tokens > tokenBudget) {
+        break;
+      }
+      usedTokens += tokens;
+      history.unshift({ role, content });
+    }
+
+    // Never start the history with a dangling assistant answer
+    while (history.length > 0 && history[0].role !== 'user') {
+      history.shift();
+    }
+
+    return history;
+  }
+}
+
+// Singleton instance
+const conversationStore = new ConversationStore();
+module.exports = conversationStore;
@@ -5,21 +5,119 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { promisify } = require('util');
 const readFileAsync = promisify(fs.readFile);
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
-const { v4: uuidv4 } = require('uuid');
-const { Configuration, OpenAIApi } = require('openai');
+const { v5: uuidv5 } = require('uuid');
+const embeddingProvider = require('./embeddingProvider');
+const embeddingCache = require('./embeddingCache');
+const metrics = require('./metrics');
+const pdfExtractor = require('./extractors/pdfExtractor');
+const docxExtractor = require('./extractors/docxExtractor');
+const pptxExtractor = require('./extractors/pptxExtractor');
+const markdownExtractor = require('./extractors/markdownExtractor');
+const htmlExtractor = require('./extractors/htmlExtractor');
+const csvExtractor = require('./extractors/csvExtractor');
+const jsonExtractor = require('./extractors/jsonExtractor');
+const epubExtractor = require('./extractors/epubExtractor');
+const { stripBom } = require('./extractors/textUtils');
+const { chunkText } = require('./chunking');
+const { createLogger } = require('./logger');
 
-// Initialize OpenAI configuration if API key is available
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  const configuration = new Configuration({
-    apiKey: process.env.OPENAI_API_KEY,
+const logger = createLogger('document_processor');
+
+// Embedding requests: inputs per API call, API calls in flight, and timeout per call
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE || '100', 10);
+const EMBEDDING_CONCURRENCY = parseInt(process.env.EMBEDDING_CONCURRENCY || '2', 10);
+const EMBEDDING_TIMEOUT_MS = parseInt(process.env.EMBEDDING_TIMEOUT_MS || '30000', 10);
+
+// Strict mode: embedding failures fail the request instead of substituting random mock vectors, which would be
+// stored next to real ones and never match a query. On by default in production.
+const EMBEDDING_STRICT = process.env.EMBEDDING_STRICT
+  ? process.env.EMBEDDING_STRICT === 'true'
+  : process.env.NODE_ENV === 'production';
+
+// Optional cap on the chunks indexed per document (0 = no limit); chunks past it are reported as skipped
+const MAX_CHUNKS_PER_DOCUMENT = parseInt(process.env.MAX_CHUNKS_PER_DOCUMENT || '0', 10);
+
+// Namespace for chunk IDs derived from their document, position and content
+const CHUNK_ID_NAMESPACE = '3f1d8f52-6c0b-4e8e-9a51-2f4b7c9d0e16';
+
+// Time until which embedding requests wait after the API reported a rate limit, shared by all requests
+let rateLimitedUntil = 0;
+
+/**
+ * Computes the SHA-256 checksum of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Hex-encoded checksum
+ */
+const computeFileChecksum = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
   });
-  openai = new OpenAIApi(configuration);
-}
+};
+
+/**
+ * Computes the SHA-256 hash of a chunk's content
+ * @param {string} content - Chunk content
+ * @returns {string} - Hex-encoded hash
+ */
+const computeContentHash = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Derives a chunk's ID from its document, position and content, so re-indexing the same content yields the same IDs
+ * @param {Object} metadata - Chunk metadata (document_id, chunk_index and content_hash)
+ * @returns {string} - UUID
+ */
+const chunkId = ({ document_id: documentId = '', chunk_index: chunkIndex, content_hash: contentHash }) =>
+  uuidv5(`${documentId}:${chunkIndex}:${contentHash}`, CHUNK_ID_NAMESPACE);
+
+// File extensions and the extractor type handling them
+const FILE_TYPES_BY_EXTENSION = {
+  pdf: 'pdf',
+  docx: 'docx',
+  doc: 'docx',
+  jpg: 'image',
+  jpeg: 'image',
+  png: 'image',
+  pptx: 'pptx',
+  ppt: 'ppt',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+  csv: 'csv',
+  json: 'json',
+  epub: 'epub',
+  txt: 'text'
+};
+
+/**
+ * Determines the file type from a filename's extension
+ * @param {string} filename - File name or path
+ * @param {string|null} fallback - Type to use for unknown extensions (default: text)
+ * @returns {string|null} - File type
+ */
+const getFileType = (filename, fallback = 'text') => {
+  const fileExtension = path.extname(filename).toLowerCase().substring(1);
+  return FILE_TYPES_BY_EXTENSION[fileExtension] || fallback;
+};
+
+// Separator between sections in a document's extracted text; chunk character offsets count it
+const SECTION_SEPARATOR = '\n\n';
+
+/**
+ * Reads a UTF-8 text file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - File content without byte order mark
+ */
+const readTextFile = async (filePath) => {
+  return stripBom(await readFileAsync(filePath, 'utf8'));
+};
 
 /**
  * Extracts text content from various file types
@@ -30,84 +128,139 @@ if (process.env.OPENAI_API_KEY) {
 const extractTextFromFile = async (filePath, fileType) => {
   try {
     switch (fileType) {
-      case 'pdf':
-        const pdfBuffer = await readFileAsync(filePath);
-        const pdfData = await pdfParse(pdfBuffer);
-        return pdfData.text;
-      case 'docx':
-        const docxBuffer = await readFileAsync(filePath);
-        const docxResult = await mammoth.extractRawText({ buffer: docxBuffer });
-        return docxResult.value;
       case 'image':
         // For images, return file reference (OCR could be implemented in the future)
         return `[Image: ${path.basename(filePath)}]`;
-      case 'ppt':
-        // PPT extraction would require additional libraries
-        return `[PowerPoint: ${path.basename(filePath)}]`;
+      case 'text':
+        return await readTextFile(filePath);
+      case 'pdf':
+      case 'docx':
+      case 'pptx':
+      case 'markdown':
+      case 'html':
+      case 'csv':
+      case 'json':
+      case 'epub':
+        const sections = await extractSections(filePath, fileType);
+        return sections.map(section => section.content).join(SECTION_SEPARATOR);
       default:
         return `[Unsupported file type: ${fileType}]`;
     }
   } catch (error) {
-    console.error(`[LOG document_processor] ========= Error extracting text from ${filePath}:`, error);
+    logger.error(`Error extracting text from ${filePath}`, { error });
     return `[Error extracting content from file: ${path.basename(filePath)}]`;
   }
 };
 
 /**
- * Splits text into chunks of specified size with overlap
- * @param {string} text - Text to split into chunks
- * @param {number} chunkSize - Maximum number of characters per chunk
- * @param {number} overlap - Number of characters to overlap between chunks
- * @returns {Array<{id: string, content: string, metadata: Object}>} - Array of chunks
+ * Extracts a file as a list of sections, each carrying metadata for the chunks cut from it
+ * (page and slide numbers, heading paths, table row ranges, chapter titles). Formats without structure yield a single section.
+ * @param {string} filePath - Path to the file
+ * @param {string} fileType - Type of the file (pdf, docx, pptx, markdown, html, csv, json, epub, text, etc.)
+ * @returns {Promise<Array<{content: string, metadata: Object}>>} - Extracted sections
  */
-const splitTextIntoChunks = (text, chunkSize = 1000, overlap = 200, metadata = {}) => {
-  if (!text || text.length === 0) {
-    return [];
-  }
-
-  // Split by paragraphs first to maintain coherence
-  const paragraphs = text.split(/\n\s*\n/);
-  const chunks = [];
-  let currentChunk = '';
-  
-  for (const paragraph of paragraphs) {
-    // If adding this paragraph would exceed chunk size, store current chunk and start a new one
-    if (currentChunk.length + paragraph.length > chunkSize && currentChunk.length > 0) {
-      chunks.push({
-        id: uuidv4(),
-        content: currentChunk.trim(),
-        metadata: { ...metadata }
-      });
-      // Start new chunk with overlap from the end of the previous chunk
-      const overlapText = currentChunk.length > overlap 
-        ? currentChunk.slice(-overlap) 
-        : currentChunk;
-      currentChunk = overlapText + " " + paragraph;
-    } else {
-      // Add the paragraph to the current chunk
-      currentChunk += (currentChunk ? "\n\n" : "") + paragraph;
+const extractSections = async (filePath, fileType) => {
+  switch (fileType) {
+    case 'pdf': {
+      const buffer = await readFileAsync(filePath);
+      const pages = await pdfExtractor.extractPages(buffer);
+      return pages.map(page => ({ content: page.content, metadata: { page: page.pageNumber } }));
+    }
+    case 'docx':
+      return docxExtractor.extractSections(await readFileAsync(filePath));
+    case 'pptx': {
+      const buffer = await readFileAsync(filePath);
+      const slides = await pptxExtractor.extractSlides(buffer);
+      return slides.map(slide => ({
+        content: slide.content,
+        metadata: { slide: slide.slideNumber, slide_title: slide.title }
+      }));
     }
+    case 'markdown':
+      return markdownExtractor.extractSections(await readTextFile(filePath));
+    case 'html':
+      return htmlExtractor.extractSections(await readTextFile(filePath));
+    case 'csv':
+      return csvExtractor.extractSections(await readTextFile(filePath));
+    case 'json':
+      return jsonExtractor.extractSections(await readTextFile(filePath));
+    case 'epub': {
+      const buffer = await readFileAsync(filePath);
+      const chapters = await epubExtractor.extractChapters(buffer);
+      return chapters.flatMap(chapter => chapter.sections.map(section => ({
+        content: section.content,
+        metadata: { chapter: chapter.chapterNumber, chapter_title: chapter.title, ...section.metadata }
+      })));
+    }
+    case 'ppt':
+      throw new Error('Legacy PowerPoint (.ppt) files are not supported. Please save the presentation as .pptx and upload it again.');
+    default:
+      return [{ content: await extractTextFromFile(filePath, fileType), metadata: {} }];
   }
+};
 
-  // Add the last chunk if it's not empty
-  if (currentChunk.trim().length > 0) {
-    chunks.push({
-      id: uuidv4(),
-      content: currentChunk.trim(),
-      metadata: { ...metadata }
-    });
-  }
+/**
+ * Splits text into chunks with the given chunking strategy
+ * Each chunk records `char_start` and `char_end`, the range of the text it was cut from, and the `content_hash`
+ * of its content. Chunk IDs are derived from the document ID, chunk index and content hash.
+ * @param {string} text - Text to split into chunks
+ * @param {Object} chunking - Chunking options ({ strategy, chunkSize, chunkOverlap }, see chunking.js)
+ * @param {Object} metadata - Metadata to associate with chunks
+ * @returns {Array<{id: string, content: string, metadata: Object}>} - Array of chunks
+ */
+const splitTextIntoChunks = (text, chunking = {}, metadata = {}) => {
+  return chunkText(text, chunking).map((range, index) => {
+    const content = text.slice(range.start, range.end);
+    const chunkMetadata = {
+      // Metadata from extraction (e.g. a Markdown file's full heading path) wins over the chunker's
+      ...range.metadata,
+      ...metadata,
+      chunk_index: index,
+      char_start: range.start,
+      char_end: range.end,
+      content_hash: computeContentHash(content)
+    };
+    return { id: chunkId(chunkMetadata), content, metadata: chunkMetadata };
+  });
+};
 
-  return chunks;
+/**
+ * Splits extracted sections into chunks, numbering chunks across the whole document
+ * Character offsets are converted to offsets in the document's extracted text (sections joined by SECTION_SEPARATOR).
+ * @param {Array<{content: string, metadata: Object}>} sections - Extracted sections
+ * @param {Object} chunking - Chunking options ({ strategy, chunkSize, chunkOverlap })
+ * @param {Object} metadata - Metadata to associate with every chunk
+ * @returns {Array<{id: string, content: string, metadata: Object}>} - Array of chunks
+ */
+const chunkSections = (sections, chunking = {}, metadata = {}) => {
+  let sectionStart = 0;
+  return sections
+    .flatMap(section => {
+      const chunks = splitTextIntoChunks(section.content, chunking, { ...metadata, ...section.metadata })
+        .map(chunk => ({
+          ...chunk,
+          metadata: {
+            ...chunk.metadata,
+            char_start: chunk.metadata.char_start + sectionStart,
+            char_end: chunk.metadata.char_end + sectionStart
+          }
+        }));
+      sectionStart += section.content.length + SECTION_SEPARATOR.length;
+      return chunks;
+    })
+    .map((chunk, index) => {
+      const chunkMetadata = { ...chunk.metadata, chunk_index: index };
+      return { ...chunk, id: chunkId(chunkMetadata), metadata: chunkMetadata };
+    });
 };
 
 /**
  * Generates a mock embedding vector for development/testing
- * @param {number} dimensions - Number of dimensions for the embedding
+ * @param {number} dimensions - Number of dimensions for the embedding (default: the embedder's)
  * @returns {Array<number>} - Mock embedding vector
  */
-const generateMockEmbedding = (dimensions = 1536) => {
-  console.log(`[LOG document_processor] ========= Generating mock embedding (${dimensions} dimensions)`);
+const generateMockEmbedding = (dimensions = embeddingProvider.dimensions) => {
+  logger.debug(`Generating mock embedding (${dimensions} dimensions)`);
   const embedding = new Array(dimensions).fill(0).map(() => Math.random() * 2 - 1);
   
   // Normalize the embedding vector
@@ -116,71 +269,245 @@ const generateMockEmbedding = (dimensions = 1536) => {
 };
 
 /**
- * Generates embeddings for text using OpenAI API with retry mechanism
+ * Prepares text for the embedding provider
  * @param {string} text - Text to embed
- * @param {number} retries - Number of retries (default: 3)
- * @param {number} timeoutMs - Timeout in milliseconds (default: 10000)
- * @returns {Promise<Array<number>>} - Embedding vector
+ * @returns {string} - Single-line text, truncated to prevent token limit errors
  */
-const generateEmbedding = async (text, retries = 3, timeoutMs = 10000) => {
-  let lastError = null;
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
+const toEmbeddingInput = (text) => text.trim().replace(/\n+/g, ' ').slice(0, 8000);
+
+/**
+ * Checks whether an API error is a rate limit error
+ * @param {Error} error - Error thrown by the embedding provider
+ * @returns {boolean} - True if the request was throttled
+ */
+const isRateLimitError = (error) => {
+  if (error.response && error.response.status === 429) {
+    return true;
+  }
+  return !!error.message && (
+    error.message.includes('rate limit') ||
+    error.message.includes('429') ||
+    error.message.includes('too many requests')
+  );
+};
+
+/**
+ * Requests embeddings for several inputs in one provider call, retrying with exponential backoff
+ * A rate limit error pauses every embedding request (for the API's Retry-After when given),
+ * so parallel batches back off together instead of hammering the API.
+ * @param {Array<string>} texts - Texts to embed
+ * @param {number} retries - Number of attempts (default: 3)
+ * @param {number} timeoutMs - Timeout per attempt in milliseconds
+ * @returns {Promise<Array<Array<number>>>} - One embedding per text, in order
+ */
+const requestEmbeddings = async (texts, retries = 3, timeoutMs = EMBEDDING_TIMEOUT_MS) => {
+  for (let attempt = 1; ; attempt++) {
+    const pause = rateLimitedUntil - Date.now();
+    if (pause > 0) {
+      logger.warn(`Rate limited, waiting ${pause}ms before embedding request`);
+      await new Promise(resolve => setTimeout(resolve, pause));
+    }
+    
+    let timer;
+    const endTimer = metrics.embeddingRequestDuration.startTimer({ provider: embeddingProvider.provider });
     try {
-      // If OpenAI API key is not available, use mock embeddings
-      if (!openai) {
-        console.log('[LOG document_processor] ========= No OpenAI API key found, using mock embeddings');
-        return generateMockEmbedding();
-      }
-      
-      console.log(`[LOG document_processor] ========= Generating embedding attempt ${attempt}/${retries}`);
+      logger.debug(`Generating ${texts.length} embeddings, attempt ${attempt}/${retries}`);
       
       // Create a timeout promise
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`Embedding request timed out after ${timeoutMs}ms`)), timeoutMs);
+        timer = setTimeout(() => reject(new Error(`Embedding request timed out after ${timeoutMs}ms`)), timeoutMs);
       });
       
       // Create the embedding request promise
-      const embedPromise = openai.createEmbedding({
-        model: 'text-embedding-ada-002',
-        input: text.trim().replace(/\n+/g, ' ').slice(0, 8000), // Truncate to prevent token limit errors
-      });
+      const embedPromise = embeddingProvider.embed(texts.map(toEmbeddingInput), { timeoutMs });
       
       // Race the promises to implement a timeout
-      const response = await Promise.race([embedPromise, timeoutPromise]);
-      
-      console.log(`[LOG document_processor] ========= Embedding generation successful`);
-      return response.data.data[0].embedding;
+      const embeddings = await Promise.race([embedPromise, timeoutPromise]);
+      endTimer({ outcome: 'success' });
+      metrics.embeddingRequestsTotal.inc({ provider: embeddingProvider.provider, outcome: 'success' });
+      metrics.embeddingTextsTotal.inc({ source: 'provider' }, texts.length);
+      return embeddings;
     } catch (error) {
-      lastError = error;
-      
-      // Check if this is a rate limit error
-      const isRateLimit = error.message && (
-        error.message.includes('rate limit') || 
-        error.message.includes('429') ||
-        error.message.includes('too many requests')
-      );
-      
-      console.error(`[LOG document_processor] ========= Error generating embedding (attempt ${attempt}/${retries}):`, 
-        isRateLimit ? 'Rate limit exceeded' : error.message);
+      const isRateLimit = isRateLimitError(error);
+      const outcome = isRateLimit ? 'rate_limited' : 'error';
+      endTimer({ outcome });
+      metrics.embeddingRequestsTotal.inc({ provider: embeddingProvider.provider, outcome });
+      logger.warn(`Error generating embeddings (attempt ${attempt}/${retries})`, { error: isRateLimit ? 'Rate limit exceeded' : error });
       
-      // If it's the last retry, fall back to mock embeddings
-      if (attempt === retries) {
-        console.log('[LOG document_processor] ========= Falling back to mock embeddings after failed retries');
-        return generateMockEmbedding();
+      if (attempt >= retries) {
+        throw error;
       }
+      metrics.embeddingRetriesTotal.inc({ provider: embeddingProvider.provider });
       
-      // Wait before retrying (exponential backoff)
-      // Wait longer for rate limit errors
+      // Wait before retrying (exponential backoff), longer for rate limit errors
       const baseWaitTime = isRateLimit ? 2000 : 1000;
       const waitTime = Math.min(baseWaitTime * Math.pow(2, attempt - 1), 15000);
-      console.log(`[LOG document_processor] ========= Waiting ${waitTime}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+      if (isRateLimit) {
+        const retryAfterSeconds = parseFloat(error.response?.headers?.['retry-after']);
+        const retryAfterMs = Number.isFinite(retryAfterSeconds) ? retryAfterSeconds * 1000 : waitTime;
+        rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + retryAfterMs);
+      } else {
+        logger.debug(`Waiting ${waitTime}ms before retry...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+};
+
+/**
+ * Wraps an embedding failure in an error for strict mode
+ * @param {Error} error - Error from the embedding provider
+ * @param {number} count - Number of texts that could not be embedded
+ * @returns {Error} - Error with statusCode 502 naming the provider and model
+ */
+const embeddingFailure = (error, count) => {
+  const { provider, model } = embeddingProvider.describe();
+  const failure = new Error(`Embedding provider "${provider}" failed (model ${model}) for ${count} text${count === 1 ? '' : 's'}: ${error.message}`);
+  failure.statusCode = 502;
+  failure.cause = error;
+  return failure;
+};
+
+/**
+ * Generates embeddings for text using the configured embedding provider with retry mechanism
+ * Outside strict mode a failed request falls back to a mock embedding, reported with mock: true.
+ * @param {string} text - Text to embed
+ * @param {number} retries - Number of retries (default: 3)
+ * @param {number} timeoutMs - Timeout in milliseconds (default: 10000)
+ * @param {Object} options - Options
+ * @param {boolean} options.strict - Throw instead of falling back to a mock embedding (default: EMBEDDING_STRICT)
+ * @returns {Promise<{embedding: Array<number>, mock: boolean}>} - Embedding vector and whether it is a mock
+ * @throws {Error} - With statusCode 502 if the provider fails in strict mode
+ */
+const generateEmbedding = async (text, retries = 3, timeoutMs = 10000, { strict = EMBEDDING_STRICT } = {}) => {
+  const cached = embeddingCache.get(text);
+  if (cached) {
+    logger.debug('Using cached embedding');
+    metrics.embeddingTextsTotal.inc({ source: 'cache' });
+    return { embedding: cached, mock: false };
+  }
+  
+  try {
+    const [embedding] = await requestEmbeddings([text], retries, timeoutMs);
+    logger.debug('Embedding generation successful');
+    await embeddingCache.set(text, embedding);
+    return { embedding, mock: false };
+  } catch (error) {
+    if (strict) {
+      throw embeddingFailure(error, 1);
+    }
+    logger.warn('Falling back to mock embeddings after failed retries');
+    metrics.mockFallbacksTotal.inc({ kind: 'query' });
+    return { embedding: generateMockEmbedding(), mock: true };
+  }
+};
+
+/**
+ * Generates embeddings for many texts, sending EMBEDDING_BATCH_SIZE inputs per API call
+ * with up to EMBEDDING_CONCURRENCY calls in flight
+ * Texts found in the embedding cache are not sent; texts repeated within the call are sent once.
+ * Outside strict mode batches that fail get mock embeddings, reported in `mocked`.
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with the number of texts embedded so far
+ * @param {AbortSignal} options.signal - Optional signal to stop before the next batch
+ * @param {boolean} options.strict - Throw instead of falling back to mock embeddings (default: EMBEDDING_STRICT)
+ * @returns {Promise<{embeddings: Array<Array<number>>, mocked: Array<boolean>}>} - One embedding per text, in order,
+ *   and whether each one is a mock
+ * @throws {Error} - With statusCode 502 if a batch fails in strict mode
+ */
+const generateEmbeddings = async (texts, { onProgress = () => {}, signal, strict = EMBEDDING_STRICT } = {}) => {
+  const embeddings = new Array(texts.length);
+  const mocked = new Array(texts.length).fill(false);
+  
+  // Only texts missing from the cache go to the provider, each distinct text once
+  const pendingIndexes = new Map();
+  texts.forEach((text, index) => {
+    const cached = pendingIndexes.has(text) ? null : embeddingCache.get(text);
+    if (cached) {
+      embeddings[index] = cached;
+    } else {
+      pendingIndexes.set(text, [...(pendingIndexes.get(text) || []), index]);
     }
+  });
+  const pendingTexts = Array.from(pendingIndexes.keys());
+  let done = texts.length - Array.from(pendingIndexes.values()).reduce((sum, indexes) => sum + indexes.length, 0);
+  if (done > 0) {
+    logger.info(`Reusing ${done} cached embeddings, requesting ${pendingTexts.length}`);
+    metrics.embeddingTextsTotal.inc({ source: 'cache' }, done);
+    onProgress(done);
+  }
+  
+  const batchStarts = [];
+  for (let i = 0; i < pendingTexts.length; i += EMBEDDING_BATCH_SIZE) {
+    batchStarts.push(i);
   }
   
-  // This should never be reached due to the mock fallback in the last retry
-  return generateMockEmbedding();
+  let failed = false;
+  const worker = async () => {
+    while (batchStarts.length > 0 && !failed) {
+      throwIfCancelled(signal);
+      const start = batchStarts.shift();
+      const batch = pendingTexts.slice(start, start + EMBEDDING_BATCH_SIZE);
+      const batchStartTime = Date.now();
+      
+      let batchEmbeddings;
+      let batchMocked = false;
+      try {
+        batchEmbeddings = await requestEmbeddings(batch);
+        await Promise.all(batch.map((text, index) => embeddingCache.set(text, batchEmbeddings[index])));
+      } catch (error) {
+        if (strict) {
+          // Stop the other workers too; the whole request fails
+          failed = true;
+          throw embeddingFailure(error, batch.length);
+        }
+        logger.warn(`Falling back to mock embeddings for ${batch.length} chunks after failed retries`);
+        batchEmbeddings = batch.map(() => generateMockEmbedding());
+        metrics.mockFallbacksTotal.inc({ kind: 'chunk' }, batch.length);
+        batchMocked = true;
+      }
+      
+      batch.forEach((text, index) => {
+        for (const textIndex of pendingIndexes.get(text)) {
+          embeddings[textIndex] = batchEmbeddings[index];
+          mocked[textIndex] = batchMocked;
+          done++;
+        }
+      });
+      logger.debug(`Embedded texts ${start + 1}-${start + batch.length} of ${pendingTexts.length} in ${(Date.now() - batchStartTime)/1000}s`);
+      onProgress(done);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(EMBEDDING_CONCURRENCY, batchStarts.length) }, worker));
+  return { embeddings, mocked };
+};
+
+/**
+ * Throws if processing has been cancelled
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+const throwIfCancelled = (signal) => {
+  if (signal && signal.aborted) {
+    const error = new Error('Indexing cancelled');
+    error.cancelled = true;
+    throw error;
+  }
+};
+
+/**
+ * Extracts and chunks a file without embedding it, to preview a chunking configuration
+ * @param {string} filePath - Path to the file
+ * @param {string} fileType - Type of the file
+ * @param {Object} chunking - Chunking options ({ strategy, chunkSize, chunkOverlap })
+ * @returns {Promise<Array<{id: string, content: string, metadata: Object}>>} - Chunks
+ */
+const previewChunks = async (filePath, fileType, chunking = {}) => {
+  const sections = await extractSections(filePath, fileType);
+  return chunkSections(sections, chunking);
 };
 
 /**
@@ -188,86 +515,101 @@ const generateEmbedding = async (text, retries = 3, timeoutMs = 10000) => {
  * @param {string} filePath - Path to the file
  * @param {string} fileType - Type of the file
  * @param {Object} metadata - Metadata to associate with chunks
- * @param {number} maxChunks - Maximum number of chunks to process (default: 25)
- * @returns {Promise<Array<Object>>} - Array of chunks with embeddings
+ * @param {number} maxChunks - Maximum number of chunks to index, 0 for no limit (default: MAX_CHUNKS_PER_DOCUMENT)
+ * @param {Object} options - Processing options
+ * @param {Function} options.onProgress - Called with { stage, chunksDone, chunksTotal } as processing advances
+ * @param {AbortSignal} options.signal - Optional signal to cancel processing between stages and batches
+ * @param {Object} options.chunking - Chunking options ({ strategy, chunkSize, chunkOverlap })
+ * @returns {Promise<{chunks: Array<Object>, chunksTotal: number, chunksSkipped: number, chunksMockEmbedded: number}>} -
+ *   Chunks with embeddings, the number of chunks the document produced, how many were left out because of maxChunks,
+ *   and how many got mock embeddings (tagged embedding_mock in their metadata)
  */
-const processFile = async (filePath, fileType, metadata = {}, maxChunks = 25) => {
+const processFile = async (filePath, fileType, metadata = {}, maxChunks = MAX_CHUNKS_PER_DOCUMENT, { onProgress = () => {}, signal, chunking = {} } = {}) => {
   try {
-    console.log(`[LOG document_processor] ========= Starting document processing for ${filePath}`);
+    logger.info(`Starting document processing for ${filePath}`);
     const startTime = Date.now();
     
     // Extract text from file
-    console.log(`[LOG document_processor] ========= Extracting text from ${fileType} file`);
-    const text = await extractTextFromFile(filePath, fileType);
-    console.log(`[LOG document_processor] ========= Text extraction completed in ${(Date.now() - startTime)/1000}s`);
+    logger.debug(`Extracting text from ${fileType} file`);
+    throwIfCancelled(signal);
+    onProgress({ stage: 'extracting', chunksDone: 0, chunksTotal: 0 });
+    const sections = await extractSections(filePath, fileType);
+    const extractionSeconds = (Date.now() - startTime)/1000;
+    metrics.indexingStageDuration.observe({ stage: 'extracting' }, extractionSeconds);
+    logger.info(`Text extraction completed in ${extractionSeconds}s (${sections.length} sections)`);
     
-    // Split text into chunks
-    console.log(`[LOG document_processor] ========= Splitting text into chunks`);
+    // Split each section into chunks, numbering chunks across the whole document
+    logger.debug('Splitting text into chunks');
+    throwIfCancelled(signal);
+    onProgress({ stage: 'chunking', chunksDone: 0, chunksTotal: 0 });
     const chunkStartTime = Date.now();
-    let chunks = splitTextIntoChunks(text, 1000, 200, metadata);
-    console.log(`[LOG document_processor] ========= Text splitting completed in ${(Date.now() - chunkStartTime)/1000}s`);
+    let chunks = chunkSections(sections, chunking, metadata);
+    const chunksTotal = chunks.length;
+    const chunkingSeconds = (Date.now() - chunkStartTime)/1000;
+    metrics.indexingStageDuration.observe({ stage: 'chunking' }, chunkingSeconds);
+    logger.info(`Text splitting completed in ${chunkingSeconds}s`);
     
-    // Limit the number of chunks to process for large documents
-    if (chunks.length > maxChunks) {
-      console.log(`[LOG document_processor] ========= Limiting chunks from ${chunks.length} to ${maxChunks}`);
+    // Apply the configured limit for large documents; the caller reports the skipped chunks
+    if (maxChunks > 0 && chunks.length > maxChunks) {
+      logger.info(`Indexing the first ${maxChunks} of ${chunks.length} chunks (limit: ${maxChunks})`);
       chunks = chunks.slice(0, maxChunks);
     } else {
-      console.log(`[LOG document_processor] ========= Processing ${chunks.length} chunks`);
+      logger.info(`Processing ${chunks.length} chunks`);
     }
     
-    // Generate embeddings for each chunk
-    console.log(`[LOG document_processor] ========= Starting embeddings generation for ${chunks.length} chunks`);
+    // Generate embeddings in batches of many inputs per API call
+    logger.info(`Starting embeddings generation for ${chunks.length} chunks`);
     const embeddingStartTime = Date.now();
-    const chunksWithEmbeddings = [];
-    
-    // Process chunks in batches to avoid overwhelming the API
-    const BATCH_SIZE = 5;
-    for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
-      const batchStartTime = Date.now();
-      const batch = chunks.slice(i, Math.min(i + BATCH_SIZE, chunks.length));
-      
-      console.log(`[LOG document_processor] ========= Processing batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(chunks.length/BATCH_SIZE)} (${batch.length} chunks)`);
-      
-      // Process each chunk in the batch
-      const batchResults = await Promise.all(
-        batch.map(async (chunk, index) => {
-          const chunkStartTime = Date.now();
-          console.log(`[LOG document_processor] ========= Generating embedding for chunk ${i + index + 1}/${chunks.length}`);
-          
-          try {
-            const embedding = await generateEmbedding(chunk.content);
-            console.log(`[LOG document_processor] ========= Embedding for chunk ${i + index + 1} completed in ${(Date.now() - chunkStartTime)/1000}s`);
-            return { ...chunk, embedding };
-          } catch (error) {
-            console.error(`[LOG document_processor] ========= Error generating embedding for chunk ${i + index + 1}:`, error);
-            // Return a mock embedding if we can't generate a real one
-            return { 
-              ...chunk, 
-              embedding: generateMockEmbedding(),
-              embeddingError: error.message 
-            };
-          }
-        })
-      );
-      
-      chunksWithEmbeddings.push(...batchResults);
-      console.log(`[LOG document_processor] ========= Batch ${Math.floor(i/BATCH_SIZE) + 1} completed in ${(Date.now() - batchStartTime)/1000}s`);
+    onProgress({ stage: 'embedding', chunksDone: 0, chunksTotal: chunks.length });
+    const { embeddings, mocked } = await generateEmbeddings(chunks.map(chunk => chunk.content), {
+      signal,
+      onProgress: chunksDone => onProgress({ stage: 'embedding', chunksDone, chunksTotal: chunks.length })
+    });
+    // Mock-embedded chunks are tagged in their payload so they can be found and repaired later
+    const chunksWithEmbeddings = chunks.map((chunk, index) => ({
+      ...chunk,
+      metadata: mocked[index] ? { ...chunk.metadata, embedding_mock: true } : chunk.metadata,
+      embedding: embeddings[index]
+    }));
+    const chunksMockEmbedded = mocked.filter(Boolean).length;
+    if (chunksMockEmbedded > 0) {
+      logger.warn(`${chunksMockEmbedded} chunks were stored with mock embeddings`);
     }
     
-    console.log(`[LOG document_processor] ========= All embeddings generated in ${(Date.now() - embeddingStartTime)/1000}s`);
-    console.log(`[LOG document_processor] ========= Total processing time: ${(Date.now() - startTime)/1000}s`);
+    const embeddingSeconds = (Date.now() - embeddingStartTime)/1000;
+    metrics.indexingStageDuration.observe({ stage: 'embedding' }, embeddingSeconds);
+    logger.info(`All embeddings generated in ${embeddingSeconds}s`);
+    logger.info(`Total processing time: ${(Date.now() - startTime)/1000}s`);
     
-    return chunksWithEmbeddings;
+    return {
+      chunks: chunksWithEmbeddings,
+      chunksTotal,
+      chunksSkipped: chunksTotal - chunksWithEmbeddings.length,
+      chunksMockEmbedded
+    };
   } catch (error) {
-    console.error('[LOG document_processor] ========= Error processing file:', error);
+    if (error.cancelled) {
+      logger.info('Processing cancelled');
+    } else {
+      logger.error('Error processing file', { error });
+    }
     throw error;
   }
 };
 
 module.exports = {
+  EMBEDDING_STRICT,
+  computeFileChecksum,
+  computeContentHash,
+  getFileType,
   extractTextFromFile,
+  extractSections,
   splitTextIntoChunks,
+  chunkSections,
+  previewChunks,
   generateEmbedding,
+  generateEmbeddings,
   generateMockEmbedding,
-  processFile
+  processFile,
+  throwIfCancelled
 }; 
\ No newline at end of file
@@ -0,0 +1,197 @@
+/**
+ * Document Registry
+ * Durable record of every indexed document, persisted as a JSON file in the data directory
+ */
+
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./fileStore');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('document_registry');
+
+const DOCUMENT_STATUS = {
+  PROCESSING: 'processing',
+  INDEXED: 'indexed',
+  FAILED: 'failed',
+  SUPERSEDED: 'superseded'
+};
+
+class DocumentRegistry {
+  constructor() {
+    this.filePath = process.env.DOCUMENT_REGISTRY_PATH || path.join(DATA_DIR, 'documents.json');
+    this.documents = new Map();
+    this.loaded = false;
+    this.existedOnDisk = false;
+  }
+
+  /**
+   * Loads the registry from disk (only once)
+   * @returns {boolean} - Whether a registry file was found on disk
+   */
+  load() {
+    if (this.loaded) {
+      return this.existedOnDisk;
+    }
+
+    const data = readJson(this.filePath);
+    this.existedOnDisk = !!data;
+    this.documents = new Map(((data && data.documents) || []).map(doc => [doc.documentId, doc]));
+    this.loaded = true;
+
+    // Nothing can be processing yet, so these were interrupted by a restart
+    for (const doc of this.documents.values()) {
+      if (doc.status === DOCUMENT_STATUS.PROCESSING) {
+        doc.status = DOCUMENT_STATUS.FAILED;
+        doc.error = 'Interrupted by server restart';
+      }
+    }
+
+    logger.info(`Loaded ${this.documents.size} documents from ${this.filePath}`);
+    return this.existedOnDisk;
+  }
+
+  /**
+   * Writes the registry to disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await writeJson(this.filePath, {
+      documents: Array.from(this.documents.values())
+    });
+    this.existedOnDisk = true;
+  }
+
+  /**
+   * Lists documents, newest first
+   * @param {Object} options - List options
+   * @param {string} options.collectionName - Only list documents in this collection
+   * @returns {Array<Object>} - Document records
+   */
+  list({ collectionName } = {}) {
+    this.load();
+    return Array.from(this.documents.values())
+      .filter(doc => !collectionName || doc.collectionName === collectionName)
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  }
+
+  /**
+   * Gets a document record
+   * @param {string} documentId - Document ID
+   * @returns {Object|null} - Document record
+   */
+  get(documentId) {
+    this.load();
+    return this.documents.get(documentId) || null;
+  }
+
+  /**
+   * Lists the versions of a logical document (records sharing a logical name in a collection), newest first
+   * Records from before versioning count as version 1, named after their file.
+   * @param {string} collectionName - Collection name
+   * @param {string} logicalName - Logical document name
+   * @returns {Array<Object>} - Document records
+   */
+  listVersions(collectionName, logicalName) {
+    return this.list({ collectionName })
+      .filter(doc => (doc.logicalName || doc.filename) === logicalName)
+      .sort((a, b) => (b.version || 1) - (a.version || 1));
+  }
+
+  /**
+   * Gets the current version of a logical document
+   * @param {string} collectionName - Collection name
+   * @param {string} logicalName - Logical document name
+   * @returns {Object|null} - Latest indexed document record
+   */
+  getCurrentVersion(collectionName, logicalName) {
+    return this.listVersions(collectionName, logicalName)
+      .find(doc => doc.status === DOCUMENT_STATUS.INDEXED) || null;
+  }
+
+  /**
+   * Creates or replaces a document record
+   * @param {Object} record - Document record (must include documentId)
+   * @returns {Promise<Object>} - Stored record
+   */
+  async upsert(record) {
+    this.load();
+    const now = new Date().toISOString();
+    const existing = this.documents.get(record.documentId);
+
+    const stored = {
+      createdAt: now,
+      ...existing,
+      ...record,
+      updatedAt: now
+    };
+    this.documents.set(record.documentId, stored);
+    await this.save();
+    return stored;
+  }
+
+  /**
+   * Updates fields of an existing document record
+   * @param {string} documentId - Document ID
+   * @param {Object} fields - Fields to update
+   * @returns {Promise<Object|null>} - Updated record, or null if not found
+   */
+  async update(documentId, fields) {
+    this.load();
+    if (!this.documents.has(documentId)) {
+      return null;
+    }
+    return this.upsert({ ...fields, documentId });
+  }
+
+  /**
+   * Adds many document records at once (used when rebuilding the registry)
+   * @param {Array<Object>} records - Document records
+   * @returns {Promise<void>}
+   */
+  async importDocuments(records) {
+    this.load();
+    for (const record of records) {
+      this.documents.set(record.documentId, record);
+    }
+    await this.save();
+  }
+
+  /**
+   * Removes all document records belonging to a collection
+   * @param {string} collectionName - Collection name
+   * @returns {Promise<number>} - Number of removed records
+   */
+  async removeByCollection(collectionName) {
+    this.load();
+    let removed = 0;
+    for (const [documentId, doc] of this.documents) {
+      if (doc.collectionName === collectionName) {
+        this.documents.delete(documentId);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      await this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Removes a document record
+   * @param {string} documentId - Document ID
+   * @returns {Promise<boolean>} - Whether a record was removed
+   */
+  async remove(documentId) {
+    this.load();
+    const removed = this.documents.delete(documentId);
+    if (removed) {
+      await this.save();
+    }
+    return removed;
+  }
+}
+
+// Singleton instance
+const documentRegistry = new DocumentRegistry();
+module.exports = documentRegistry;
+module.exports.DOCUMENT_STATUS = DOCUMENT_STATUS;
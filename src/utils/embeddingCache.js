@@ -0,0 +1,275 @@
+/**
+ * Embedding Cache
+ * Remembers embeddings by embedder and normalized text, so re-uploaded chunks and repeated questions
+ * don't go back to the embedding provider. Recently used entries are kept in an in-memory LRU; every entry
+ * is also persisted to its own small JSON file, so the cache survives restarts without loading it whole.
+ *
+ * Entries live in a directory per embedder (provider, model and dimensions). When the embedder changes,
+ * the other embedders' directories are removed on first use, so stale vectors are never served. Only
+ * directories the cache created (named by fingerprint hash and carrying a marker file) are ever removed,
+ * so EMBEDDING_CACHE_DIR may safely point at a shared directory. On-disk entries are capped at
+ * EMBEDDING_CACHE_DISK_MAX_ENTRIES; the least recently used ones are pruned beyond it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, readJson, writeJson } = require('./fileStore');
+const embeddingProvider = require('./embeddingProvider');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('embedding_cache');
+
+// Entries kept in memory; each 1536-dimension vector takes roughly 12KB
+const EMBEDDING_CACHE_SIZE = parseInt(process.env.EMBEDDING_CACHE_SIZE || '2000', 10);
+// Entries kept on disk, 0 for no limit; a 1536-dimension entry takes roughly 30KB
+const EMBEDDING_CACHE_DISK_MAX_ENTRIES = parseInt(process.env.EMBEDDING_CACHE_DISK_MAX_ENTRIES || '50000', 10);
+// Share of the disk limit freed at once when it is exceeded, so pruning (a full scan) runs rarely
+const DISK_PRUNE_FRACTION = 0.1;
+// Directories created by the cache: named by fingerprint hash and carrying this marker file
+const EMBEDDER_DIR_PATTERN = /^[0-9a-f]{16}$/;
+const MARKER_FILE = 'embedder.json';
+// The offline hashing embedder is cheaper to recompute than to read back, so it isn't cached unless asked to
+const EMBEDDING_CACHE_ENABLED = process.env.EMBEDDING_CACHE_ENABLED
+  ? process.env.EMBEDDING_CACHE_ENABLED === 'true'
+  : embeddingProvider.provider !== 'hashing';
+
+/**
+ * Normalizes text so that whitespace-only differences share an entry
+ * @param {string} text - Text to embed
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+class EmbeddingCache {
+  constructor() {
+    this.storageDir = process.env.EMBEDDING_CACHE_DIR || path.join(DATA_DIR, 'embedding_cache');
+    this.enabled = EMBEDDING_CACHE_ENABLED;
+    this.maxEntries = EMBEDDING_CACHE_SIZE;
+    this.maxDiskEntries = EMBEDDING_CACHE_DISK_MAX_ENTRIES;
+
+    const { provider, model, dimensions } = embeddingProvider.describe();
+    this.fingerprint = `${provider}:${model}:${dimensions}`;
+    this.modelDir = path.join(this.storageDir, crypto.createHash('sha256').update(this.fingerprint).digest('hex').slice(0, 16));
+
+    // Key -> embedding, in least to most recently used order
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, memoryHits: 0, diskHits: 0 };
+    this.diskEntries = 0;
+    this.prepared = false;
+    this.markerWritten = false;
+    this.pruning = null;
+  }
+
+  /**
+   * Lists the embedder directories the cache created under its storage directory
+   * @returns {Array<string>} - Absolute directory paths
+   */
+  _cacheDirs() {
+    if (!fs.existsSync(this.storageDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.storageDir)
+      .filter(entry => EMBEDDER_DIR_PATTERN.test(entry))
+      .map(entry => path.join(this.storageDir, entry))
+      .filter(dirPath => fs.existsSync(path.join(dirPath, MARKER_FILE)));
+  }
+
+  /**
+   * Lists the entry files of the current embedder
+   * @returns {Array<string>} - Absolute file paths
+   */
+  _entryFiles() {
+    if (!fs.existsSync(this.modelDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.modelDir, { withFileTypes: true })
+      .filter(shard => shard.isDirectory())
+      .flatMap(shard => fs.readdirSync(path.join(this.modelDir, shard.name))
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.join(this.modelDir, shard.name, file)));
+  }
+
+  /**
+   * Removes the entries of other embedders from disk and counts the current embedder's entries, once per process
+   */
+  _prepare() {
+    if (this.prepared) {
+      return;
+    }
+    this.prepared = true;
+
+    for (const dirPath of this._cacheDirs()) {
+      if (dirPath !== this.modelDir) {
+        logger.info(`Embedder changed, removing stale cache entries: ${path.basename(dirPath)}`);
+        fs.rmSync(dirPath, { recursive: true, force: true });
+      }
+    }
+    this.diskEntries = this._entryFiles().length;
+  }
+
+  /**
+   * Removes the least recently used entries from disk once there are more than maxDiskEntries
+   * @returns {Promise<void>}
+   */
+  async _pruneDisk() {
+    if (this.maxDiskEntries <= 0 || this.diskEntries <= this.maxDiskEntries) {
+      return;
+    }
+    if (!this.pruning) {
+      this.pruning = (async () => {
+        // Disk hits refresh an entry's modification time, so the oldest files are the least recently used
+        const files = await Promise.all(this._entryFiles().map(async filePath => ({
+          filePath,
+          mtimeMs: (await fs.promises.stat(filePath).catch(() => ({ mtimeMs: 0 }))).mtimeMs
+        })));
+        const keep = Math.floor(this.maxDiskEntries * (1 - DISK_PRUNE_FRACTION));
+        const stale = files.sort((a, b) => a.mtimeMs - b.mtimeMs).slice(0, Math.max(files.length - keep, 0));
+        await Promise.all(stale.map(({ filePath }) => fs.promises.rm(filePath, { force: true })));
+        this.diskEntries = files.length - stale.length;
+        logger.info(`Pruned ${stale.length} cache entries from disk (${this.diskEntries} left)`);
+      })().finally(() => {
+        this.pruning = null;
+      });
+    }
+    await this.pruning;
+  }
+
+  /**
+   * Derives the cache key of a text for the current embedder
+   * @param {string} text - Text to embed
+   * @returns {string} - Hex SHA-256 of the embedder fingerprint and normalized text
+   */
+  _key(text) {
+    return crypto.createHash('sha256').update(`${this.fingerprint}\n${normalizeText(text)}`).digest('hex');
+  }
+
+  /**
+   * Gets the file an entry is persisted to (sharded by key prefix to keep directories small)
+   * @param {string} key - Cache key
+   * @returns {string} - Absolute file path
+   */
+  _entryPath(key) {
+    return path.join(this.modelDir, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Adds an entry to the in-memory LRU, evicting the least recently used entries beyond the limit
+   * @param {string} key - Cache key
+   * @param {Array<number>} embedding - Embedding vector
+   */
+  _remember(key, embedding) {
+    this.entries.delete(key);
+    this.entries.set(key, embedding);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Looks up the embedding of a text
+   * @param {string} text - Text to embed
+   * @returns {Array<number>|null} - Cached embedding, or null on a miss
+   */
+  get(text) {
+    if (!this.enabled) {
+      return null;
+    }
+    this._prepare();
+
+    const key = this._key(text);
+    let embedding = this.entries.get(key);
+    if (embedding) {
+      this.stats.memoryHits++;
+    } else {
+      const entryPath = this._entryPath(key);
+      const stored = readJson(entryPath);
+      embedding = stored && Array.isArray(stored.embedding) && stored.embedding.length === embeddingProvider.dimensions
+        ? stored.embedding
+        : null;
+      if (embedding) {
+        this.stats.diskHits++;
+        const now = new Date();
+        fs.promises.utimes(entryPath, now, now).catch(() => {});
+      }
+    }
+
+    if (!embedding) {
+      this.stats.misses++;
+      return null;
+    }
+    this.stats.hits++;
+    this._remember(key, embedding);
+    return embedding;
+  }
+
+  /**
+   * Stores the embedding of a text (never pass mock embeddings)
+   * @param {string} text - Embedded text
+   * @param {Array<number>} embedding - Embedding vector from the provider
+   * @returns {Promise<void>}
+   */
+  async set(text, embedding) {
+    if (!this.enabled) {
+      return;
+    }
+    this._prepare();
+
+    const key = this._key(text);
+    this._remember(key, embedding);
+    try {
+      if (!this.markerWritten) {
+        await writeJson(path.join(this.modelDir, MARKER_FILE), { embedder: this.fingerprint });
+        this.markerWritten = true;
+      }
+      const entryPath = this._entryPath(key);
+      const isNew = !fs.existsSync(entryPath);
+      await writeJson(entryPath, { embedding });
+      if (isNew) {
+        this.diskEntries++;
+        await this._pruneDisk();
+      }
+    } catch (error) {
+      // The in-memory entry still helps; a lost disk entry only costs a provider call later
+      logger.error('Error persisting cache entry', { error });
+    }
+  }
+
+  /**
+   * Removes every entry from memory and disk and resets the counters
+   * Only the embedder directories the cache created are removed, never other files in its storage directory.
+   * @returns {Promise<number>} - Number of entries that were in memory
+   */
+  async clear() {
+    const cleared = this.entries.size;
+    this.entries.clear();
+    this.stats = { hits: 0, misses: 0, memoryHits: 0, diskHits: 0 };
+    await Promise.all(this._cacheDirs().map(dirPath => fs.promises.rm(dirPath, { recursive: true, force: true })));
+    this.diskEntries = 0;
+    this.markerWritten = false;
+    logger.info(`Cache cleared (${cleared} in-memory entries)`);
+    return cleared;
+  }
+
+  /**
+   * Reports hit/miss counters and size
+   * @returns {Object} - Cache statistics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      embedder: this.fingerprint,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : null,
+      memoryEntries: this.entries.size,
+      maxMemoryEntries: this.maxEntries,
+      diskEntries: this.diskEntries,
+      maxDiskEntries: this.maxDiskEntries
+    };
+  }
+}
+
+// Singleton instance
+const embeddingCache = new EmbeddingCache();
+module.exports = embeddingCache;
@@ -0,0 +1,59 @@
+/**
+ * Embedding Provider for RAG Architecture
+ * Selects the embedding backend from the environment and exposes it as a singleton.
+ *
+ * EMBEDDING_PROVIDER:
+ *   - 'openai':            OpenAI API (OPENAI_API_KEY, EMBEDDING_MODEL defaults to text-embedding-ada-002)
+ *   - 'openai-compatible': any OpenAI-compatible embeddings server (EMBEDDING_BASE_URL, EMBEDDING_MODEL,
+ *                          EMBEDDING_DIMENSIONS, optional EMBEDDING_API_KEY)
+ *   - 'hashing':           deterministic offline feature hashing (EMBEDDING_DIMENSIONS defaults to 256)
+ * When unset, OpenAI is used if OPENAI_API_KEY is configured, otherwise the hashing embedder.
+ * Collections remember the embedder they were built with; see collectionService.checkEmbeddingCompatibility.
+ */
+
+const OpenAIEmbeddingProvider = require('./embeddingProviders/openaiEmbeddingProvider');
+const HashingEmbeddingProvider = require('./embeddingProviders/hashingEmbeddingProvider');
+
+const EMBEDDING_PROVIDERS = ['openai', 'openai-compatible', 'hashing'];
+
+/**
+ * Creates the embedding provider configured for this process
+ * @returns {BaseEmbeddingProvider} - Embedding provider instance
+ */
+const createEmbeddingProvider = () => {
+  const provider = (process.env.EMBEDDING_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'hashing')).toLowerCase();
+  const dimensions = process.env.EMBEDDING_DIMENSIONS ? parseInt(process.env.EMBEDDING_DIMENSIONS, 10) : undefined;
+
+  switch (provider) {
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('EMBEDDING_PROVIDER "openai" requires OPENAI_API_KEY');
+      }
+      return new OpenAIEmbeddingProvider({
+        provider,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.EMBEDDING_MODEL || 'text-embedding-ada-002',
+        dimensions
+      });
+    case 'openai-compatible':
+      if (!process.env.EMBEDDING_BASE_URL || !process.env.EMBEDDING_MODEL) {
+        throw new Error('EMBEDDING_PROVIDER "openai-compatible" requires EMBEDDING_BASE_URL and EMBEDDING_MODEL');
+      }
+      return new OpenAIEmbeddingProvider({
+        provider,
+        apiKey: process.env.EMBEDDING_API_KEY,
+        baseUrl: process.env.EMBEDDING_BASE_URL,
+        model: process.env.EMBEDDING_MODEL,
+        dimensions
+      });
+    case 'hashing':
+      return new HashingEmbeddingProvider({ dimensions });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${provider}". Expected one of: ${EMBEDDING_PROVIDERS.join(', ')}`);
+  }
+};
+
+// Singleton instance
+const embeddingProvider = createEmbeddingProvider();
+module.exports = embeddingProvider;
+module.exports.EMBEDDING_PROVIDERS = EMBEDDING_PROVIDERS;
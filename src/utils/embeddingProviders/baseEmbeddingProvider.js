@@ -0,0 +1,44 @@
+/**
+ * Base Embedding Provider
+ * Defines the interface every embedding backend must implement
+ */
+
+class BaseEmbeddingProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.model - Embedding model
+   * @param {number} config.dimensions - Length of the vectors the model produces
+   * @param {number} config.minScore - Cosine similarity below which search results are irrelevant for this model
+   */
+  constructor({ model, dimensions, minScore = 0.7 } = {}) {
+    this.provider = 'base';
+    this.model = model;
+    this.dimensions = dimensions;
+    this.minScore = minScore;
+  }
+
+  /**
+   * Embeds several texts in one request
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Request options
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @returns {Promise<Array<Array<number>>>} - One vector of `dimensions` numbers per text, in order
+   */
+  async embed(texts, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement embed()`);
+  }
+
+  /**
+   * Describes the embedder; collections record this to detect queries with a different embedder
+   * @returns {{provider: string, model: string, dimensions: number}} - Provider, model and dimensions
+   */
+  describe() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      dimensions: this.dimensions
+    };
+  }
+}
+
+module.exports = BaseEmbeddingProvider;
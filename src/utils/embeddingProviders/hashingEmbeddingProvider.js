@@ -0,0 +1,83 @@
+/**
+ * Hashing Embedding Provider
+ * Deterministic offline embedder: words and their character trigrams are hashed into a fixed number of
+ * signed buckets and the vector is L2-normalized. Texts that share words land close together, so vector
+ * search behaves sensibly in tests and offline development without calling a model.
+ */
+
+const BaseEmbeddingProvider = require('./baseEmbeddingProvider');
+const { tokenize } = require('../lexicalIndex');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('embedding_provider');
+
+// Weight of a character trigram relative to a whole word
+const TRIGRAM_WEIGHT = 0.5;
+
+/**
+ * Hashes a string with 32-bit FNV-1a
+ * @param {string} value - String to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+const fnv1a = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+class HashingEmbeddingProvider extends BaseEmbeddingProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {number} config.dimensions - Number of hash buckets (default: 256)
+   */
+  constructor({ dimensions = 256 } = {}) {
+    // Unrelated texts score around 0 and texts sharing a few words around 0.2-0.5
+    super({ model: 'hashing-v1', dimensions, minScore: 0.1 });
+    this.provider = 'hashing';
+    logger.info(`Hashing provider initialized (${dimensions} dimensions), embeddings are computed offline`);
+  }
+
+  /**
+   * Embeds texts by feature hashing
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One unit vector per text, in order
+   */
+  async embed(texts) {
+    return texts.map(text => this._embedText(text));
+  }
+
+  /**
+   * Hashes a text's words and character trigrams into a unit vector
+   * @param {string} text - Text to embed
+   * @returns {Array<number>} - Unit vector
+   */
+  _embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const addFeature = (feature, weight) => {
+      const hash = fnv1a(feature);
+      // The lowest bit picks the sign so that collisions tend to cancel out instead of piling up
+      vector[(hash >>> 1) % this.dimensions] += hash & 1 ? weight : -weight;
+    };
+
+    for (const word of tokenize(text)) {
+      addFeature(`w:${word}`, 1);
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        addFeature(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+      }
+    }
+
+    const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (magnitude === 0) {
+      // Text without words still needs a valid direction for cosine similarity
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map(value => value / magnitude);
+  }
+}
+
+module.exports = HashingEmbeddingProvider;
@@ -0,0 +1,77 @@
+/**
+ * OpenAI Embedding Provider
+ * Embeddings through the OpenAI API, or through any server exposing an OpenAI-compatible
+ * /embeddings endpoint (Ollama, llama.cpp server, vLLM, text-embeddings-inference, ...) when a base URL is given.
+ */
+
+const { Configuration, OpenAIApi } = require('openai');
+const BaseEmbeddingProvider = require('./baseEmbeddingProvider');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('embedding_provider');
+
+// Vector lengths of OpenAI's embedding models at their default size
+const MODEL_DIMENSIONS = {
+  'text-embedding-ada-002': 1536,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072
+};
+
+class OpenAIEmbeddingProvider extends BaseEmbeddingProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.provider - Name reported for the provider ('openai' or 'openai-compatible')
+   * @param {string} config.apiKey - API key (optional for local servers)
+   * @param {string} config.baseUrl - Base URL of an OpenAI-compatible API, e.g. http://localhost:11434/v1
+   * @param {string} config.model - Embedding model
+   * @param {number} config.dimensions - Vector length (required for models not in MODEL_DIMENSIONS)
+   */
+  constructor({ provider = 'openai', apiKey, baseUrl, model, dimensions } = {}) {
+    const defaultDimensions = MODEL_DIMENSIONS[model];
+    if (!dimensions && !defaultDimensions) {
+      throw new Error(`Unknown dimensions for embedding model "${model}". Set EMBEDDING_DIMENSIONS`);
+    }
+    super({ model, dimensions: dimensions || defaultDimensions });
+    this.provider = provider;
+
+    // text-embedding-3 models can shorten their vectors on request
+    this.requestDimensions = /^text-embedding-3-/.test(model) && dimensions && dimensions !== defaultDimensions;
+
+    this.client = new OpenAIApi(new Configuration({
+      apiKey,
+      ...(baseUrl && { basePath: baseUrl.replace(/\/+$/, '') })
+    }));
+    logger.info(`${provider} provider initialized (model ${model}, ${this.dimensions} dimensions${baseUrl ? `, ${baseUrl}` : ''})`);
+  }
+
+  /**
+   * Embeds several texts in one API call
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Request options
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @returns {Promise<Array<Array<number>>>} - One vector per text, in order
+   */
+  async embed(texts, { timeoutMs } = {}) {
+    const response = await this.client.createEmbedding({
+      model: this.model,
+      input: texts,
+      ...(this.requestDimensions && { dimensions: this.dimensions })
+    }, { timeout: timeoutMs });
+
+    // Results carry the index of their input; don't rely on their order
+    const embeddings = response.data.data
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+
+    const wrongLength = embeddings.find(embedding => embedding.length !== this.dimensions);
+    if (embeddings.length !== texts.length || wrongLength) {
+      throw new Error(wrongLength
+        ? `Embedding model ${this.model} returned ${wrongLength.length} dimensions, expected ${this.dimensions} (check EMBEDDING_DIMENSIONS)`
+        : `Embedding model ${this.model} returned ${embeddings.length} embeddings for ${texts.length} inputs`);
+    }
+    return embeddings;
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
@@ -0,0 +1,117 @@
+/**
+ * CSV Extractor
+ * Parses delimited tables and renders each row with its column names so rows stay self-describing after chunking
+ */
+
+const { groupBlocks } = require('./textUtils');
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Picks the delimiter that appears most often in the header line (outside quotes)
+ * @param {string} text - CSV text
+ * @returns {string} - Delimiter
+ */
+const detectDelimiter = (text) => {
+  const header = text.split('\n')[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const count = header.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Parses CSV text into rows of fields (RFC 4180 quoting, embedded newlines and "" escapes)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} - Rows of fields, without blank lines
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.length === 0) {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim().length > 0));
+};
+
+/**
+ * Splits a CSV table into sections of whole rows
+ * The first row is used as the header; each row is rendered as "Column: value | Column: value".
+ * Section metadata holds the 1-based range of data rows it contains.
+ * @param {string} text - CSV text
+ * @returns {Array<{content: string, metadata: Object}>} - Sections of rows
+ */
+const extractSections = (text) => {
+  const rows = parseCsv(text, detectDelimiter(text));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map((name, index) => name.trim() || `column_${index + 1}`);
+  const lines = rows.slice(1).map(fields => {
+    return fields
+      .map((value, index) => [header[index] || `column_${index + 1}`, value.replace(/\s+/g, ' ').trim()])
+      .filter(([, value]) => value.length > 0)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join(' | ');
+  });
+
+  // A header-only file still says which columns exist
+  if (lines.length === 0) {
+    return [{ content: `Columns: ${header.join(', ')}`, metadata: {} }];
+  }
+
+  return groupBlocks(lines).map(group => ({
+    content: group.content,
+    metadata: { row_start: group.start + 1, row_end: group.end + 1 }
+  }));
+};
+
+module.exports = {
+  parseCsv,
+  extractSections
+};
@@ -0,0 +1,25 @@
+/**
+ * DOCX Extractor
+ * Converts Word documents to HTML with mammoth so that Heading styles become headings,
+ * then splits the text into sections carrying their heading path
+ */
+
+const mammoth = require('mammoth');
+const htmlExtractor = require('./htmlExtractor');
+
+/**
+ * Extracts a Word document as heading-delimited sections
+ * @param {Buffer} buffer - DOCX file content
+ * @returns {Promise<Array<{content: string, metadata: Object}>>} - Sections with { heading, section_path } metadata
+ */
+const extractSections = async (buffer) => {
+  const result = await mammoth.convertToHtml({ buffer }, {
+    // Images are not indexed; skip encoding them into the HTML
+    convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+  });
+  return htmlExtractor.extractSections(result.value);
+};
+
+module.exports = {
+  extractSections
+};
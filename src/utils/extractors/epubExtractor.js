@@ -0,0 +1,139 @@
+/**
+ * EPUB Extractor
+ * Reads the chapters of an EPUB book in reading order, with chapter titles from its table of contents
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const { decodeEntities } = require('./textUtils');
+const htmlExtractor = require('./htmlExtractor');
+
+/**
+ * Reads a part of the package as text
+ * @param {JSZip} zip - Opened package
+ * @param {string} name - Part name
+ * @returns {Promise<string|null>} - Part content, or null if missing
+ */
+const readPart = async (zip, name) => {
+  const file = zip.file(name);
+  return file ? file.async('string') : null;
+};
+
+/**
+ * Reads an attribute from a tag
+ * @param {string} tag - Tag markup
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Decoded attribute value
+ */
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? decodeEntities(match[2] ?? match[3]) : null;
+};
+
+/**
+ * Resolves an href relative to the part that contains it, dropping any fragment
+ * @param {string} baseDir - Directory of the containing part
+ * @param {string} href - Relative reference
+ * @returns {string} - Part name within the package
+ */
+const resolveHref = (baseDir, href) => {
+  return path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(href.split('#')[0])));
+};
+
+/**
+ * Reads chapter titles from the EPUB 3 navigation document or the EPUB 2 NCX
+ * @param {JSZip} zip - Opened package
+ * @param {Array<Object>} manifest - Manifest items
+ * @returns {Promise<Map<string, string>>} - First title for each chapter part
+ */
+const readTableOfContents = async (zip, manifest) => {
+  const titles = new Map();
+  const addTitle = (part, title) => {
+    if (title && !titles.has(part)) {
+      titles.set(part, title);
+    }
+  };
+
+  const nav = manifest.find(item => (item.properties || '').split(/\s+/).includes('nav'));
+  const navXml = nav && await readPart(zip, nav.href);
+  if (navXml) {
+    const toc = navXml.match(/<nav\b[^>]*epub:type="toc"[^>]*>[\s\S]*?<\/nav>/) || [navXml];
+    for (const link of toc[0].match(/<a\b[^>]*>[\s\S]*?<\/a>/g) || []) {
+      const href = attribute(link.match(/<a\b[^>]*>/)[0], 'href');
+      if (href) {
+        addTitle(resolveHref(path.posix.dirname(nav.href), href), decodeEntities(link.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim());
+      }
+    }
+  }
+
+  const ncx = manifest.find(item => item.mediaType === 'application/x-dtbncx+xml');
+  const ncxXml = ncx && await readPart(zip, ncx.href);
+  if (ncxXml) {
+    for (const point of ncxXml.match(/<navPoint\b[\s\S]*?<content\b[^>]*>/g) || []) {
+      const label = point.match(/<text>([\s\S]*?)<\/text>/);
+      const src = attribute(point.match(/<content\b[^>]*>/)[0], 'src');
+      if (label && src) {
+        addTitle(resolveHref(path.posix.dirname(ncx.href), src), decodeEntities(label[1]).replace(/\s+/g, ' ').trim());
+      }
+    }
+  }
+
+  return titles;
+};
+
+/**
+ * Extracts chapters from an EPUB file
+ * @param {Buffer} buffer - EPUB file contents
+ * @returns {Promise<Array<{chapterNumber: number, title: string|null, sections: Array<Object>}>>} - Chapters with text, in reading order
+ */
+const extractChapters = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error(`Not a valid EPUB file: ${error.message}`);
+  }
+
+  const container = await readPart(zip, 'META-INF/container.xml');
+  const rootfile = container && container.match(/<rootfile\b[^>]*>/);
+  const opfPath = rootfile && attribute(rootfile[0], 'full-path');
+  const opf = opfPath && await readPart(zip, opfPath);
+  if (!opf) {
+    throw new Error('Not a valid EPUB file: package document not found');
+  }
+
+  const opfDir = path.posix.dirname(opfPath);
+  const manifest = (opf.match(/<item\b[^>]*>/g) || []).map(tag => ({
+    id: attribute(tag, 'id'),
+    href: resolveHref(opfDir, attribute(tag, 'href') || ''),
+    mediaType: attribute(tag, 'media-type'),
+    properties: attribute(tag, 'properties')
+  }));
+  const spine = (opf.match(/<itemref\b[^>]*>/g) || [])
+    .map(tag => manifest.find(item => item.id === attribute(tag, 'idref')))
+    .filter(item => item && /x?html/.test(item.mediaType || ''))
+    .filter(item => !(item.properties || '').split(/\s+/).includes('nav')); // The table of contents is not a chapter
+
+  const titles = await readTableOfContents(zip, manifest);
+  const chapters = [];
+
+  for (const item of spine) {
+    const html = await readPart(zip, item.href);
+    const sections = html ? htmlExtractor.extractSections(html) : [];
+    if (sections.length === 0) {
+      continue;
+    }
+
+    chapters.push({
+      chapterNumber: chapters.length + 1,
+      title: titles.get(item.href) || htmlExtractor.extractTitle(html),
+      sections
+    });
+  }
+
+  return chapters;
+};
+
+module.exports = {
+  extractChapters
+};
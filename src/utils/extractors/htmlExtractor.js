@@ -0,0 +1,105 @@
+/**
+ * HTML Extractor
+ * Converts HTML pages to readable text, keeping headings, lists, tables and preformatted blocks,
+ * and splits the result into sections by heading
+ */
+
+const { decodeEntities } = require('./textUtils');
+const markdownExtractor = require('./markdownExtractor');
+
+// Elements whose content is never readable text (or is page chrome rather than content)
+const DROPPED_ELEMENTS = ['head', 'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'nav', 'footer', 'aside', 'form', 'button'];
+
+const BLOCK_ELEMENTS = 'p|div|section|article|header|main|blockquote|figure|figcaption|ul|ol|dl|dt|dd|address|hr|details|summary|tr|table';
+
+/**
+ * Strips tags from an inline fragment and collapses its whitespace (entities are left encoded)
+ * @param {string} html - HTML fragment
+ * @returns {string} - Fragment text
+ */
+const stripInline = (html) => {
+  return html.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Gets the inner HTML of the first element with the given tag
+ * @param {string} html - HTML
+ * @param {string} tag - Tag name
+ * @returns {string|null} - Inner HTML, or null if the element is missing
+ */
+const innerHtml = (html, tag) => {
+  const match = html.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*)<\\/${tag}>`, 'i'));
+  return match ? match[1] : null;
+};
+
+/**
+ * Reads the page title
+ * @param {string} html - HTML
+ * @returns {string|null} - Contents of <title>, or the first <h1>
+ */
+const extractTitle = (html) => {
+  const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || html.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  return title ? decodeEntities(stripInline(title[1])) || null : null;
+};
+
+/**
+ * Converts HTML to readable text with Markdown-style headings, list items and table rows
+ * Only the <main> element is read when the page has one.
+ * @param {string} html - HTML
+ * @returns {string} - Readable text
+ */
+const htmlToText = (html) => {
+  let body = html.replace(/<!--[\s\S]*?-->/g, '').replace(/<!DOCTYPE[^>]*>/gi, '');
+  body = innerHtml(body, 'main') ?? innerHtml(body, 'body') ?? body;
+
+  for (const tag of DROPPED_ELEMENTS) {
+    body = body.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), '');
+  }
+
+  // Preformatted blocks keep their whitespace; they are swapped for placeholders until the end
+  const preformatted = [];
+  body = body.replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, content) => {
+    preformatted.push(decodeEntities(content.replace(/<[^>]+>/g, '')).replace(/^\n+|\s+$/g, ''));
+    return `\n\n\u0000${preformatted.length - 1}\u0000\n\n`;
+  });
+
+  body = body
+    .replace(/<table\b[^>]*>([\s\S]*?)<\/table>/gi, (match, table) => {
+      const rows = (table.match(/<tr\b[^>]*>[\s\S]*?<\/tr>/gi) || [])
+        .map(row => (row.match(/<t[hd]\b[^>]*>[\s\S]*?<\/t[hd]>/gi) || []).map(stripInline).join(' | '))
+        .filter(row => row.replace(/[\s|]/g, '').length > 0);
+      return `\n\n${rows.join('\n')}\n\n`;
+    })
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, heading) => {
+      const text = stripInline(heading);
+      return text ? `\n\n${'#'.repeat(parseInt(level, 10))} ${text}\n\n` : '\n\n';
+    })
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(new RegExp(`<\\/?(?:${BLOCK_ELEMENTS})\\b[^>]*>`, 'gi'), '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(body)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00A0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/^- *$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => `\`\`\`\n${preformatted[parseInt(index, 10)]}\n\`\`\``)
+    .trim();
+};
+
+/**
+ * Splits an HTML page into one section per heading
+ * @param {string} html - HTML
+ * @returns {Array<{content: string, metadata: Object}>} - Sections with heading and section_path metadata
+ */
+const extractSections = (html) => {
+  return markdownExtractor.extractSections(htmlToText(html));
+};
+
+module.exports = {
+  extractTitle,
+  htmlToText,
+  extractSections
+};
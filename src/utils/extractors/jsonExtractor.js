@@ -0,0 +1,72 @@
+/**
+ * JSON Extractor
+ * Flattens JSON documents into "path: value" lines, keeping records (array items) together
+ */
+
+const { groupBlocks } = require('./textUtils');
+
+/**
+ * Flattens a value into "path: value" lines
+ * @param {*} value - JSON value
+ * @param {string} prefix - Path of the value relative to its record
+ * @returns {Array<string>} - Lines
+ */
+const flatten = (value, prefix = '') => {
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => flatten(item, `${prefix}[${index}]`));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key));
+  }
+  return prefix ? [`${prefix}: ${value}`] : [String(value)];
+};
+
+/**
+ * Renders the items of an array as records grouped into sections
+ * @param {Array} items - Array items
+ * @param {string} jsonPath - Path of the array
+ * @returns {Array<{content: string, metadata: Object}>} - Sections with json_path and 0-based record range
+ */
+const recordSections = (items, jsonPath) => {
+  const records = items.map(item => flatten(item).join('\n'));
+  return groupBlocks(records).map(group => ({
+    content: group.content,
+    metadata: { json_path: jsonPath, record_start: group.start, record_end: group.end }
+  }));
+};
+
+/**
+ * Splits a JSON document into sections
+ * A top-level array becomes record sections; a top-level object becomes one section per key
+ * (or record sections when the key holds an array of objects).
+ * @param {string} text - JSON text
+ * @returns {Array<{content: string, metadata: Object}>} - Sections with json_path metadata
+ */
+const extractSections = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+
+  if (Array.isArray(data)) {
+    return recordSections(data, '$');
+  }
+
+  if (data === null || typeof data !== 'object') {
+    return [{ content: String(data), metadata: {} }];
+  }
+
+  return Object.entries(data).flatMap(([key, value]) => {
+    const jsonPath = `$.${key}`;
+    if (Array.isArray(value) && value.some(item => item !== null && typeof item === 'object')) {
+      return recordSections(value, jsonPath);
+    }
+    return [{ content: flatten(value, key).join('\n'), metadata: { json_path: jsonPath } }];
+  }).filter(section => section.content.length > 0);
+};
+
+module.exports = {
+  extractSections
+};
@@ -0,0 +1,108 @@
+/**
+ * Markdown Extractor
+ * Splits Markdown documents into sections by heading, keeping the heading hierarchy
+ */
+
+const ATX_HEADING = /^ {0,3}(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * Removes YAML front matter from the start of a document
+ * @param {Array<string>} lines - Document lines
+ * @returns {Array<string>} - Lines without front matter
+ */
+const stripFrontMatter = (lines) => {
+  if (lines[0] && lines[0].trim() === '---') {
+    const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+    if (end > 0) {
+      return lines.slice(end + 1);
+    }
+  }
+  return lines;
+};
+
+/**
+ * Splits Markdown text into one section per heading
+ * Each section's metadata holds its heading and the full heading path (e.g. "Guide > Install > Linux").
+ * Text before the first heading becomes a section without heading metadata; headings without body text are dropped
+ * since their titles are part of the section path of the headings below them.
+ * @param {string} text - Markdown text
+ * @returns {Array<{content: string, metadata: Object}>} - Sections in document order
+ */
+const extractSections = (text) => {
+  const lines = stripFrontMatter(text.replace(/\r\n?/g, '\n').split('\n'));
+  const sections = [];
+  const headingStack = [];
+  let current = { heading: null, path: [], lines: [] };
+  let fence = null;
+
+  const flush = () => {
+    const body = current.lines.join('\n').trim();
+    const hasBody = current.heading
+      ? current.lines.slice(1).some(line => line.trim().length > 0)
+      : body.length > 0;
+
+    if (hasBody) {
+      sections.push({
+        content: body,
+        metadata: current.heading
+          ? { heading: current.heading, section_path: current.path.join(' > ') }
+          : {}
+      });
+    }
+  };
+
+  const startSection = (level, heading, headingLine) => {
+    flush();
+    while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+      headingStack.pop();
+    }
+    headingStack.push({ level, heading });
+    current = { heading, path: headingStack.map(entry => entry.heading), lines: [headingLine] };
+  };
+
+  for (const line of lines) {
+    // Headings inside fenced code blocks are code, not structure
+    const fenceMatch = line.match(FENCE);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      current.lines.push(line);
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      current.lines.push(line);
+      continue;
+    }
+
+    const atx = line.match(ATX_HEADING);
+    if (atx) {
+      startSection(atx[1].length, atx[2].trim(), line);
+      continue;
+    }
+
+    // Setext headings underline the previous paragraph line with === or ---
+    const setext = line.match(SETEXT_UNDERLINE);
+    const previous = current.lines[current.lines.length - 1];
+    const previousIsText = previous !== undefined && previous.trim().length > 0 &&
+      !(current.heading && current.lines.length === 1) &&
+      !/^\s*([-*+>]|\d+[.)]|\|)/.test(previous);
+    if (setext && previousIsText) {
+      current.lines.pop();
+      startSection(setext[1][0] === '=' ? 1 : 2, previous.trim(), `${previous}\n${line}`);
+      continue;
+    }
+
+    current.lines.push(line);
+  }
+  flush();
+
+  return sections;
+};
+
+module.exports = {
+  extractSections
+};
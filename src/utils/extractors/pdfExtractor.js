@@ -0,0 +1,51 @@
+/**
+ * PDF Extractor
+ * Reads PDF text page by page so chunks can be traced back to their page
+ */
+
+const pdfParse = require('pdf-parse');
+
+/**
+ * Renders a page's text items, starting a new line whenever the baseline changes
+ * (the same layout pdf-parse uses for its flattened text)
+ * @param {Object} textContent - pdf.js text content of a page
+ * @returns {string} - Page text
+ */
+const renderTextContent = (textContent) => {
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+};
+
+/**
+ * Extracts the text of each page of a PDF
+ * @param {Buffer} buffer - PDF file content
+ * @returns {Promise<Array<{pageNumber: number, content: string}>>} - Pages with text, in order
+ */
+const extractPages = async (buffer) => {
+  const pages = [];
+
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = renderTextContent(await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+      })).trim();
+
+      if (content) {
+        pages.push({ pageNumber: pageData.pageIndex + 1, content });
+      }
+      return content;
+    }
+  });
+
+  return pages;
+};
+
+module.exports = {
+  extractPages
+};
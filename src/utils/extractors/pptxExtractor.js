@@ -0,0 +1,209 @@
+/**
+ * PPTX Extractor
+ * Reads slide text, table cells and speaker notes from PowerPoint (OOXML) presentations
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const { decodeEntities } = require('./textUtils');
+
+/**
+ * Reads the text of every paragraph in an XML fragment
+ * @param {string} xml - XML fragment
+ * @returns {Array<string>} - Non-empty paragraph texts
+ */
+const extractParagraphs = (xml) => {
+  const paragraphs = xml.match(/<a:p>[\s\S]*?<\/a:p>|<a:p [\s\S]*?<\/a:p>/g) || [];
+
+  return paragraphs
+    .map(paragraph => {
+      const runs = paragraph.match(/<a:t(?: [^>]*)?>[\s\S]*?<\/a:t>|<a:br\/>/g) || [];
+      return runs
+        .map(run => run === '<a:br/>' ? '\n' : decodeEntities(run.replace(/<\/?a:t[^>]*>/g, '')))
+        .join('')
+        .trim();
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Reads tables as rows of cell texts
+ * @param {string} xml - Slide XML
+ * @returns {Array<Array<string>>} - One entry per table row, formatted as "cell | cell"
+ */
+const extractTables = (xml) => {
+  const tables = xml.match(/<a:tbl>[\s\S]*?<\/a:tbl>/g) || [];
+
+  return tables.map(table => {
+    const rows = table.match(/<a:tr[\s>][\s\S]*?<\/a:tr>/g) || [];
+    return rows
+      .map(row => {
+        const cells = row.match(/<a:tc[\s>][\s\S]*?<\/a:tc>/g) || [];
+        return cells.map(cell => extractParagraphs(cell).join(' ')).join(' | ');
+      })
+      .filter(row => row.replace(/[\s|]/g, '').length > 0);
+  });
+};
+
+/**
+ * Checks whether a shape is the slide's title placeholder
+ * @param {string} shape - Shape XML
+ * @returns {boolean} - True for title and centered title placeholders
+ */
+const isTitleShape = (shape) => /<p:ph [^>]*type="(?:title|ctrTitle)"/.test(shape);
+
+/**
+ * Finds the text of the slide's title placeholder
+ * @param {string} xml - Slide XML
+ * @returns {string|null} - Slide title
+ */
+const extractTitle = (xml) => {
+  const shapes = xml.match(/<p:sp>[\s\S]*?<\/p:sp>/g) || [];
+  const titleShape = shapes.find(isTitleShape);
+  return titleShape ? extractParagraphs(titleShape).join(' ') || null : null;
+};
+
+/**
+ * Reads the speaker notes from a notes slide (the body placeholder only, skipping slide numbers and headers)
+ * @param {string} xml - Notes slide XML
+ * @returns {Array<string>} - Notes paragraphs
+ */
+const extractNotes = (xml) => {
+  const shapes = xml.match(/<p:sp>[\s\S]*?<\/p:sp>/g) || [];
+  return shapes
+    .filter(shape => /<p:ph [^>]*type="body"/.test(shape))
+    .flatMap(shape => extractParagraphs(shape));
+};
+
+/**
+ * Parses a relationships part into a map of relationship ID to { type, target }
+ * @param {string} xml - .rels XML
+ * @param {string} baseDir - Directory the targets are relative to
+ * @returns {Map<string, Object>} - Relationships by ID
+ */
+const parseRelationships = (xml, baseDir) => {
+  const relationships = new Map();
+  const entries = xml.match(/<Relationship [^>]*>/g) || [];
+
+  for (const entry of entries) {
+    const id = entry.match(/Id="([^"]+)"/);
+    const type = entry.match(/Type="([^"]+)"/);
+    const target = entry.match(/Target="([^"]+)"/);
+    if (id && type && target) {
+      relationships.set(id[1], {
+        type: type[1].split('/').pop(),
+        target: path.posix.normalize(path.posix.join(baseDir, decodeEntities(target[1])))
+      });
+    }
+  }
+
+  return relationships;
+};
+
+/**
+ * Reads a part of the package as text
+ * @param {JSZip} zip - Opened package
+ * @param {string} name - Part name
+ * @returns {Promise<string|null>} - Part content, or null if missing
+ */
+const readPart = async (zip, name) => {
+  const file = zip.file(name);
+  return file ? file.async('string') : null;
+};
+
+/**
+ * Lists slide part names in presentation order
+ * @param {JSZip} zip - Opened package
+ * @returns {Promise<Array<string>>} - Slide part names
+ */
+const getSlideOrder = async (zip) => {
+  const presentation = await readPart(zip, 'ppt/presentation.xml');
+  const rels = await readPart(zip, 'ppt/_rels/presentation.xml.rels');
+
+  if (presentation && rels) {
+    const relationships = parseRelationships(rels, 'ppt');
+    const slideIds = presentation.match(/<p:sldId [^>]*>/g) || [];
+    const ordered = slideIds
+      .map(entry => (entry.match(/r:id="([^"]+)"/) || [])[1])
+      .map(id => relationships.get(id))
+      .filter(rel => rel && rel.type === 'slide' && zip.file(rel.target))
+      .map(rel => rel.target);
+
+    if (ordered.length > 0) {
+      return ordered;
+    }
+  }
+
+  // Fall back to the slide file numbering
+  return Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+};
+
+/**
+ * Extracts slides from a PPTX file
+ * @param {Buffer} buffer - PPTX file contents
+ * @returns {Promise<Array<{slideNumber: number, title: string|null, content: string}>>} - One entry per slide with text
+ */
+const extractSlides = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error(`Not a valid PPTX file: ${error.message}`);
+  }
+
+  const slideNames = await getSlideOrder(zip);
+  if (slideNames.length === 0) {
+    throw new Error('Not a valid PPTX file: no slides found');
+  }
+
+  const slides = [];
+  for (let i = 0; i < slideNames.length; i++) {
+    const slideName = slideNames[i];
+    const xml = await readPart(zip, slideName);
+
+    // Tables are read separately so their cells keep row structure
+    const tables = extractTables(xml);
+    const title = extractTitle(xml);
+    const body = extractParagraphs(xml
+      .replace(/<a:tbl>[\s\S]*?<\/a:tbl>/g, '')
+      .replace(/<p:sp>[\s\S]*?<\/p:sp>/g, shape => isTitleShape(shape) ? '' : shape));
+
+    // Speaker notes are linked from the slide's relationships
+    let notes = [];
+    const relsXml = await readPart(zip, path.posix.join(path.posix.dirname(slideName), '_rels', `${path.posix.basename(slideName)}.rels`));
+    if (relsXml) {
+      const notesRel = Array.from(parseRelationships(relsXml, path.posix.dirname(slideName)).values())
+        .find(rel => rel.type === 'notesSlide');
+      const notesXml = notesRel && await readPart(zip, notesRel.target);
+      if (notesXml) {
+        notes = extractNotes(notesXml);
+      }
+    }
+
+    const parts = [...body];
+    tables.forEach(rows => {
+      if (rows.length > 0) {
+        parts.push(`Table:\n${rows.join('\n')}`);
+      }
+    });
+    if (notes.length > 0) {
+      parts.push(`Speaker notes:\n${notes.join('\n')}`);
+    }
+
+    if (title || parts.length > 0) {
+      slides.push({
+        slideNumber: i + 1,
+        title,
+        content: [`Slide ${i + 1}${title ? `: ${title}` : ''}`, ...parts].join('\n\n')
+      });
+    }
+  }
+
+  return slides;
+};
+
+module.exports = {
+  extractSlides
+};
@@ -0,0 +1,96 @@
+/**
+ * Text Utilities
+ * Helpers shared by the document extractors
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  deg: '°',
+  euro: '€',
+  pound: '£',
+  times: '×'
+};
+
+// Default upper bound for a grouped section, matching the default chunk size
+const MAX_SECTION_CHARS = 1000;
+
+/**
+ * Decodes XML/HTML character references and common named entities
+ * Unknown named entities are left untouched.
+ * @param {string} text - Raw markup text
+ * @returns {string} - Decoded text
+ */
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity] ?? match;
+  });
+};
+
+/**
+ * Removes a leading byte order mark
+ * @param {string} text - Text
+ * @returns {string} - Text without BOM
+ */
+const stripBom = (text) => text.replace(/^\uFEFF/, '');
+
+/**
+ * Groups consecutive text blocks (rows, records) into sections of at most maxChars,
+ * so that a block is never split across sections unless it is larger than maxChars on its own
+ * @param {Array<string>} blocks - Text blocks in order
+ * @param {number} maxChars - Maximum characters per section
+ * @returns {Array<{content: string, start: number, end: number}>} - Sections with the index range of their blocks
+ */
+const groupBlocks = (blocks, maxChars = MAX_SECTION_CHARS) => {
+  const groups = [];
+  let current = null;
+
+  blocks.forEach((block, index) => {
+    if (current && current.content.length + block.length + 2 > maxChars) {
+      groups.push(current);
+      current = null;
+    }
+
+    if (current) {
+      current.content += `\n\n${block}`;
+      current.end = index;
+    } else {
+      current = { content: block, start: index, end: index };
+    }
+  });
+
+  if (current) {
+    groups.push(current);
+  }
+
+  return groups;
+};
+
+module.exports = {
+  MAX_SECTION_CHARS,
+  decodeEntities,
+  stripBom,
+  groupBlocks
+};
@@ -0,0 +1,93 @@
+/**
+ * File Store
+ * Small helpers for persisting JSON state to the local data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('file_store');
+
+// Root directory for all locally persisted state
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+// Pending writes per file, so concurrent saves never interleave
+const writeQueues = new Map();
+
+/**
+ * Ensures a directory exists
+ * @param {string} dirPath - Directory to create if missing
+ */
+const ensureDir = (dirPath) => {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+};
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} fallback - Value returned when the file is missing or unreadable
+ * @returns {*} - Parsed content or the fallback
+ */
+const readJson = (filePath, fallback = null) => {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.error(`Error reading ${filePath}`, { error });
+    return fallback;
+  }
+};
+
+/**
+ * Writes JSON to a file atomically (write to a temp file, then rename)
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} data - Data to serialize
+ * @returns {Promise<void>}
+ */
+const writeJson = (filePath, data) => {
+  // Serialize now so later mutations of `data` don't leak into this write
+  const serialized = JSON.stringify(data);
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+  
+  const next = previous.then(async () => {
+    ensureDir(path.dirname(filePath));
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, serialized);
+    await fs.promises.rename(tempPath, filePath);
+  });
+  
+  // Keep the queue alive even if this write fails
+  writeQueues.set(filePath, next.catch(() => {}));
+  return next;
+};
+
+/**
+ * Removes a file once any pending writes to it have finished
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<void>}
+ */
+const removeFile = (filePath) => {
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+  
+  const next = previous.then(async () => {
+    if (fs.existsSync(filePath)) {
+      await fs.promises.unlink(filePath);
+    }
+  });
+  
+  writeQueues.set(filePath, next.catch(() => {}));
+  return next;
+};
+
+module.exports = {
+  DATA_DIR,
+  ensureDir,
+  readJson,
+  writeJson,
+  removeFile
+};
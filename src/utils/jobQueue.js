@@ -0,0 +1,309 @@
+/**
+ * Job Queue
+ * Runs background jobs (e.g. document indexing) one at a time, tracks their progress
+ * and persists job records so they survive a restart (interrupted jobs are marked as failed).
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR, readJson, writeJson } = require('./fileStore');
+const { getRequestId, runWithRequestId } = require('./requestContext');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('job_queue');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Finished jobs kept on disk; older ones are pruned
+const MAX_FINISHED_JOBS = 200;
+
+class JobQueue {
+  constructor() {
+    this.filePath = process.env.JOB_STORE_PATH || path.join(DATA_DIR, 'jobs.json');
+    this.concurrency = parseInt(process.env.INDEXING_CONCURRENCY || '1', 10);
+    this.jobs = null;
+
+    // Runtime state that is never persisted
+    this.pending = [];              // Job IDs waiting to run, in order
+    this.tasks = new Map();         // Job ID -> task function
+    this.cleanups = new Map();      // Job ID -> cleanup of a queued job's resources (e.g. its upload)
+    this.controllers = new Map();   // Job ID -> AbortController of a running job
+    this.waiters = new Map();       // Job ID -> resolvers waiting for the job to finish
+    this.running = 0;
+  }
+
+  /**
+   * Loads jobs from disk on first use, failing any job interrupted by a restart
+   * @returns {Map<string, Object>} - Jobs by ID
+   */
+  _load() {
+    if (!this.jobs) {
+      const data = readJson(this.filePath);
+      this.jobs = new Map(((data && data.jobs) || []).map(job => [job.jobId, job]));
+
+      let interrupted = 0;
+      const now = new Date().toISOString();
+      for (const job of this.jobs.values()) {
+        if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING) {
+          job.status = JOB_STATUS.FAILED;
+          job.error = 'Interrupted by server restart';
+          job.finishedAt = now;
+          job.updatedAt = now;
+          interrupted++;
+        }
+      }
+
+      logger.info(`Loaded ${this.jobs.size} jobs (${interrupted} interrupted by restart)`);
+      if (interrupted > 0) {
+        this._save();
+      }
+    }
+    return this.jobs;
+  }
+
+  /**
+   * Writes all jobs to disk, pruning the oldest finished jobs
+   * @returns {Promise<void>}
+   */
+  _save() {
+    const jobs = Array.from(this._load().values());
+    const finished = jobs.filter(job => this._isFinished(job));
+
+    if (finished.length > MAX_FINISHED_JOBS) {
+      finished
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .slice(0, finished.length - MAX_FINISHED_JOBS)
+        .forEach(job => this.jobs.delete(job.jobId));
+    }
+
+    return writeJson(this.filePath, { jobs: Array.from(this.jobs.values()) })
+      .catch(error => logger.error('Error saving jobs', { error }));
+  }
+
+  /**
+   * Checks whether a job has reached a terminal state
+   * @param {Object} job - Job record
+   * @returns {boolean} - True if completed, failed or cancelled
+   */
+  _isFinished(job) {
+    return [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status);
+  }
+
+  /**
+   * Updates a job record and persists it
+   * @param {Object} job - Job record
+   * @param {Object} fields - Fields to update
+   */
+  _update(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    this._save();
+  }
+
+  /**
+   * Adds a job to the queue
+   * The job remembers the id of the request that enqueued it, and its task runs with that id in context.
+   * @param {Object} details - Descriptive fields stored on the job (type, filename, collectionName, ...)
+   * @param {Function} task - async ({ onProgress, signal }) => result; a result with success: false fails the job
+   * @param {Object} options - Queue options
+   * @param {Function} options.cleanup - Releases the task's resources if the job is cancelled before it starts;
+   *   once started, the task is responsible for them
+   * @returns {Object} - Job record
+   */
+  enqueue(details, task, { cleanup } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      jobId: uuidv4(),
+      requestId: getRequestId(),
+      ...details,
+      status: JOB_STATUS.QUEUED,
+      stage: 'queued',
+      progress: { chunksDone: 0, chunksTotal: 0 },
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this._load().set(job.jobId, job);
+    this.tasks.set(job.jobId, task);
+    if (cleanup) {
+      this.cleanups.set(job.jobId, cleanup);
+    }
+    this.pending.push(job.jobId);
+    this._save();
+
+    logger.info(`Enqueued job ${job.jobId} (${this.pending.length} pending)`);
+    setImmediate(() => this._drain());
+    return job;
+  }
+
+  /**
+   * Starts pending jobs while there is spare concurrency
+   */
+  _drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      this._run(jobId);
+    }
+  }
+
+  /**
+   * Runs a single job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async _run(jobId) {
+    const job = this.jobs.get(jobId);
+    const task = this.tasks.get(jobId);
+    this.tasks.delete(jobId);
+    this.cleanups.delete(jobId);
+
+    if (!job || !task || job.status !== JOB_STATUS.QUEUED) {
+      return;
+    }
+
+    const controller = new AbortController();
+    this.controllers.set(jobId, controller);
+    this.running++;
+
+    this._update(job, { status: JOB_STATUS.RUNNING, startedAt: new Date().toISOString() });
+    logger.info(`Running job ${jobId}`);
+
+    try {
+      // Jobs are started from whichever request or job freed the slot, so restore the enqueuing request's id
+      const result = await runWithRequestId(job.requestId, () => task({
+        signal: controller.signal,
+        onProgress: ({ stage, chunksDone, chunksTotal }) => {
+          this._update(job, { stage, progress: { chunksDone, chunksTotal } });
+        }
+      }));
+
+      if (controller.signal.aborted) {
+        this._update(job, { status: JOB_STATUS.CANCELLED, error: 'Job cancelled', finishedAt: new Date().toISOString() });
+      } else if (result && result.success === false) {
+        this._update(job, { status: JOB_STATUS.FAILED, error: result.error, result, finishedAt: new Date().toISOString() });
+      } else {
+        this._update(job, { status: JOB_STATUS.COMPLETED, stage: 'done', result, finishedAt: new Date().toISOString() });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        logger.error(`Job ${jobId} failed`, { error });
+      }
+      this._update(job, {
+        status: controller.signal.aborted ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED,
+        error: controller.signal.aborted ? 'Job cancelled' : error.message,
+        finishedAt: new Date().toISOString()
+      });
+    } finally {
+      this.controllers.delete(jobId);
+      this.running--;
+      this._notify(job);
+      this._drain();
+    }
+
+    logger.info(`Job ${jobId} finished with status ${job.status}`);
+  }
+
+  /**
+   * Runs and forgets the cleanup of a job that will never start
+   * @param {string} jobId - Job ID
+   */
+  _cleanup(jobId) {
+    const cleanup = this.cleanups.get(jobId);
+    this.cleanups.delete(jobId);
+    if (cleanup) {
+      Promise.resolve()
+        .then(cleanup)
+        .catch(error => logger.error(`Error cleaning up job ${jobId}`, { error }));
+    }
+  }
+
+  /**
+   * Resolves everyone waiting for a job
+   * @param {Object} job - Finished job record
+   */
+  _notify(job) {
+    const resolvers = this.waiters.get(job.jobId) || [];
+    this.waiters.delete(job.jobId);
+    resolvers.forEach(resolve => resolve(job));
+  }
+
+  /**
+   * Gets a job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - Job record
+   */
+  get(jobId) {
+    return this._load().get(jobId) || null;
+  }
+
+  /**
+   * Lists jobs, newest first
+   * @param {Object} options - List options
+   * @param {string} options.status - Only list jobs with this status
+   * @returns {Array<Object>} - Job records
+   */
+  list({ status } = {}) {
+    return Array.from(this._load().values())
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Waits for a job to finish
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Finished job record, or null if not found
+   */
+  waitFor(jobId) {
+    const job = this.get(jobId);
+    if (!job || this._isFinished(job)) {
+      return Promise.resolve(job);
+    }
+
+    return new Promise(resolve => {
+      const resolvers = this.waiters.get(jobId) || [];
+      resolvers.push(resolve);
+      this.waiters.set(jobId, resolvers);
+    });
+  }
+
+  /**
+   * Cancels a queued or running job
+   * Running jobs stop at the next stage or batch boundary
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - Job record, or null if not found
+   */
+  cancel(jobId) {
+    const job = this.get(jobId);
+    if (!job || this._isFinished(job)) {
+      return job;
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.pending = this.pending.filter(id => id !== jobId);
+      this.tasks.delete(jobId);
+      this._cleanup(jobId);
+      this._update(job, { status: JOB_STATUS.CANCELLED, error: 'Job cancelled', finishedAt: new Date().toISOString() });
+      this._notify(job);
+    } else {
+      this._update(job, { cancelRequested: true });
+      this.controllers.get(jobId)?.abort();
+    }
+
+    logger.info(`Cancellation requested for job ${jobId}`);
+    return job;
+  }
+}
+
+// Singleton instance
+const jobQueue = new JobQueue();
+module.exports = jobQueue;
+module.exports.JOB_STATUS = JOB_STATUS;
@@ -0,0 +1,284 @@
+/**
+ * Lexical Index
+ * BM25 keyword index over chunk contents, kept per collection next to the vector store so that
+ * exact terms (error codes, SKUs, function names) can be found even when embeddings miss them.
+ * Each collection is persisted to its own JSON file.
+ */
+
+const path = require('path');
+const { DATA_DIR, readJson, writeJson, removeFile } = require('./fileStore');
+const { matchesConditions } = require('./searchFilters');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('lexical_index');
+
+// BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how', 'i', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who',
+  'why', 'will', 'with', 'you', 'your', 'do', 'does', 'can', 'about'
+]);
+
+/**
+ * Splits text into lowercase terms
+ * Compound identifiers such as "ERR_CONN-42" or "v1.2.3" are kept whole and also indexed by their parts.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms
+ */
+const tokenize = (text) => {
+  const terms = [];
+  for (const [token] of (text || '').toLowerCase().matchAll(/[\p{L}\p{N}]+(?:[-._:/#][\p{L}\p{N}]+)*/gu)) {
+    if (!STOP_WORDS.has(token)) {
+      terms.push(token);
+    }
+    if (/[-._:/#]/.test(token)) {
+      terms.push(...token.split(/[-._:/#]+/).filter(part => part && !STOP_WORDS.has(part)));
+    }
+  }
+  return terms;
+};
+
+class LexicalIndex {
+  constructor() {
+    this.storageDir = process.env.LEXICAL_INDEX_DIR || path.join(DATA_DIR, 'lexical_index');
+
+    // Collection name -> { name, documents: Map<id, document>, documentFrequency: Map<term, count>, totalLength }
+    this.collections = new Map();
+  }
+
+  /**
+   * Gets the file path used to persist a collection's index
+   * @param {string} collectionName - Name of the collection
+   * @returns {string} - Absolute file path
+   */
+  _collectionPath(collectionName) {
+    return path.join(this.storageDir, `${encodeURIComponent(collectionName)}.json`);
+  }
+
+  /**
+   * Loads a collection's index from disk on first use
+   * @param {string} collectionName - Name of the collection
+   * @returns {Object|null} - Collection index, or null if it has never been built
+   */
+  _load(collectionName) {
+    if (!this.collections.has(collectionName)) {
+      const data = readJson(this._collectionPath(collectionName));
+      if (!data) {
+        return null;
+      }
+      this.collections.set(collectionName, this._createCollection(collectionName, data.documents || []));
+    }
+    return this.collections.get(collectionName);
+  }
+
+  /**
+   * Builds the in-memory index of a collection
+   * @param {string} collectionName - Name of the collection
+   * @param {Array<Object>} documents - Indexed documents ({ id, content, metadata, terms, length })
+   * @returns {Object} - Collection index
+   */
+  _createCollection(collectionName, documents) {
+    const collection = {
+      name: collectionName,
+      documents: new Map(),
+      documentFrequency: new Map(),
+      totalLength: 0
+    };
+    // Term maps loaded from disk get a null prototype too, so terms like "constructor" aren't inherited
+    documents.forEach(document => this._addToCollection(collection, {
+      ...document,
+      terms: Object.assign(Object.create(null), document.terms)
+    }));
+    return collection;
+  }
+
+  /**
+   * Adds a document to a collection's index, replacing any document with the same ID
+   * @param {Object} collection - Collection index
+   * @param {Object} document - Indexed document
+   */
+  _addToCollection(collection, document) {
+    this._removeFromCollection(collection, document.id);
+    collection.documents.set(document.id, document);
+    collection.totalLength += document.length;
+    for (const term of Object.keys(document.terms)) {
+      collection.documentFrequency.set(term, (collection.documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  /**
+   * Removes a document from a collection's index
+   * @param {Object} collection - Collection index
+   * @param {string} id - Document (chunk) ID
+   */
+  _removeFromCollection(collection, id) {
+    const document = collection.documents.get(id);
+    if (!document) {
+      return;
+    }
+    collection.documents.delete(id);
+    collection.totalLength -= document.length;
+    for (const term of Object.keys(document.terms)) {
+      const count = collection.documentFrequency.get(term) - 1;
+      if (count > 0) {
+        collection.documentFrequency.set(term, count);
+      } else {
+        collection.documentFrequency.delete(term);
+      }
+    }
+  }
+
+  /**
+   * Writes a collection's index to disk
+   * @param {Object} collection - Collection index
+   * @returns {Promise<void>}
+   */
+  async _persist(collection) {
+    await writeJson(this._collectionPath(collection.name), {
+      name: collection.name,
+      documents: Array.from(collection.documents.values())
+    });
+  }
+
+  /**
+   * Converts a chunk into an indexed document
+   * @param {Object} chunk - Chunk with id, content and metadata
+   * @returns {Object} - Indexed document with term frequencies
+   */
+  _toIndexedDocument(chunk) {
+    // Null prototype: tokens such as "constructor" or "tostring" must not pick up Object.prototype members
+    const terms = Object.create(null);
+    const tokens = tokenize(chunk.content);
+    tokens.forEach(term => {
+      terms[term] = (terms[term] || 0) + 1;
+    });
+
+    return {
+      id: chunk.id,
+      content: chunk.content,
+      metadata: chunk.metadata || {},
+      terms,
+      length: tokens.length
+    };
+  }
+
+  /**
+   * Checks whether a collection's index has been built
+   * @param {string} collectionName - Name of the collection
+   * @returns {boolean} - True if the index exists
+   */
+  hasCollection(collectionName) {
+    return !!this._load(collectionName);
+  }
+
+  /**
+   * Replaces a collection's index with the given chunks
+   * @param {string} collectionName - Name of the collection
+   * @param {Array<Object>} chunks - All chunks in the collection ({ id, content, metadata })
+   * @returns {Promise<void>}
+   */
+  async rebuild(collectionName, chunks) {
+    const collection = this._createCollection(collectionName, chunks.map(chunk => this._toIndexedDocument(chunk)));
+    this.collections.set(collectionName, collection);
+    await this._persist(collection);
+    logger.info(`Built index for ${collectionName} with ${collection.documents.size} chunks`);
+  }
+
+  /**
+   * Adds chunks to a collection's index, creating the index if needed
+   * @param {string} collectionName - Name of the collection
+   * @param {Array<Object>} chunks - Chunks to add ({ id, content, metadata })
+   * @returns {Promise<void>}
+   */
+  async addDocuments(collectionName, chunks) {
+    const collection = this._load(collectionName) || this._createCollection(collectionName, []);
+    this.collections.set(collectionName, collection);
+    chunks.forEach(chunk => this._addToCollection(collection, this._toIndexedDocument(chunk)));
+    await this._persist(collection);
+    logger.info(`Indexed ${chunks.length} chunks in ${collectionName}`);
+  }
+
+  /**
+   * Removes all chunks whose metadata matches a filter (e.g. { document_id })
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} filter - Metadata key/value pairs that must all match
+   * @returns {Promise<number>} - Number of chunks removed
+   */
+  async deleteDocuments(collectionName, filter) {
+    const collection = this._load(collectionName);
+    if (!collection) {
+      return 0;
+    }
+
+    const ids = Array.from(collection.documents.values())
+      .filter(document => Object.entries(filter).every(([key, value]) => document.metadata[key] === value))
+      .map(document => document.id);
+    ids.forEach(id => this._removeFromCollection(collection, id));
+
+    if (ids.length > 0) {
+      await this._persist(collection);
+    }
+    return ids.length;
+  }
+
+  /**
+   * Deletes a collection's index (it is rebuilt from the vector store on next use if the collection still exists)
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<void>}
+   */
+  async deleteCollection(collectionName) {
+    this.collections.delete(collectionName);
+    await removeFile(this._collectionPath(collectionName));
+  }
+
+  /**
+   * Scores chunks against a query with BM25
+   * @param {string} collectionName - Name of the collection
+   * @param {string} query - Query text
+   * @param {number} limit - Maximum number of results
+   * @param {Array<Object>} conditions - Metadata conditions results must satisfy (see searchFilters.js)
+   * @returns {Array<Object>} - Matching chunks ({ id, content, metadata, score }), best first
+   */
+  search(collectionName, query, limit = 5, conditions = []) {
+    const collection = this._load(collectionName);
+    if (!collection || collection.documents.size === 0) {
+      return [];
+    }
+
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    const documentCount = collection.documents.size;
+    const averageLength = collection.totalLength / documentCount || 1;
+
+    const results = [];
+    for (const document of collection.documents.values()) {
+      if (!matchesConditions(document.metadata, conditions)) {
+        continue;
+      }
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = Object.hasOwn(document.terms, term) ? document.terms[term] : 0;
+        if (!frequency) {
+          continue;
+        }
+        const documentFrequency = collection.documentFrequency.get(term) || 0;
+        const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        score += idf * (frequency * (BM25_K1 + 1)) /
+          (frequency + BM25_K1 * (1 - BM25_B + BM25_B * document.length / averageLength));
+      }
+
+      if (score > 0) {
+        results.push({ id: document.id, content: document.content, metadata: document.metadata, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+// Singleton instance
+const lexicalIndex = new LexicalIndex();
+module.exports = lexicalIndex;
+module.exports.tokenize = tokenize;
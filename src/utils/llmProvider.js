@@ -0,0 +1,63 @@
+/**
+ * LLM Provider for RAG Architecture
+ * Selects the LLM backend from the environment and exposes it as a singleton.
+ *
+ * LLM_PROVIDER:
+ *   - 'openai':            OpenAI API (OPENAI_API_KEY)
+ *   - 'openai-compatible': any OpenAI-compatible server such as Ollama, llama.cpp server or vLLM
+ *                          (LLM_BASE_URL, optional LLM_API_KEY)
+ *   - 'mock':              canned responses built from the retrieved contexts, no model involved
+ * When unset, OpenAI is used if OPENAI_API_KEY is configured, otherwise the mock provider.
+ * LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS and LLM_TIMEOUT_MS set the defaults that chat requests can override.
+ */
+
+const OpenAILlmProvider = require('./llmProviders/openaiLlmProvider');
+const MockLlmProvider = require('./llmProviders/mockLlmProvider');
+
+const LLM_PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+/**
+ * Creates the LLM provider configured for this process
+ * @returns {BaseLlmProvider} - LLM provider instance
+ */
+const createLlmProvider = () => {
+  const provider = (process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'mock')).toLowerCase();
+  const config = {
+    temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.7'),
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '500', 10),
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '30000', 10)
+  };
+
+  switch (provider) {
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('LLM_PROVIDER "openai" requires OPENAI_API_KEY');
+      }
+      return new OpenAILlmProvider({
+        ...config,
+        provider,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.LLM_MODEL || 'gpt-3.5-turbo'
+      });
+    case 'openai-compatible':
+      if (!process.env.LLM_BASE_URL || !process.env.LLM_MODEL) {
+        throw new Error('LLM_PROVIDER "openai-compatible" requires LLM_BASE_URL and LLM_MODEL');
+      }
+      return new OpenAILlmProvider({
+        ...config,
+        provider,
+        apiKey: process.env.LLM_API_KEY,
+        baseUrl: process.env.LLM_BASE_URL,
+        model: process.env.LLM_MODEL
+      });
+    case 'mock':
+      return new MockLlmProvider(config);
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${provider}". Expected one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+};
+
+// Singleton instance
+const llmProvider = createLlmProvider();
+module.exports = llmProvider;
+module.exports.LLM_PROVIDERS = LLM_PROVIDERS;
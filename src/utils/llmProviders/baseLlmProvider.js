@@ -0,0 +1,94 @@
+/**
+ * Base LLM Provider
+ * Defines the interface every LLM backend must implement
+ */
+
+class BaseLlmProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.model - Model used when a request does not name one
+   * @param {number} config.temperature - Default sampling temperature
+   * @param {number} config.maxTokens - Default maximum tokens to generate
+   * @param {number} config.timeoutMs - Default request timeout in milliseconds
+   */
+  constructor({ model, temperature = 0.7, maxTokens = 500, timeoutMs = 30000 } = {}) {
+    this.provider = 'base';
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Generates a chat completion
+   * @param {Object} request - Completion request
+   * @param {Array<Object>} request.messages - Chat messages ({ role, content })
+   * @param {string} request.model - Model (defaults to the provider's model)
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {number} request.timeoutMs - Request timeout in milliseconds
+   * @param {Object} request.task - What the completion is for ({ type: 'answer' | 'condense' | 'rerank', ... }),
+   *   used by providers that do not call a model
+   * @returns {Promise<{text: string, model: string}>} - Generated text and the model that actually produced it,
+   *   which can differ from the requested one (e.g. a provider that ignores or aliases model names)
+   */
+  async complete(request) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  /**
+   * Generates a chat completion and emits it in pieces as it is produced
+   * @param {Object} request - Completion request (same as complete, plus signal)
+   * @param {Function} onDelta - Called with each text delta
+   * @returns {Promise<{model: string}>} - Resolves with the model that produced the completion once it has finished
+   */
+  async stream(request, onDelta) {
+    throw new Error(`${this.constructor.name} does not implement stream()`);
+  }
+
+  /**
+   * Describes the provider for status reporting
+   * @returns {Object} - Provider name and default model
+   */
+  describe() {
+    return {
+      provider: this.provider,
+      model: this.model
+    };
+  }
+
+  /**
+   * Fills in the provider's defaults for a completion request
+   * @param {Object} request - Completion request
+   * @returns {Object} - Request with model, temperature, maxTokens and timeoutMs set
+   */
+  _withDefaults(request) {
+    return {
+      ...request,
+      model: request.model || this.model,
+      temperature: request.temperature ?? this.temperature,
+      maxTokens: request.maxTokens ?? this.maxTokens,
+      timeoutMs: request.timeoutMs ?? this.timeoutMs
+    };
+  }
+
+  /**
+   * Wraps a backend failure in an error that names the provider, so it can be reported to the client
+   * @param {Error} error - Original error
+   * @param {string} model - Model the request used
+   * @returns {Error} - Error with provider, model and statusCode (502) set
+   */
+  _providerError(error, model) {
+    const detail = error.response && error.response.data && error.response.data.error
+      ? error.response.data.error.message || error.response.data.error
+      : error.message;
+    const wrapped = new Error(`LLM provider "${this.provider}" failed (model ${model}): ${detail}`);
+    wrapped.provider = this.provider;
+    wrapped.model = model;
+    wrapped.statusCode = 502;
+    wrapped.cause = error;
+    return wrapped;
+  }
+}
+
+module.exports = BaseLlmProvider;
@@ -0,0 +1,128 @@
+/**
+ * Mock LLM Provider
+ * Produces plausible, deterministic completions without calling a model, for development and testing.
+ * Completions are built from the request's task (the question and contexts) rather than the prompt text.
+ */
+
+const BaseLlmProvider = require('./baseLlmProvider');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('llm_provider');
+
+class MockLlmProvider extends BaseLlmProvider {
+  constructor(config = {}) {
+    super({ model: 'mock', ...config });
+    this.provider = 'mock';
+    logger.info('Mock provider initialized, responses are generated without a model');
+  }
+
+  /**
+   * Generates a mock completion
+   * The requested model is ignored, so the mock model is always reported.
+   * @param {Object} request - Completion request (see BaseLlmProvider.complete)
+   * @returns {Promise<{text: string, model: string}>} - Generated text and model
+   */
+  async complete({ task = {} } = {}) {
+    return { text: this._completeTask(task), model: this.model };
+  }
+
+  /**
+   * Produces the mock text for a task
+   * @param {Object} task - Task of the completion request
+   * @returns {string} - Generated text
+   */
+  _completeTask(task) {
+    switch (task.type) {
+      case 'condense':
+        return this._condenseQuery(task.query, task.history || []);
+      case 'rerank':
+        return JSON.stringify(this._scoreRelevance(task.query, task.contexts || []));
+      default:
+        return this._generateResponse(task.query, task.contexts || []);
+    }
+  }
+
+  /**
+   * Streams the mock completion word by word
+   * @param {Object} request - Completion request (see BaseLlmProvider.stream)
+   * @param {Function} onDelta - Called with each text delta
+   * @returns {Promise<{model: string}>} - Model
+   */
+  async stream(request, onDelta) {
+    const { text: response, model } = await this.complete(request);
+    const delayMs = parseInt(process.env.MOCK_STREAM_DELAY_MS || '20', 10);
+
+    // Keep the whitespace attached to each word so the deltas concatenate back to the response
+    for (const token of response.match(/\S+\s*/g) || []) {
+      if (request.signal && request.signal.aborted) {
+        throw new Error('Stream aborted');
+      }
+      onDelta(token);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    return { model };
+  }
+
+  /**
+   * Generates a mock answer quoting the first contexts
+   * @param {string} query - User query
+   * @param {Array<Object>} contexts - Retrieved context documents
+   * @returns {string} - Mock response
+   */
+  _generateResponse(query, contexts = []) {
+    logger.info('Generating mock response', { query });
+
+    if (contexts.length === 0) {
+      return "I don't have enough information to answer this question as no context was provided.";
+    }
+
+    // Create a simple but plausible response based on the contexts
+    let response = `Based on the information I have, I can tell you that `;
+
+    // Extract a few sentences from the contexts, citing each one
+    const contextSamples = contexts.slice(0, 2).map((ctx, index) => {
+      const sentences = ctx.content.split(/[.!?]+/).filter(s => s.trim().length > 0);
+      return `${sentences.slice(0, 2).join('. ')} [${index + 1}].`;
+    });
+
+    response += contextSamples.join(' Furthermore, ');
+
+    // Add a disclaimer
+    response += ` This information is directly based on the context provided. Is there anything specific about this you'd like me to elaborate on?`;
+
+    return response;
+  }
+
+  /**
+   * Condenses a follow-up question by anchoring it to the previous user question
+   * @param {string} query - Follow-up question
+   * @param {Array<Object>} history - Prior conversation turns
+   * @returns {string} - Standalone query
+   */
+  _condenseQuery(query, history) {
+    const lastUserMessage = [...history].reverse().find(message => message.role === 'user');
+    if (!lastUserMessage) {
+      return query;
+    }
+    return `${lastUserMessage.content} ${query}`;
+  }
+
+  /**
+   * Scores relevance from 0 to 10 as the fraction of query words each passage contains
+   * @param {string} query - User query
+   * @param {Array<Object>} contexts - Retrieved context documents
+   * @returns {Array<number>} - One score per context
+   */
+  _scoreRelevance(query, contexts) {
+    const queryWords = Array.from(new Set(query.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []));
+    if (queryWords.length === 0) {
+      return contexts.map(() => 0);
+    }
+    return contexts.map(ctx => {
+      const content = ctx.content.toLowerCase();
+      return 10 * queryWords.filter(word => content.includes(word)).length / queryWords.length;
+    });
+  }
+}
+
+module.exports = MockLlmProvider;
@@ -0,0 +1,158 @@
+/**
+ * OpenAI LLM Provider
+ * Chat completions through the OpenAI API, or through any server exposing an OpenAI-compatible
+ * /chat/completions endpoint (Ollama, llama.cpp server, vLLM, ...) when a base URL is given.
+ */
+
+const { Configuration, OpenAIApi } = require('openai');
+const BaseLlmProvider = require('./baseLlmProvider');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('llm_provider');
+
+class OpenAILlmProvider extends BaseLlmProvider {
+  /**
+   * @param {Object} config - Provider configuration (see BaseLlmProvider), plus:
+   * @param {string} config.provider - Name reported for the provider ('openai' or 'openai-compatible')
+   * @param {string} config.apiKey - API key (optional for local servers)
+   * @param {string} config.baseUrl - Base URL of an OpenAI-compatible API, e.g. http://localhost:11434/v1
+   */
+  constructor({ provider = 'openai', apiKey, baseUrl, ...config } = {}) {
+    super(config);
+    this.provider = provider;
+    this.baseUrl = baseUrl || null;
+    this.client = new OpenAIApi(new Configuration({
+      apiKey,
+      ...(baseUrl && { basePath: baseUrl.replace(/\/+$/, '') })
+    }));
+    logger.info(`${provider} provider initialized (model ${this.model}${baseUrl ? `, ${baseUrl}` : ''})`);
+  }
+
+  /**
+   * Generates a chat completion
+   * @param {Object} request - Completion request (see BaseLlmProvider.complete)
+   * @returns {Promise<{text: string, model: string}>} - Generated text and the model the server reports using
+   */
+  async complete(request) {
+    const { messages, model, temperature, maxTokens, timeoutMs } = this._withDefaults(request);
+
+    try {
+      const response = await this.client.createChatCompletion({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      }, { timeout: timeoutMs });
+
+      return {
+        text: (response.data.choices[0].message.content || '').trim(),
+        model: response.data.model || model
+      };
+    } catch (error) {
+      throw this._providerError(error, model);
+    }
+  }
+
+  /**
+   * Streams a chat completion
+   * @param {Object} request - Completion request (see BaseLlmProvider.stream)
+   * @param {Function} onDelta - Called with each text delta
+   * @returns {Promise<{model: string}>} - Model the server reports using
+   */
+  async stream(request, onDelta) {
+    const { messages, model, temperature, maxTokens, timeoutMs, signal } = this._withDefaults(request);
+
+    let response;
+    try {
+      response = await this.client.createChatCompletion({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true
+      }, { responseType: 'stream', timeout: timeoutMs });
+    } catch (error) {
+      throw this._providerError(error, model);
+    }
+
+    try {
+      const streamedModel = await this._readCompletionStream(response.data, onDelta, signal);
+      return { model: streamedModel || model };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      throw this._providerError(error, model);
+    }
+  }
+
+  /**
+   * Describes the provider for status reporting
+   * @returns {Object} - Provider name, default model and base URL
+   */
+  describe() {
+    return {
+      ...super.describe(),
+      ...(this.baseUrl && { baseUrl: this.baseUrl })
+    };
+  }
+
+  /**
+   * Reads an OpenAI server-sent event stream and emits content deltas
+   * @param {Stream} stream - Readable stream of the HTTP response body
+   * @param {Function} emit - Called with each content delta
+   * @param {AbortSignal} signal - Optional signal to stop reading
+   * @returns {Promise<string|null>} - Model named in the stream's chunks, or null if none named one
+   */
+  _readCompletionStream(stream, emit, signal) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let streamedModel = null;
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          stream.destroy();
+          reject(new Error('Stream aborted'));
+        }, { once: true });
+      }
+
+      stream.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) {
+            continue;
+          }
+
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') {
+            continue;
+          }
+
+          try {
+            const parsed = JSON.parse(payload);
+            if (parsed.error) {
+              stream.destroy();
+              reject(new Error(parsed.error.message || JSON.stringify(parsed.error)));
+              return;
+            }
+            streamedModel = parsed.model || streamedModel;
+            const delta = parsed.choices[0].delta.content;
+            if (delta) {
+              emit(delta);
+            }
+          } catch (err) {
+            logger.error('Error parsing stream chunk', { error: err });
+          }
+        }
+      });
+      stream.on('end', () => resolve(streamedModel));
+      stream.on('error', reject);
+    });
+  }
+}
+
+module.exports = OpenAILlmProvider;
@@ -0,0 +1,149 @@
+/**
+ * Logger
+ * Structured logging with levels. Each line is a JSON object with the time, level, module, the id of
+ * the request being served (see requestContext.js), a message and any fields passed with it.
+ *
+ * LOG_LEVEL:          debug, info, warn, error or silent (default: info)
+ * LOG_LEVELS:         per-module overrides, e.g. "vector_store=debug,job_queue=warn"
+ * LOG_FORMAT:         json (default) or text, a human-readable line for local development
+ * LOG_REDACT_QUERIES: when true, user questions in the query fields are replaced by their length
+ */
+
+const { getRequestId } = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields that hold user questions
+const QUERY_FIELDS = ['query', 'standaloneQuery', 'cachedQuery'];
+
+/**
+ * Parses a level name, falling back for unknown names
+ * @param {string} name - Level name
+ * @param {string} fallback - Level used when the name is unknown
+ * @returns {string} - Level name
+ */
+const parseLevel = (name, fallback) => {
+  const level = (name || '').trim().toLowerCase();
+  // Own properties only, so names like "constructor" are not taken for levels
+  return Object.hasOwn(LEVELS, level) ? level : fallback;
+};
+
+const DEFAULT_LEVEL = parseLevel(process.env.LOG_LEVEL, 'info');
+const MODULE_LEVELS = new Map((process.env.LOG_LEVELS || '')
+  .split(',')
+  .map(entry => entry.split('='))
+  .filter(([module, level]) => module && module.trim() && parseLevel(level, null))
+  .map(([module, level]) => [module.trim(), parseLevel(level)]));
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+const LOG_REDACT_QUERIES = process.env.LOG_REDACT_QUERIES === 'true';
+
+/**
+ * Converts a field value to something JSON can represent
+ * Errors keep their message, status code and (at error level) stack, which JSON.stringify would drop.
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @param {string} level - Level of the line
+ * @returns {*} - Serializable value
+ */
+const serializeField = (key, value, level) => {
+  if (value instanceof Error) {
+    return {
+      message: value.message,
+      ...(value.statusCode && { statusCode: value.statusCode }),
+      ...(value.code && { code: value.code }),
+      ...(level === 'error' && value.stack && { stack: value.stack })
+    };
+  }
+  if (LOG_REDACT_QUERIES && QUERY_FIELDS.includes(key) && typeof value === 'string') {
+    return `[redacted ${value.length} chars]`;
+  }
+  return value;
+};
+
+/**
+ * Formats a line for LOG_FORMAT=text
+ * @param {Object} entry - Log entry
+ * @returns {string} - Line
+ */
+const formatText = ({ time, level, module, requestId, msg, ...fields }) => {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${module}]${requestId ? ` (${requestId})` : ''} ${msg}${details ? ` ${details}` : ''}`;
+};
+
+class Logger {
+  /**
+   * @param {string} module - Module name shown on every line (e.g. rag_service)
+   */
+  constructor(module) {
+    this.module = module;
+    this.level = MODULE_LEVELS.get(module) || DEFAULT_LEVEL;
+  }
+
+  /**
+   * Whether lines at a level are written for this module
+   * @param {string} level - Level name
+   * @returns {boolean} - Whether the level is enabled
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  /**
+   * Writes a line
+   * @param {string} level - Level name
+   * @param {string} msg - Message
+   * @param {Object} fields - Extra fields
+   */
+  _write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const requestId = getRequestId();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      module: this.module,
+      ...(requestId && { requestId }),
+      msg
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        entry[key] = serializeField(key, value, level);
+      }
+    }
+
+    const line = LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  debug(msg, fields) {
+    this._write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this._write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this._write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this._write('error', msg, fields);
+  }
+}
+
+/**
+ * Creates the logger of a module
+ * @param {string} module - Module name (snake_case, as in LOG_LEVELS)
+ * @returns {Logger} - Logger
+ */
+const createLogger = (module) => new Logger(module);
+
+module.exports = {
+  LEVELS,
+  createLogger
+};
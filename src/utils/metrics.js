@@ -0,0 +1,276 @@
+/**
+ * Metrics
+ * In-process counters and histograms for the RAG pipeline, rendered in the Prometheus text exposition
+ * format by GET /metrics. Every metric the API records is declared at the bottom of this file.
+ */
+
+// Default histogram buckets for durations in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escapes a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Renders a label set, e.g. {method="GET",status="200"}
+ * @param {Object} labels - Label names and values
+ * @returns {string} - Rendered labels, or an empty string when there are none
+ */
+const renderLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+class Metric {
+  /**
+   * @param {Object} config - Metric configuration
+   * @param {string} config.name - Metric name
+   * @param {string} config.help - Description shown in the HELP line
+   * @param {Array<string>} config.labelNames - Names of the labels every observation carries
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+
+    // Serialized label values -> series
+    this.series = new Map();
+  }
+
+  /**
+   * Gets the series for a label set, creating it on first use
+   * Only declared labels are kept, in declaration order; missing labels are recorded as empty.
+   * @param {Object} labels - Label values
+   * @returns {Object} - Series ({ labels, ... })
+   */
+  _series(labels = {}) {
+    const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      const seriesLabels = {};
+      this.labelNames.forEach((name, index) => {
+        seriesLabels[name] = values[index];
+      });
+      this.series.set(key, this._createSeries(seriesLabels));
+    }
+    return this.series.get(key);
+  }
+}
+
+class Counter extends Metric {
+  _createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  /**
+   * Increments the counter
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add (default: 1)
+   */
+  inc(labels = {}, value = 1) {
+    this._series(labels).value += value;
+  }
+
+  /**
+   * Renders the counter in the exposition format
+   * @returns {string} - HELP, TYPE and sample lines
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${renderLabels(series.labels)} ${series.value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} config - Metric configuration (see Metric)
+   * @param {Array<number>} config.buckets - Upper bounds of the buckets, ascending (default: DURATION_BUCKETS)
+   */
+  constructor({ buckets = DURATION_BUCKETS, ...config }) {
+    super(config);
+    this.buckets = buckets;
+  }
+
+  _createSeries(labels) {
+    return { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+  }
+
+  /**
+   * Records an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    const series = this._series(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Starts timing a duration in seconds
+   * @param {Object} labels - Label values known up front
+   * @returns {Function} - Call with any further labels to record the elapsed seconds; returns them
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * Renders the histogram in the exposition format (cumulative buckets, sum and count)
+   * @returns {string} - HELP, TYPE and sample lines
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${renderLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${renderLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${renderLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${renderLabels(series.labels)} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Declares a counter
+   * @param {Object} config - Counter configuration (name, help, labelNames)
+   * @returns {Counter} - Counter
+   */
+  counter(config) {
+    const counter = new Counter(config);
+    this.metrics.push(counter);
+    return counter;
+  }
+
+  /**
+   * Declares a histogram
+   * @param {Object} config - Histogram configuration (name, help, labelNames, buckets)
+   * @returns {Histogram} - Histogram
+   */
+  histogram(config) {
+    const histogram = new Histogram(config);
+    this.metrics.push(histogram);
+    return histogram;
+  }
+
+  /**
+   * Renders every metric in the Prometheus text exposition format
+   * @returns {string} - Exposition text
+   */
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+const registry = new MetricsRegistry();
+
+module.exports = {
+  registry,
+
+  // HTTP
+  httpRequestsTotal: registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by method, route and status code',
+    labelNames: ['method', 'route', 'status']
+  }),
+  httpRequestDuration: registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration, by method, route and status code',
+    labelNames: ['method', 'route', 'status']
+  }),
+
+  // Indexing
+  indexingStageDuration: registry.histogram({
+    name: 'rag_indexing_stage_duration_seconds',
+    help: 'Time spent per indexing stage (extracting, chunking, embedding, storing)',
+    labelNames: ['stage']
+  }),
+  documentsIndexedTotal: registry.counter({
+    name: 'rag_documents_indexed_total',
+    help: 'Documents processed by indexing, by outcome (created, replaced, unchanged, failed, cancelled)',
+    labelNames: ['outcome']
+  }),
+  chunksIndexedTotal: registry.counter({
+    name: 'rag_chunks_indexed_total',
+    help: 'Chunks stored in the vector store by indexing'
+  }),
+  chunksSkippedTotal: registry.counter({
+    name: 'rag_chunks_skipped_total',
+    help: 'Chunks left out of indexing by the MAX_CHUNKS_PER_DOCUMENT limit'
+  }),
+
+  // Embeddings
+  embeddingRequestDuration: registry.histogram({
+    name: 'rag_embedding_request_duration_seconds',
+    help: 'Embedding provider call latency per attempt, by provider and outcome',
+    labelNames: ['provider', 'outcome']
+  }),
+  embeddingRequestsTotal: registry.counter({
+    name: 'rag_embedding_requests_total',
+    help: 'Embedding provider call attempts, by provider and outcome (success, error, rate_limited)',
+    labelNames: ['provider', 'outcome']
+  }),
+  embeddingRetriesTotal: registry.counter({
+    name: 'rag_embedding_retries_total',
+    help: 'Embedding provider calls retried after a failed attempt, by provider',
+    labelNames: ['provider']
+  }),
+  embeddingTextsTotal: registry.counter({
+    name: 'rag_embedding_texts_total',
+    help: 'Texts embedded, by source (provider, cache)',
+    labelNames: ['source']
+  }),
+  mockFallbacksTotal: registry.counter({
+    name: 'rag_mock_fallbacks_total',
+    help: 'Texts that got a random mock embedding because the provider failed, by kind (chunk, query)',
+    labelNames: ['kind']
+  }),
+
+  // LLM
+  llmRequestDuration: registry.histogram({
+    name: 'rag_llm_request_duration_seconds',
+    help: 'LLM call latency, by provider, task (answer, condense, rerank) and outcome',
+    labelNames: ['provider', 'task', 'outcome']
+  }),
+  llmRequestsTotal: registry.counter({
+    name: 'rag_llm_requests_total',
+    help: 'LLM calls, by provider, task and outcome (success, error)',
+    labelNames: ['provider', 'task', 'outcome']
+  }),
+
+  // Retrieval
+  vectorSearchDuration: registry.histogram({
+    name: 'rag_vector_search_duration_seconds',
+    help: 'Vector store search latency, by vector store provider',
+    labelNames: ['provider']
+  }),
+  retrievalResults: registry.histogram({
+    name: 'rag_retrieval_results',
+    help: 'Contexts returned per retrieval, by search mode',
+    labelNames: ['mode'],
+    buckets: [0, 1, 2, 3, 5, 10, 20, 50]
+  })
+};
@@ -0,0 +1,28 @@
+/**
+ * Request Context
+ * Carries the id of the HTTP request being served through every async call made on its behalf,
+ * so log lines from the routes, services and utilities can be correlated without passing it around.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function with a request id in context
+ * @param {string|null} requestId - Request id (null runs the function outside any request)
+ * @param {Function} fn - Function to run; everything it awaits or schedules sees the request id
+ * @returns {*} - Return value of fn
+ */
+const runWithRequestId = (requestId, fn) => storage.run({ requestId }, fn);
+
+/**
+ * Gets the id of the request being served
+ * @returns {string|null} - Request id, or null outside a request (e.g. at startup)
+ */
+const getRequestId = () => storage.getStore()?.requestId || null;
+
+module.exports = {
+  runWithRequestId,
+  getRequestId
+};
@@ -0,0 +1,146 @@
+/**
+ * Result Ranking
+ * Post-retrieval helpers: near-duplicate removal and maximal marginal relevance (MMR) diversification.
+ * Similarity between chunks is lexical (term vectors), so no extra embedding calls are needed.
+ */
+
+const { tokenize } = require('./lexicalIndex');
+
+/**
+ * Builds the set of word shingles (n consecutive terms) of a text
+ * @param {string} text - Text
+ * @param {number} size - Words per shingle
+ * @returns {Set<string>} - Shingles
+ */
+const shingles = (text, size = 3) => {
+  const terms = tokenize(text);
+  const result = new Set();
+  if (terms.length < size) {
+    result.add(terms.join(' '));
+    return result;
+  }
+  for (let i = 0; i <= terms.length - size; i++) {
+    result.add(terms.slice(i, i + size).join(' '));
+  }
+  return result;
+};
+
+/**
+ * Computes the Jaccard similarity of two sets
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} - Similarity in the range [0, 1]
+ */
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let intersection = 0;
+  for (const item of a) {
+    if (b.has(item)) {
+      intersection++;
+    }
+  }
+  return intersection / (a.size + b.size - intersection);
+};
+
+/**
+ * Builds a term frequency vector of a text
+ * @param {string} text - Text
+ * @returns {Map<string, number>} - Term counts
+ */
+const termVector = (text) => {
+  const vector = new Map();
+  tokenize(text).forEach(term => vector.set(term, (vector.get(term) || 0) + 1));
+  return vector;
+};
+
+/**
+ * Computes the cosine similarity of two term vectors
+ * @param {Map<string, number>} a - First vector
+ * @param {Map<string, number>} b - Second vector
+ * @returns {number} - Similarity in the range [0, 1]
+ */
+const termCosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [term, count] of a) {
+    normA += count * count;
+    if (b.has(term)) {
+      dot += count * b.get(term);
+    }
+  }
+  for (const count of b.values()) {
+    normB += count * count;
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Removes results whose content nearly duplicates a better-ranked result
+ * @param {Array<Object>} results - Results, best first
+ * @param {number} threshold - Shingle Jaccard similarity at or above which results are duplicates
+ * @returns {Array<Object>} - Results without near-duplicates, in the same order
+ */
+const removeNearDuplicates = (results, threshold = 0.7) => {
+  const kept = [];
+  for (const result of results) {
+    const resultShingles = shingles(result.content);
+    if (!kept.some(entry => jaccard(entry.shingles, resultShingles) >= threshold)) {
+      kept.push({ result, shingles: resultShingles });
+    }
+  }
+  return kept.map(entry => entry.result);
+};
+
+/**
+ * Selects results with maximal marginal relevance:
+ * each pick maximizes lambda * relevance - (1 - lambda) * max similarity to the results already picked
+ * @param {Array<Object>} results - Candidate results
+ * @param {number} limit - Number of results to select
+ * @param {number} lambda - Trade-off between relevance (1) and diversity (0)
+ * @param {Function} relevanceOf - Returns a result's relevance score
+ * @returns {Array<Object>} - Selected results, in selection order
+ */
+const maximalMarginalRelevance = (results, limit, lambda = 0.7, relevanceOf = result => result.score) => {
+  if (results.length === 0) {
+    return [];
+  }
+
+  // Normalize relevance to [0, 1] so it is comparable with the similarity term
+  const relevances = results.map(relevanceOf);
+  const max = Math.max(...relevances);
+  const min = Math.min(...relevances);
+  const candidates = results.map((result, index) => ({
+    result,
+    relevance: max === min ? 1 : (relevances[index] - min) / (max - min),
+    vector: termVector(result.content)
+  }));
+
+  const selected = [];
+  while (selected.length < limit && candidates.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    candidates.forEach((candidate, index) => {
+      const redundancy = selected.length === 0
+        ? 0
+        : Math.max(...selected.map(entry => termCosine(candidate.vector, entry.vector)));
+      const score = lambda * candidate.relevance - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    selected.push(candidates.splice(bestIndex, 1)[0]);
+  }
+
+  return selected.map(entry => entry.result);
+};
+
+module.exports = {
+  removeNearDuplicates,
+  maximalMarginalRelevance
+};
@@ -0,0 +1,146 @@
+/**
+ * Search Filters
+ * Validates the metadata filters of chat requests and turns them into backend-neutral conditions
+ * on chunk payload fields. Vector store backends translate the conditions into their own filter
+ * syntax; in-process indexes evaluate them with matchesConditions.
+ */
+
+const FILTER_KEYS = ['documentIds', 'fileTypes', 'createdAfter', 'createdBefore', 'metadata'];
+const MAX_FILTER_VALUES = 100;
+
+const isScalar = value => ['string', 'number', 'boolean'].includes(typeof value);
+const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Checks that a filter value is a non-empty array of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.length <= MAX_FILTER_VALUES &&
+  value.every(item => typeof item === 'string' && item.length > 0);
+
+/**
+ * Validates the filters of a chat request
+ * @param {*} filters - Filters ({ documentIds, fileTypes, createdAfter, createdBefore, metadata }); undefined is allowed
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateSearchFilters = (filters) => {
+  if (filters === undefined || filters === null) {
+    return null;
+  }
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return 'filters must be an object';
+  }
+
+  const unknown = Object.keys(filters).find(key => !FILTER_KEYS.includes(key));
+  if (unknown !== undefined) {
+    return `Invalid filter "${unknown}". Expected any of: ${FILTER_KEYS.join(', ')}`;
+  }
+
+  const { documentIds, fileTypes, createdAfter, createdBefore, metadata } = filters;
+  if (documentIds !== undefined && !isStringList(documentIds)) {
+    return `filters.documentIds must be an array of 1-${MAX_FILTER_VALUES} document IDs`;
+  }
+  if (fileTypes !== undefined && !isStringList(fileTypes)) {
+    return `filters.fileTypes must be an array of 1-${MAX_FILTER_VALUES} file types`;
+  }
+  if (createdAfter !== undefined && !isDate(createdAfter)) {
+    return 'filters.createdAfter must be an ISO 8601 date';
+  }
+  if (createdBefore !== undefined && !isDate(createdBefore)) {
+    return 'filters.createdBefore must be an ISO 8601 date';
+  }
+  if (createdAfter !== undefined && createdBefore !== undefined && Date.parse(createdAfter) > Date.parse(createdBefore)) {
+    return 'filters.createdAfter must not be later than filters.createdBefore';
+  }
+
+  if (metadata !== undefined) {
+    if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+      return 'filters.metadata must be an object';
+    }
+    for (const [key, value] of Object.entries(metadata)) {
+      if (!/^[A-Za-z0-9_-]{1,64}$/.test(key)) {
+        return `Invalid metadata filter key "${key}". Use 1-64 letters, digits, underscores or dashes.`;
+      }
+      const values = Array.isArray(value) ? value : [value];
+      if (values.length === 0 || values.length > MAX_FILTER_VALUES || !values.every(isScalar)) {
+        return `Invalid value for metadata filter "${key}". Use a string, number, boolean or an array of 1-${MAX_FILTER_VALUES} of them.`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Converts validated filters into conditions on chunk payload fields, all of which must hold
+ * - { key, anyOf: [values] }: the field (or one of its elements, for array fields) equals one of the values
+ * - { key, range: { gte, lte } }: the field is an ISO date within the range (either bound may be missing)
+ * Nested fields use dotted keys, e.g. `user_metadata.team`.
+ * @param {Object} filters - Filters from the request (validated with validateSearchFilters)
+ * @returns {Array<Object>} - Conditions (empty when nothing is filtered)
+ */
+const buildFilterConditions = (filters) => {
+  if (!filters) {
+    return [];
+  }
+
+  const { documentIds, fileTypes, createdAfter, createdBefore, metadata = {} } = filters;
+  const conditions = [];
+  if (documentIds) {
+    conditions.push({ key: 'document_id', anyOf: documentIds });
+  }
+  if (fileTypes) {
+    conditions.push({ key: 'file_type', anyOf: fileTypes });
+  }
+  if (createdAfter || createdBefore) {
+    conditions.push({
+      key: 'created_at',
+      range: {
+        ...(createdAfter && { gte: new Date(createdAfter).toISOString() }),
+        ...(createdBefore && { lte: new Date(createdBefore).toISOString() })
+      }
+    });
+  }
+  for (const [key, value] of Object.entries(metadata)) {
+    conditions.push({ key: `user_metadata.${key}`, anyOf: Array.isArray(value) ? value : [value] });
+  }
+  return conditions;
+};
+
+/**
+ * Reads a possibly nested payload field
+ * @param {Object} payload - Chunk payload or metadata
+ * @param {string} key - Dotted field path
+ * @returns {*} - Field value, or undefined if missing
+ */
+const getField = (payload, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), payload);
+
+/**
+ * Checks whether a chunk payload satisfies every condition
+ * @param {Object} payload - Chunk payload or metadata
+ * @param {Array<Object>} conditions - Conditions from buildFilterConditions
+ * @returns {boolean} - True if the chunk matches
+ */
+const matchesConditions = (payload, conditions = []) => {
+  return conditions.every(({ key, anyOf, range }) => {
+    const value = getField(payload, key);
+    if (anyOf) {
+      const values = Array.isArray(value) ? value : [value];
+      return values.some(item => anyOf.includes(item));
+    }
+
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    if (Number.isNaN(time)) {
+      return false;
+    }
+    return (range.gte === undefined || time >= Date.parse(range.gte)) &&
+      (range.lte === undefined || time <= Date.parse(range.lte));
+  });
+};
+
+module.exports = {
+  FILTER_KEYS,
+  validateSearchFilters,
+  buildFilterConditions,
+  matchesConditions
+};
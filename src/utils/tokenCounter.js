@@ -0,0 +1,35 @@
+/**
+ * Token Counter
+ * Cheap token estimates for budgeting prompts and reporting usage when the LLM does not
+ */
+
+// Rough average for English text with OpenAI tokenizers
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+const estimateTokens = (text) => {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Estimates the number of tokens in a list of chat messages
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {number} - Estimated token count including per-message overhead
+ */
+const estimateMessagesTokens = (messages = []) => {
+  // Each message carries a few tokens of role/formatting overhead
+  return messages.reduce((sum, message) => sum + estimateTokens(message.content) + 4, 0);
+};
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  estimateTokens,
+  estimateMessagesTokens
+};
@@ -0,0 +1,235 @@
+/**
+ * URL Fetcher
+ * Downloads web pages and documents so they can be indexed like uploaded files
+ *
+ * URLs come from API users, so only public addresses are fetched: the host of the URL and of every
+ * redirect is resolved and rejected if any address is loopback, private, link-local (e.g. cloud metadata
+ * at 169.254.169.254) or otherwise reserved. The check runs before each request, so a DNS server that
+ * answers differently by the time the request connects is not covered.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const { promisify } = require('util');
+const writeFileAsync = promisify(fs.writeFile);
+const { v4: uuidv4 } = require('uuid');
+const documentProcessor = require('./documentProcessor');
+const { MAX_UPLOAD_BYTES } = require('../middlewares/uploadMiddleware');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('url_fetcher');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const FETCH_TIMEOUT_MS = parseInt(process.env.URL_FETCH_TIMEOUT_MS || '15000', 10);
+const MAX_DOWNLOAD_BYTES = MAX_UPLOAD_BYTES; // Same limit as uploads
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Address ranges that are not publicly routable (RFC 6890 special-purpose registries)
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Content types and the file extension whose extractor handles them
+const EXTENSIONS_BY_CONTENT_TYPE = {
+  'text/html': '.html',
+  'application/xhtml+xml': '.html',
+  'text/plain': '.txt',
+  'text/markdown': '.md',
+  'text/x-markdown': '.md',
+  'text/csv': '.csv',
+  'application/json': '.json',
+  'application/pdf': '.pdf',
+  'application/epub+zip': '.epub',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx'
+};
+
+/**
+ * Checks that a URL is an absolute http(s) URL
+ * @param {string} url - URL to check
+ * @returns {boolean} - True if the URL can be fetched
+ */
+const isValidUrl = (url) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Checks whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address is public
+ */
+const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) reach the embedded IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return !NON_PUBLIC_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Checks that a URL may be fetched: http(s), and every address its host resolves to is public
+ * @param {string} url - URL to check
+ * @returns {Promise<string|null>} - Error message, or null if the URL may be fetched
+ */
+const checkUrlAllowed = async (url) => {
+  if (!isValidUrl(url)) {
+    return 'url must be an absolute http or https URL';
+  }
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+    } catch (error) {
+      return `Could not resolve host ${hostname}`;
+    }
+  }
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    return `URL host ${hostname} does not resolve to a public address`;
+  }
+  return null;
+};
+
+/**
+ * Fetches a URL, following redirects by hand so that every hop is checked with checkUrlAllowed
+ * @param {string} url - http(s) URL
+ * @param {Object} options - Fetch options (headers, signal)
+ * @returns {Promise<Response>} - Final response
+ * @throws {Error} - With statusCode 400 if a hop is not allowed or there are too many redirects
+ */
+const fetchPublicUrl = async (url, options) => {
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    const notAllowed = await checkUrlAllowed(currentUrl);
+    if (notAllowed) {
+      const error = new Error(redirects > 0 ? `Redirect to ${currentUrl} refused: ${notAllowed}` : notAllowed);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const response = await fetch(currentUrl, { ...options, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+
+    await response.body?.cancel();
+    if (redirects >= MAX_REDIRECTS) {
+      const error = new Error(`Fetching ${url} failed: more than ${MAX_REDIRECTS} redirects`);
+      error.statusCode = 400;
+      throw error;
+    }
+    currentUrl = new URL(location, currentUrl).toString();
+    logger.info(`Following redirect to ${currentUrl}`);
+  }
+};
+
+/**
+ * Reads a response body, failing once it grows past the size limit
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Buffer>} - Body
+ */
+const readBody = async (response) => {
+  const declaredLength = parseInt(response.headers.get('content-length') || '0', 10);
+  if (declaredLength > MAX_DOWNLOAD_BYTES) {
+    throw new Error(`Document too large (${declaredLength} bytes, ${MAX_DOWNLOAD_BYTES} maximum)`);
+  }
+
+  const parts = [];
+  let size = 0;
+  for await (const part of response.body) {
+    size += part.length;
+    if (size > MAX_DOWNLOAD_BYTES) {
+      throw new Error(`Document too large (more than ${MAX_DOWNLOAD_BYTES} bytes)`);
+    }
+    parts.push(Buffer.from(part));
+  }
+  return Buffer.concat(parts);
+};
+
+/**
+ * Downloads a URL into a temporary file in the uploads directory
+ * The file type comes from the response's content type, falling back to the URL's extension.
+ * @param {string} url - http(s) URL
+ * @param {Object} options - Fetch options
+ * @param {AbortSignal} options.signal - Optional signal to cancel the download
+ * @returns {Promise<{path: string, fileType: string, contentType: string}>} - Temporary file and its type
+ */
+const downloadToFile = async (url, { signal } = {}) => {
+  logger.info(`Fetching ${url}`);
+  const timeout = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetchPublicUrl(url, {
+      headers: { 'User-Agent': 'simple-rag-api', 'Accept': 'text/html, text/plain, application/pdf, */*;q=0.5' },
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+  } catch (error) {
+    if (timeout.aborted) {
+      throw new Error(`Fetching ${url} timed out after ${FETCH_TIMEOUT_MS}ms`);
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    throw new Error(`Fetching ${url} failed with HTTP ${response.status}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  let extension = EXTENSIONS_BY_CONTENT_TYPE[contentType];
+  if (!extension) {
+    // Servers often send generic types (e.g. application/octet-stream); trust a known extension in the URL
+    const urlExtension = path.extname(new URL(response.url || url).pathname).toLowerCase();
+    if (documentProcessor.getFileType(`document${urlExtension}`, null)) {
+      extension = urlExtension;
+    } else if (contentType.startsWith('text/')) {
+      extension = '.txt';
+    }
+  }
+
+  const fileType = extension && documentProcessor.getFileType(`document${extension}`);
+  if (!fileType || fileType === 'image' || fileType === 'ppt') {
+    throw new Error(`Unsupported content type: ${contentType || 'unknown'}`);
+  }
+
+  const body = await readBody(response);
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+  const filePath = path.join(UPLOADS_DIR, `url-${uuidv4()}${extension}`);
+  await writeFileAsync(filePath, body);
+
+  logger.info(`Downloaded ${body.length} bytes (${contentType || 'unknown type'}) to ${filePath}`);
+  return { path: filePath, fileType, contentType };
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  isValidUrl,
+  isPublicAddress,
+  checkUrlAllowed,
+  downloadToFile
+};
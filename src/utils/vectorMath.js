@@ -0,0 +1,31 @@
+/**
+ * Vector Math
+ * Similarity between embedding vectors, shared by the local vector store and the answer cache
+ */
+
+/**
+ * Computes cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity in the range [-1, 1]
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+module.exports = {
+  cosineSimilarity
+};
@@ -0,0 +1,139 @@
+/**
+ * Base Vector Store
+ * Defines the interface every vector store backend must implement
+ */
+
+const { v5: uuidv5 } = require('uuid');
+const embeddingProvider = require('../embeddingProvider');
+
+// Namespace for point IDs derived from IDs that are not UUIDs
+const POINT_ID_NAMESPACE = 'b7a3e0c4-2d5f-4a8b-8c6e-1f9d3a7b5e20';
+
+class BaseVectorStore {
+  constructor() {
+    this.provider = 'base';
+    this.vectorSize = embeddingProvider.dimensions; // Default size of new collections
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the backend (connect, load persisted data, etc.)
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  /**
+   * Creates a new collection
+   * @param {string} collectionName - Name of the collection
+   * @param {number} dimensions - Vector size of the collection (default: the configured embedder's)
+   * @returns {Promise<Object>} - Status and info about the collection
+   */
+  async createCollection(collectionName, dimensions = this.vectorSize) {
+    throw new Error(`${this.constructor.name} does not implement createCollection()`);
+  }
+
+  /**
+   * Lists the names of all collections
+   * @returns {Promise<Array<string>>} - Collection names
+   */
+  async listCollections() {
+    throw new Error(`${this.constructor.name} does not implement listCollections()`);
+  }
+
+  /**
+   * Adds documents to the collection
+   * @param {string} collectionName - Name of the collection
+   * @param {Array<Object>} documents - Documents with embeddings to add
+   * @returns {Promise<Object>} - Status and info
+   */
+  async addDocuments(collectionName, documents) {
+    throw new Error(`${this.constructor.name} does not implement addDocuments()`);
+  }
+
+  /**
+   * Searches for similar documents
+   * @param {string} collectionName - Name of the collection
+   * @param {Array<number>} queryEmbedding - Query embedding vector
+   * @param {number} limit - Maximum number of results
+   * @param {number} minScore - Minimum similarity score (0-1)
+   * @param {Array<Object>} conditions - Payload conditions results must satisfy (see utils/searchFilters.js)
+   * @returns {Promise<Array<Object>>} - Similar documents with scores
+   */
+  async search(collectionName, queryEmbedding, limit = 5, minScore = 0.7, conditions = []) {
+    throw new Error(`${this.constructor.name} does not implement search()`);
+  }
+
+  /**
+   * Gets all points whose payload matches a filter
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} filter - Payload fields that must match exactly, e.g. { document_id: 'abc' }
+   * @returns {Promise<Array<Object>>} - Matching documents (without scores)
+   */
+  async getPoints(collectionName, filter = {}) {
+    throw new Error(`${this.constructor.name} does not implement getPoints()`);
+  }
+
+  /**
+   * Deletes all points whose payload matches a filter
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} filter - Payload fields that must match exactly, e.g. { document_id: 'abc' }
+   * @returns {Promise<Object>} - Status and number of deleted points
+   */
+  async deletePoints(collectionName, filter) {
+    throw new Error(`${this.constructor.name} does not implement deletePoints()`);
+  }
+
+  /**
+   * Gets a collection
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<Object|null>} - Collection information
+   */
+  async getCollection(collectionName) {
+    throw new Error(`${this.constructor.name} does not implement getCollection()`);
+  }
+
+  /**
+   * Deletes a collection
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteCollection(collectionName) {
+    throw new Error(`${this.constructor.name} does not implement deleteCollection()`);
+  }
+
+  /**
+   * Generate a valid point ID from a string
+   * The same ID always maps to the same point, so re-adding a document overwrites its points.
+   * @param {string} id - Original ID
+   * @returns {string} - Valid UUID
+   */
+  generatePointId(id) {
+    // If it's already a valid UUID, use it
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id)) {
+      return id;
+    }
+
+    // Otherwise derive a UUID from the string
+    return uuidv5(String(id), POINT_ID_NAMESPACE);
+  }
+
+  /**
+   * Converts a stored point into the search result shape used by the RAG service
+   * @param {Object} point - Point with id, payload and optional score
+   * @returns {Object} - Document with content, metadata and score
+   */
+  _toDocument(point) {
+    return {
+      id: point.payload.original_id || point.id,
+      content: point.payload.content,
+      metadata: {
+        ...point.payload,
+        content: undefined // Remove content from metadata as it's already in the main field
+      },
+      score: point.score
+    };
+  }
+}
+
+module.exports = BaseVectorStore;
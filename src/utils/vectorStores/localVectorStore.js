@@ -0,0 +1,317 @@
+/**
+ * Local Vector Store
+ * Keeps vectors in-process with brute-force cosine search and persists each collection to disk.
+ * Intended for development, CI and offline use where a Qdrant server is not available.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BaseVectorStore = require('./baseVectorStore');
+const { DATA_DIR, ensureDir, readJson, writeJson, removeFile } = require('../fileStore');
+const { matchesConditions } = require('../searchFilters');
+const { cosineSimilarity } = require('../vectorMath');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('vector_store');
+
+class LocalVectorStore extends BaseVectorStore {
+  constructor() {
+    super();
+    this.provider = 'local';
+    this.storageDir = process.env.LOCAL_VECTOR_STORE_DIR || path.join(DATA_DIR, 'vector_store');
+
+    // Collection name -> { name, config, createdAt, points: Map<id, point> }
+    this.collections = new Map();
+    this.initialize();
+  }
+
+  /**
+   * Loads all persisted collections from the storage directory
+   */
+  async initialize() {
+    try {
+      ensureDir(this.storageDir);
+
+      const files = fs.readdirSync(this.storageDir).filter(f => f.endsWith('.json'));
+      for (const file of files) {
+        const data = readJson(path.join(this.storageDir, file));
+        if (!data || !data.name) {
+          continue;
+        }
+        this.collections.set(data.name, {
+          name: data.name,
+          config: data.config,
+          createdAt: data.createdAt,
+          points: new Map((data.points || []).map(point => [point.id, point]))
+        });
+      }
+
+      this.initialized = true;
+      logger.info(`Local vector store loaded ${this.collections.size} collections from ${this.storageDir}`);
+    } catch (error) {
+      logger.error('Error loading local vector store', { error });
+    }
+  }
+
+  /**
+   * Gets the file path used to persist a collection
+   * @param {string} collectionName - Name of the collection
+   * @returns {string} - Absolute file path
+   */
+  _collectionPath(collectionName) {
+    return path.join(this.storageDir, `${encodeURIComponent(collectionName)}.json`);
+  }
+
+  /**
+   * Writes a collection to disk
+   * @param {Object} collection - Collection to persist
+   * @returns {Promise<void>}
+   */
+  async _persist(collection) {
+    await writeJson(this._collectionPath(collection.name), {
+      name: collection.name,
+      config: collection.config,
+      createdAt: collection.createdAt,
+      points: Array.from(collection.points.values())
+    });
+  }
+
+  /**
+   * Creates a new collection
+   * @param {string} collectionName - Name of the collection
+   * @param {number} dimensions - Vector size of the collection (default: the configured embedder's)
+   * @returns {Promise<Object>} - Status and info about the collection
+   */
+  async createCollection(collectionName, dimensions = this.vectorSize) {
+    try {
+      if (this.collections.has(collectionName)) {
+        logger.info(`Collection ${collectionName} already exists`);
+        return { success: true, created: false, existed: true };
+      }
+
+      const collection = {
+        name: collectionName,
+        config: { size: dimensions, distance: 'Cosine' },
+        createdAt: new Date().toISOString(),
+        points: new Map()
+      };
+      this.collections.set(collectionName, collection);
+      await this._persist(collection);
+
+      logger.info(`Collection ${collectionName} created`);
+      return { success: true, created: true, existed: false };
+    } catch (error) {
+      logger.error(`Error creating collection ${collectionName}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Lists the names of all collections
+   * @returns {Promise<Array<string>>} - Collection names
+   */
+  async listCollections() {
+    return Array.from(this.collections.keys());
+  }
+
+  /**
+   * Adds documents to the collection
+   * @param {string} collectionName - Name of the collection
+   * @param {Array<Object>} documents - Documents with embeddings to add
+   * @returns {Promise<Object>} - Status and info
+   */
+  async addDocuments(collectionName, documents) {
+    try {
+      // Ensure collection exists, sized for the vectors being added
+      const collectionResult = await this.createCollection(collectionName, documents[0]?.embedding?.length);
+      if (!collectionResult.success) {
+        throw new Error(`Failed to create collection: ${collectionResult.error}`);
+      }
+
+      const collection = this.collections.get(collectionName);
+      for (const doc of documents) {
+        if (!Array.isArray(doc.embedding) || doc.embedding.length !== collection.config.size) {
+          throw new Error(`Embedding dimension mismatch: expected ${collection.config.size}, got ${doc.embedding ? doc.embedding.length : 0}`);
+        }
+
+        const pointId = this.generatePointId(doc.id);
+        collection.points.set(pointId, {
+          id: pointId,
+          vector: doc.embedding,
+          payload: {
+            original_id: doc.id,
+            content: doc.content,
+            ...doc.metadata
+          }
+        });
+      }
+
+      await this._persist(collection);
+
+      logger.info(`Added ${documents.length} documents to ${collectionName}`);
+      return {
+        success: true,
+        documentsAdded: documents.length,
+        collectionWasCreated: collectionResult.created,
+        collectionAlreadyExisted: collectionResult.existed
+      };
+    } catch (error) {
+      logger.error(`Error adding documents to ${collectionName}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Searches for similar documents using brute-force cosine similarity
+   * @param {string} collectionName - Name of the collection
+   * @param {Array<number>} queryEmbedding - Query embedding vector
+   * @param {number} limit - Maximum number of results
+   * @param {number} minScore - Minimum similarity score (0-1)
+   * @param {Array<Object>} conditions - Payload conditions results must satisfy (see utils/searchFilters.js)
+   * @returns {Promise<Array<Object>>} - Similar documents with scores
+   */
+  async search(collectionName, queryEmbedding, limit = 5, minScore = 0.7, conditions = []) {
+    try {
+      logger.debug(`Starting local search in collection ${collectionName}`);
+
+      const collection = this.collections.get(collectionName);
+      if (!collection) {
+        logger.error(`Collection ${collectionName} not found`);
+        return [];
+      }
+
+      const results = [];
+      for (const point of collection.points.values()) {
+        if (!matchesConditions(point.payload, conditions)) {
+          continue;
+        }
+        const score = cosineSimilarity(queryEmbedding, point.vector);
+        if (score >= minScore) {
+          results.push({ ...point, score });
+        }
+      }
+
+      results.sort((a, b) => b.score - a.score);
+      const topResults = results.slice(0, limit);
+
+      logger.debug(`Search completed, found ${topResults.length} results`);
+      return topResults.map(result => this._toDocument(result));
+    } catch (error) {
+      logger.error(`Error searching in ${collectionName}`, { error });
+      logger.warn('Returning empty results due to error');
+      return [];
+    }
+  }
+
+  /**
+   * Checks whether a payload matches a simple equality filter
+   * @param {Object} payload - Point payload
+   * @param {Object} filter - Payload fields that must match exactly
+   * @returns {boolean} - True if every filter field matches
+   */
+  _matchesFilter(payload, filter = {}) {
+    return Object.entries(filter).every(([key, value]) => payload[key] === value);
+  }
+
+  /**
+   * Gets all points whose payload matches a filter
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} filter - Payload fields that must match exactly, e.g. { document_id: 'abc' }
+   * @returns {Promise<Array<Object>>} - Matching documents (without scores)
+   */
+  async getPoints(collectionName, filter = {}) {
+    const collection = this.collections.get(collectionName);
+    if (!collection) {
+      return [];
+    }
+
+    return Array.from(collection.points.values())
+      .filter(point => this._matchesFilter(point.payload, filter))
+      .map(point => this._toDocument(point));
+  }
+
+  /**
+   * Deletes all points whose payload matches a filter
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} filter - Payload fields that must match exactly, e.g. { document_id: 'abc' }
+   * @returns {Promise<Object>} - Status and number of deleted points
+   */
+  async deletePoints(collectionName, filter) {
+    try {
+      if (!filter || Object.keys(filter).length === 0) {
+        throw new Error('Refusing to delete points without a filter');
+      }
+
+      const collection = this.collections.get(collectionName);
+      if (!collection) {
+        return { success: true, deleted: 0 };
+      }
+
+      let deleted = 0;
+      for (const [pointId, point] of collection.points) {
+        if (this._matchesFilter(point.payload, filter)) {
+          collection.points.delete(pointId);
+          deleted++;
+        }
+      }
+
+      if (deleted > 0) {
+        await this._persist(collection);
+      }
+
+      logger.info(`Deleted ${deleted} points from ${collectionName}`);
+      return { success: true, deleted };
+    } catch (error) {
+      logger.error(`Error deleting points from ${collectionName}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Gets a collection, shaped like the Qdrant collection info response
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<Object|null>} - Collection information
+   */
+  async getCollection(collectionName) {
+    const collection = this.collections.get(collectionName);
+    if (!collection) {
+      logger.error(`Collection ${collectionName} not found`);
+      return null;
+    }
+
+    return {
+      status: 'green',
+      vectors_count: collection.points.size,
+      points_count: collection.points.size,
+      created_at: collection.createdAt,
+      config: {
+        params: {
+          vectors: collection.config
+        }
+      }
+    };
+  }
+
+  /**
+   * Deletes a collection and its persisted file
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteCollection(collectionName) {
+    try {
+      if (!this.collections.delete(collectionName)) {
+        return false;
+      }
+
+      await removeFile(this._collectionPath(collectionName));
+
+      logger.info(`Collection ${collectionName} deleted`);
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting collection ${collectionName}`, { error });
+      return false;
+    }
+  }
+}
+
+module.exports = LocalVectorStore;
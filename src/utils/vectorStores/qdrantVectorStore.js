@@ -0,0 +1,336 @@
+/**
+ * Qdrant Vector Store
+ * Manages vector embeddings for documents and retrieval by similarity using Qdrant
+ */
+
+const { QdrantClient } = require('@qdrant/js-client-rest');
+const BaseVectorStore = require('./baseVectorStore');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('vector_store');
+
+class QdrantVectorStore extends BaseVectorStore {
+  constructor() {
+    super();
+    this.provider = 'qdrant';
+
+    // Initialize Qdrant client with details from environment variables
+    const qdrantUrl = process.env.QDRANT_URL;
+    const qdrantApiKey = process.env.QDRANT_API_KEY;
+    
+    this.client = new QdrantClient({
+      url: qdrantUrl,
+      apiKey: qdrantApiKey
+    });
+
+    this.initialize();
+  }
+
+  /**
+   * Initialize the Qdrant client connection
+   */
+  async initialize() {
+    try {
+      // Verify connection
+      await this.client.getCollections();
+      this.initialized = true;
+      logger.info('Connected to Qdrant successfully');
+    } catch (error) {
+      logger.error('Error connecting to Qdrant', { error });
+    }
+  }
+
+  /**
+   * Creates a new collection
+   * @param {string} collectionName - Name of the collection
+   * @param {number} dimensions - Vector size of the collection (default: the configured embedder's)
+   * @returns {Promise<Object>} - Status and info about the collection
+   */
+  async createCollection(collectionName, dimensions = this.vectorSize) {
+    try {
+      // Check if collection exists
+      const collections = await this.client.getCollections();
+      const exists = collections.collections.some(c => c.name === collectionName);
+      
+      if (!exists) {
+        // Create a new collection sized for the embedder's vectors
+        await this.client.createCollection(collectionName, {
+          vectors: {
+            size: dimensions,
+            distance: 'Cosine'
+          },
+          // Define payload schema for metadata
+          optimizers_config: {
+            default_segment_number: 2
+          },
+          replication_factor: 1
+        });
+        logger.info(`Collection ${collectionName} created`);
+        return { success: true, created: true, existed: false };
+      } else {
+        logger.info(`Collection ${collectionName} already exists`);
+        return { success: true, created: false, existed: true };
+      }
+    } catch (error) {
+      logger.error(`Error creating collection ${collectionName}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Lists the names of all collections
+   * @returns {Promise<Array<string>>} - Collection names
+   */
+  async listCollections() {
+    try {
+      const collections = await this.client.getCollections();
+      return collections.collections.map(c => c.name);
+    } catch (error) {
+      logger.error('Error listing collections', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Adds documents to the collection
+   * @param {string} collectionName - Name of the collection
+   * @param {Array<Object>} documents - Documents with embeddings to add
+   * @returns {Promise<Object>} - Status and info
+   */
+  async addDocuments(collectionName, documents) {
+    try {
+      // Ensure collection exists, sized for the vectors being added
+      const collectionResult = await this.createCollection(collectionName, documents[0]?.embedding?.length);
+      if (!collectionResult.success) {
+        throw new Error(`Failed to create collection: ${collectionResult.error}`);
+      }
+      
+      // Format documents for Qdrant - ensure we have valid UUIDs for IDs
+      const points = documents.map(doc => {
+        // Store original ID in payload
+        const originalId = doc.id;
+        // Generate a valid UUID for Qdrant
+        const qdrantId = this.generatePointId(originalId);
+        
+        return {
+          id: qdrantId,
+          vector: doc.embedding,
+          payload: {
+            original_id: originalId,
+            content: doc.content,
+            ...doc.metadata
+          }
+        };
+      });
+      
+      // Add points in batches of 100 to prevent overwhelming the server
+      const batchSize = 100;
+      for (let i = 0; i < points.length; i += batchSize) {
+        const batch = points.slice(i, i + batchSize);
+        await this.client.upsert(collectionName, {
+          wait: true,
+          points: batch
+        });
+      }
+      
+      logger.info(`Added ${documents.length} documents to ${collectionName}`);
+      return { 
+        success: true, 
+        documentsAdded: documents.length,
+        collectionWasCreated: collectionResult.created,
+        collectionAlreadyExisted: collectionResult.existed
+      };
+    } catch (error) {
+      logger.error(`Error adding documents to ${collectionName}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Searches for similar documents with timeout protection
+   * @param {string} collectionName - Name of the collection
+   * @param {Array<number>} queryEmbedding - Query embedding vector
+   * @param {number} limit - Maximum number of results
+   * @param {number} minScore - Minimum similarity score (0-1)
+   * @param {Array<Object>} conditions - Payload conditions results must satisfy (see utils/searchFilters.js)
+   * @param {number} timeoutMs - Search timeout in milliseconds
+   * @returns {Promise<Array<Object>>} - Similar documents with scores
+   */
+  async search(collectionName, queryEmbedding, limit = 5, minScore = 0.7, conditions = [], timeoutMs = 30000) {
+    try {
+      logger.debug(`Starting search in collection ${collectionName} with ${timeoutMs}ms timeout`);
+      
+      // Ensure collection exists
+      const collections = await this.client.getCollections();
+      const exists = collections.collections.some(c => c.name === collectionName);
+      
+      if (!exists) {
+        logger.error(`Collection ${collectionName} not found`);
+        return [];
+      }
+      
+      // Create a promise that will reject after the timeout
+      const timeoutPromise = new Promise((_, reject) => {
+        setTimeout(() => reject(new Error(`Search operation timed out after ${timeoutMs}ms`)), timeoutMs);
+      });
+      
+      // Create the search promise
+      const searchPromise = this.client.search(collectionName, {
+        vector: queryEmbedding,
+        limit: limit,
+        score_threshold: minScore,
+        filter: this._buildSearchFilter(conditions)
+      });
+      
+      // Race the promises - whichever resolves/rejects first wins
+      const searchResult = await Promise.race([searchPromise, timeoutPromise]);
+      
+      logger.debug(`Search completed, found ${searchResult.length} results`);
+      
+      // Transform results to match our interface
+      return searchResult.map(result => this._toDocument(result));
+    } catch (error) {
+      logger.error(`Error searching in ${collectionName}`, { error });
+      logger.warn('Returning empty results due to error');
+      return [];
+    }
+  }
+
+  /**
+   * Translates a simple equality filter into a Qdrant filter
+   * @param {Object} filter - Payload fields that must match exactly
+   * @returns {Object|undefined} - Qdrant filter
+   */
+  _buildFilter(filter = {}) {
+    const must = Object.entries(filter).map(([key, value]) => ({
+      key,
+      match: { value }
+    }));
+    return must.length > 0 ? { must } : undefined;
+  }
+
+  /**
+   * Translates search conditions into a Qdrant filter
+   * Each value becomes its own match clause, since `match.any` only accepts strings and integers;
+   * other numbers are matched with a closed range.
+   * Date ranges keep their ISO 8601 bounds, which Qdrant only compares as datetimes from version 1.8.
+   * @param {Array<Object>} conditions - Conditions from utils/searchFilters.js
+   * @returns {Object|undefined} - Qdrant filter
+   */
+  _buildSearchFilter(conditions = []) {
+    const must = conditions.map(({ key, anyOf, range }) => {
+      if (range) {
+        return { key, range };
+      }
+      return {
+        should: anyOf.map(value => (typeof value === 'number' && !Number.isInteger(value)
+          ? { key, range: { gte: value, lte: value } }
+          : { key, match: { value } }))
+      };
+    });
+    return must.length > 0 ? { must } : undefined;
+  }
+
+  /**
+   * Gets all points whose payload matches a filter
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} filter - Payload fields that must match exactly, e.g. { document_id: 'abc' }
+   * @returns {Promise<Array<Object>>} - Matching documents (without scores)
+   */
+  async getPoints(collectionName, filter = {}) {
+    try {
+      const collections = await this.client.getCollections();
+      if (!collections.collections.some(c => c.name === collectionName)) {
+        return [];
+      }
+      
+      const points = [];
+      let offset = undefined;
+      
+      // Page through the collection until Qdrant reports no next offset
+      do {
+        const page = await this.client.scroll(collectionName, {
+          filter: this._buildFilter(filter),
+          limit: 256,
+          offset,
+          with_payload: true,
+          with_vector: false
+        });
+        points.push(...page.points);
+        offset = page.next_page_offset;
+      } while (offset !== null && offset !== undefined);
+      
+      return points.map(point => this._toDocument(point));
+    } catch (error) {
+      logger.error(`Error getting points from ${collectionName}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes all points whose payload matches a filter
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} filter - Payload fields that must match exactly, e.g. { document_id: 'abc' }
+   * @returns {Promise<Object>} - Status and number of deleted points
+   */
+  async deletePoints(collectionName, filter) {
+    try {
+      const qdrantFilter = this._buildFilter(filter);
+      if (!qdrantFilter) {
+        throw new Error('Refusing to delete points without a filter');
+      }
+      
+      // Nothing to delete in a collection that was never created (count would fail)
+      const collections = await this.client.getCollections();
+      if (!collections.collections.some(c => c.name === collectionName)) {
+        return { success: true, deleted: 0 };
+      }
+      
+      // Qdrant does not report how many points a filtered delete removed, so count first
+      const { count } = await this.client.count(collectionName, { filter: qdrantFilter, exact: true });
+      await this.client.delete(collectionName, {
+        wait: true,
+        filter: qdrantFilter
+      });
+      
+      logger.info(`Deleted ${count} points from ${collectionName}`);
+      return { success: true, deleted: count };
+    } catch (error) {
+      logger.error(`Error deleting points from ${collectionName}`, { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Gets a collection
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<Object>} - Collection information
+   */
+  async getCollection(collectionName) {
+    try {
+      return await this.client.getCollection(collectionName);
+    } catch (error) {
+      logger.error(`Error getting collection ${collectionName}`, { error });
+      return null;
+    }
+  }
+
+  /**
+   * Deletes a collection
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteCollection(collectionName) {
+    try {
+      await this.client.deleteCollection(collectionName);
+      logger.info(`Collection ${collectionName} deleted`);
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting collection ${collectionName}`, { error });
+      return false;
+    }
+  }
+}
+
+module.exports = QdrantVectorStore;
+ 
\ No newline at end of file
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-chat-stream-'));
+process.env.DATA_DIR = dataDir;
+process.env.VECTOR_STORE_PROVIDER = 'local';
+process.env.EMBEDDING_PROVIDER = 'hashing';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'silent';
+
+const app = require('../src/server');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const postStream = (body) => fetch(`${baseUrl}/api/rag/chat/stream`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+describe('POST /api/rag/chat/stream validation', () => {
+  test('rejects invalid options with a JSON 400 before the stream starts', async () => {
+    const response = await postStream({ query: 'What is the refund policy?', topK: -5 });
+
+    expect(response.status).toBe(400);
+    expect(response.headers.get('content-type')).toMatch(/application\/json/);
+    expect((await response.json()).error).toMatch(/topK/);
+  });
+
+  test('rejects an unknown conversation with a JSON 404', async () => {
+    const response = await postStream({ query: 'What is the refund policy?', conversationId: 'missing' });
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).error).toBe('Conversation not found: missing');
+  });
+
+  test('rejects an unknown collection with a JSON 404', async () => {
+    const response = await postStream({ query: 'What is the refund policy?', collection: 'missing' });
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).error).toBe('Collection not found: missing');
+  });
+
+  test('applies the same validation to /api/rag/chat with Accept: text/event-stream', async () => {
+    const response = await fetch(`${baseUrl}/api/rag/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+      body: JSON.stringify({ query: 'What is the refund policy?', topK: -5 })
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.headers.get('content-type')).toMatch(/application\/json/);
+  });
+
+  test('streams events once the request is valid', async () => {
+    const response = await postStream({ query: 'What is the refund policy?' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/text\/event-stream/);
+    const body = await response.text();
+    expect(body).toMatch(/^event: contexts\n/);
+    expect(body).toMatch(/event: done\n/);
+  });
+});
@@ -0,0 +1,35 @@
+process.env.LOG_LEVEL = 'silent';
+
+/**
+ * Loads a fresh copy of the chunking module with DEFAULT_CHUNKING_STRATEGY set
+ */
+const loadChunking = (defaultStrategy) => {
+  const previous = process.env.DEFAULT_CHUNKING_STRATEGY;
+  process.env.DEFAULT_CHUNKING_STRATEGY = defaultStrategy;
+  try {
+    let chunking;
+    jest.isolateModules(() => {
+      chunking = require('../src/utils/chunking');
+    });
+    return chunking;
+  } finally {
+    if (previous === undefined) {
+      delete process.env.DEFAULT_CHUNKING_STRATEGY;
+    } else {
+      process.env.DEFAULT_CHUNKING_STRATEGY = previous;
+    }
+  }
+};
+
+describe('DEFAULT_CHUNKING_STRATEGY', () => {
+  test('rejects an unknown strategy when the module loads', () => {
+    expect(() => loadChunking('sentance')).toThrow('Unknown DEFAULT_CHUNKING_STRATEGY "sentance"');
+  });
+
+  test('accepts a known strategy regardless of case and uses its defaults', () => {
+    const { DEFAULT_CHUNKING_STRATEGY, resolveChunkingOptions } = loadChunking(' Token ');
+
+    expect(DEFAULT_CHUNKING_STRATEGY).toBe('token');
+    expect(resolveChunkingOptions()).toEqual({ strategy: 'token', chunkSize: 250, chunkOverlap: 50 });
+  });
+});
@@ -0,0 +1,102 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { chunkText, validateChunkingOptions, resolveChunkingOptions } = require('../src/utils/chunking');
+
+/**
+ * Chunks text and returns each chunk's text (checked against its offsets) and metadata
+ */
+const chunk = (text, chunking) => chunkText(text, chunking).map(({ start, end, metadata }) => ({
+  text: text.slice(start, end),
+  metadata
+}));
+
+describe('chunkText', () => {
+  const paragraphs = 'First paragraph is here.\n\nSecond paragraph follows it.\n\nThird paragraph ends it.';
+  const sentences = 'One short sentence. Two is here! Three asks why? Four ends.';
+
+  it('returns no chunks for blank text', () => {
+    expect(chunkText('  \n\n ')).toEqual([]);
+  });
+
+  it('recursive: packs whole paragraphs into chunks no larger than chunkSize', () => {
+    expect(chunk(paragraphs, { strategy: 'recursive', chunkSize: 60, chunkOverlap: 0 }).map(c => c.text)).toEqual([
+      'First paragraph is here.\n\nSecond paragraph follows it.',
+      'Third paragraph ends it.'
+    ]);
+  });
+
+  it('recursive: repeats trailing pieces of the previous chunk as overlap', () => {
+    expect(chunk(paragraphs, { strategy: 'recursive', chunkSize: 60, chunkOverlap: 30 }).map(c => c.text)).toEqual([
+      'First paragraph is here.\n\nSecond paragraph follows it.',
+      'Second paragraph follows it.\n\nThird paragraph ends it.'
+    ]);
+  });
+
+  it('recursive: cuts text without separators at chunkSize', () => {
+    expect(chunk('x'.repeat(25), { strategy: 'recursive', chunkSize: 10, chunkOverlap: 0 }).map(c => c.text))
+      .toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+  });
+
+  it('sentence: keeps sentences whole', () => {
+    expect(chunk(sentences, { strategy: 'sentence', chunkSize: 35, chunkOverlap: 0 }).map(c => c.text)).toEqual([
+      'One short sentence. Two is here!',
+      'Three asks why? Four ends.'
+    ]);
+    expect(chunk(sentences, { strategy: 'sentence', chunkSize: 35, chunkOverlap: 20 }).map(c => c.text)).toEqual([
+      'One short sentence. Two is here!',
+      'Two is here! Three asks why?',
+      'Three asks why? Four ends.'
+    ]);
+  });
+
+  it('token: sizes chunks in estimated tokens and keeps words whole', () => {
+    const chunks = chunk('alpha beta gamma delta epsilon zeta eta theta', { strategy: 'token', chunkSize: 4, chunkOverlap: 0 });
+
+    expect(chunks.map(c => c.text)).toEqual(['alpha beta gamma', 'delta epsilon', 'zeta eta theta']);
+    expect(chunks.every(c => c.text.length <= 4 * 4)).toBe(true);
+  });
+
+  it('markdown: splits at headings and records the section path', () => {
+    const markdown = 'Intro text.\n\n# Setup\nInstall it.\n\n## Linux\nUse apt.\n\n```\n# not a heading\n```\n\n# Usage\nRun it.';
+
+    expect(chunk(markdown, { strategy: 'markdown', chunkSize: 200, chunkOverlap: 0 })).toEqual([
+      { text: 'Intro text.', metadata: {} },
+      { text: '# Setup\nInstall it.', metadata: { section_path: 'Setup' } },
+      { text: '## Linux\nUse apt.\n\n```\n# not a heading\n```', metadata: { section_path: 'Setup > Linux' } },
+      { text: '# Usage\nRun it.', metadata: { section_path: 'Usage' } }
+    ]);
+  });
+});
+
+describe('validateChunkingOptions', () => {
+  it('accepts missing and valid options', () => {
+    expect(validateChunkingOptions(undefined)).toBeNull();
+    expect(validateChunkingOptions({ strategy: 'markdown', chunkSize: 500, chunkOverlap: 50 })).toBeNull();
+  });
+
+  it.each([
+    [[], 'chunking must be an object'],
+    [{ strategy: 'paragraph' }, 'Invalid chunking strategy "paragraph"'],
+    [{ chunkSize: 0 }, 'chunkSize must be an integer'],
+    [{ chunkOverlap: -1 }, 'chunkOverlap must be a non-negative integer'],
+    [{ chunkSize: 100, chunkOverlap: 100 }, 'chunkOverlap must be smaller than chunkSize']
+  ])('rejects %j', (chunking, message) => {
+    expect(validateChunkingOptions(chunking)).toContain(message);
+  });
+});
+
+describe('resolveChunkingOptions', () => {
+  it('lets later layers override earlier ones', () => {
+    expect(resolveChunkingOptions({ strategy: 'sentence', chunkSize: 800 }, { chunkOverlap: 100 }))
+      .toEqual({ strategy: 'sentence', chunkSize: 800, chunkOverlap: 100 });
+  });
+
+  it('drops earlier sizes when a later layer switches strategy', () => {
+    expect(resolveChunkingOptions({ strategy: 'sentence', chunkSize: 800 }, { strategy: 'token' }))
+      .toEqual({ strategy: 'token', chunkSize: 250, chunkOverlap: 50 });
+  });
+
+  it('keeps the default overlap below a small chunk size', () => {
+    expect(resolveChunkingOptions({ chunkSize: 100 })).toEqual({ strategy: 'recursive', chunkSize: 100, chunkOverlap: 99 });
+  });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The cache shares its directory with other state, as when EMBEDDING_CACHE_DIR points at DATA_DIR
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-embedding-cache-'));
+process.env.DATA_DIR = dataDir;
+process.env.EMBEDDING_CACHE_DIR = dataDir;
+process.env.EMBEDDING_PROVIDER = 'hashing';
+process.env.EMBEDDING_CACHE_ENABLED = 'true';
+process.env.EMBEDDING_CACHE_DISK_MAX_ENTRIES = '10';
+process.env.LOG_LEVEL = 'silent';
+
+const sharedFile = path.join(dataDir, 'documents.json');
+const sharedDir = path.join(dataDir, 'vector_store');
+const staleDir = path.join(dataDir, '0123456789abcdef');
+const unmarkedDir = path.join(dataDir, 'fedcba9876543210');
+
+fs.writeFileSync(sharedFile, '{}');
+fs.mkdirSync(sharedDir);
+fs.writeFileSync(path.join(sharedDir, 'docs.json'), '{}');
+fs.mkdirSync(staleDir);
+fs.writeFileSync(path.join(staleDir, 'embedder.json'), '{"embedder":"openai:old:1536"}');
+fs.mkdirSync(unmarkedDir);
+
+const embeddingCache = require('../src/utils/embeddingCache');
+
+const vector = (seed) => Array.from({ length: 256 }, (_, index) => (index === seed % 256 ? 1 : 0));
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('embeddingCache', () => {
+  it('only removes directories it created for other embedders', () => {
+    expect(embeddingCache.get('hello')).toBeNull();
+    expect(fs.existsSync(staleDir)).toBe(false);
+    expect(fs.existsSync(unmarkedDir)).toBe(true);
+    expect(fs.existsSync(sharedFile)).toBe(true);
+    expect(fs.existsSync(path.join(sharedDir, 'docs.json'))).toBe(true);
+  });
+
+  it('serves entries from memory and, after they are evicted, from disk', async () => {
+    await embeddingCache.set('hello   world', vector(1));
+    expect(embeddingCache.get('hello world')).toEqual(vector(1));
+
+    embeddingCache.entries.clear();
+    expect(embeddingCache.get('hello world')).toEqual(vector(1));
+    expect(embeddingCache.getStats()).toMatchObject({ memoryHits: 1, diskHits: 1 });
+  });
+
+  it('prunes disk entries beyond the limit', async () => {
+    for (let i = 0; i < 15; i++) {
+      await embeddingCache.set(`text ${i}`, vector(i));
+    }
+    const stats = embeddingCache.getStats();
+    expect(stats.maxDiskEntries).toBe(10);
+    expect(stats.diskEntries).toBeLessThanOrEqual(10);
+    expect(embeddingCache._entryFiles().length).toBe(stats.diskEntries);
+  });
+
+  it('clears its own entries without touching other files in the directory', async () => {
+    await embeddingCache.clear();
+    expect(embeddingCache._cacheDirs()).toEqual([]);
+    expect(embeddingCache.get('hello world')).toBeNull();
+    expect(fs.existsSync(sharedFile)).toBe(true);
+    expect(fs.existsSync(path.join(sharedDir, 'docs.json'))).toBe(true);
+    expect(fs.existsSync(unmarkedDir)).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-job-queue-'));
+process.env.DATA_DIR = dataDir;
+process.env.VECTOR_STORE_PROVIDER = 'local';
+process.env.EMBEDDING_PROVIDER = 'hashing';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'silent';
+
+const ragService = require('../src/services/ragService');
+const jobService = require('../src/services/jobService');
+const jobQueue = require('../src/utils/jobQueue');
+const { JOB_STATUS } = jobQueue;
+const { removeOrphanedUploads } = require('../src/middlewares/uploadMiddleware');
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Writes an upload the way multer leaves it on disk
+ */
+const upload = (content) => {
+  const filePath = path.join(dataDir, `document-${Date.now()}-${Math.random().toString(16).slice(2)}.txt`);
+  fs.writeFileSync(filePath, content);
+  return { path: filePath, originalname: 'notes.txt' };
+};
+
+describe('cancelling a queued indexing job', () => {
+  test('deletes its upload', async () => {
+    // Occupy the only slot so the indexing job stays queued
+    let release;
+    const blocker = jobQueue.enqueue({ type: 'test' }, () => new Promise(resolve => { release = resolve; }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    const file = upload('Meeting notes from Monday.');
+    const enqueued = await ragService.enqueueIndexDocument(file);
+    expect(enqueued.success).toBe(true);
+
+    const cancelled = await jobService.cancelJob(enqueued.jobId);
+    expect(cancelled.job.status).toBe(JOB_STATUS.CANCELLED);
+
+    // The upload is deleted in the background
+    for (let attempt = 0; attempt < 50 && fs.existsSync(file.path); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(fs.existsSync(file.path)).toBe(false);
+
+    release({ success: true });
+    await jobQueue.waitFor(blocker.jobId);
+  });
+
+  test('leaves the upload to the task once the job has started', async () => {
+    const file = upload('Meeting notes from Tuesday.');
+    const cleanup = jest.fn();
+
+    const job = jobQueue.enqueue({ type: 'test' }, async () => ({ success: true, exists: fs.existsSync(file.path) }), { cleanup });
+    const finished = await jobQueue.waitFor(job.jobId);
+
+    expect(finished.result.exists).toBe(true);
+    expect(cleanup).not.toHaveBeenCalled();
+  });
+});
+
+describe('removeOrphanedUploads', () => {
+  test('deletes files left by a previous run and keeps directories', () => {
+    const uploadsDir = fs.mkdtempSync(path.join(dataDir, 'uploads-'));
+    fs.writeFileSync(path.join(uploadsDir, 'document-1.pdf'), 'left over');
+    fs.writeFileSync(path.join(uploadsDir, 'text-2.txt'), 'left over');
+    fs.mkdirSync(path.join(uploadsDir, 'nested'));
+
+    expect(removeOrphanedUploads(uploadsDir)).toBe(2);
+    expect(fs.readdirSync(uploadsDir)).toEqual(['nested']);
+    expect(removeOrphanedUploads(path.join(dataDir, 'missing'))).toBe(0);
+  });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-lexical-'));
+process.env.LOG_LEVEL = 'silent';
+
+const lexicalIndex = require('../src/utils/lexicalIndex');
+const { tokenize } = lexicalIndex;
+
+const chunks = [
+  { id: 'a', content: 'The connection pool is configured in the constructor of the Database class.', metadata: { document_id: 'doc1', file_type: 'text' } },
+  { id: 'b', content: 'Error ERR_CONN-42 means the pool ran out of connections.', metadata: { document_id: 'doc1', file_type: 'text' } },
+  { id: 'c', content: 'Vacation policy: employees get 25 days of paid leave.', metadata: { document_id: 'doc2', file_type: 'markdown' } }
+];
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('tokenize', () => {
+  it('lowercases, drops stop words and keeps compound identifiers whole and split', () => {
+    expect(tokenize('The ERR_CONN-42 error')).toEqual(['err_conn-42', 'err', 'conn', '42', 'error']);
+  });
+});
+
+describe('lexicalIndex', () => {
+  beforeEach(async () => {
+    await lexicalIndex.rebuild('docs', chunks);
+  });
+
+  it('ranks chunks containing the query terms by BM25', () => {
+    const results = lexicalIndex.search('docs', 'pool connections', 5);
+    expect(results.map(result => result.id)).toEqual(['b', 'a']);
+    expect(results.every(result => Number.isFinite(result.score) && result.score > 0)).toBe(true);
+  });
+
+  it('finds exact identifiers', () => {
+    const [top] = lexicalIndex.search('docs', 'ERR_CONN-42', 5);
+    expect(top.id).toBe('b');
+  });
+
+  it('scores tokens named like Object.prototype members', () => {
+    const results = lexicalIndex.search('docs', 'constructor pool', 5);
+    expect(results.map(result => result.id)).toEqual(['a', 'b']);
+    expect(results.every(result => Number.isFinite(result.score))).toBe(true);
+    expect(lexicalIndex.search('docs', 'valueOf hasOwnProperty', 5)).toEqual([]);
+  });
+
+  it('keeps prototype-named tokens working after reloading from disk', () => {
+    lexicalIndex.collections.delete('docs');
+    const results = lexicalIndex.search('docs', 'constructor', 5);
+    expect(results.map(result => result.id)).toEqual(['a']);
+    expect(Number.isFinite(results[0].score)).toBe(true);
+  });
+
+  it('applies metadata conditions', () => {
+    const results = lexicalIndex.search('docs', 'pool leave', 5, [{ key: 'document_id', anyOf: ['doc2'] }]);
+    expect(results.map(result => result.id)).toEqual(['c']);
+  });
+
+  it('removes deleted documents from the index', async () => {
+    expect(await lexicalIndex.deleteDocuments('docs', { document_id: 'doc1' })).toBe(2);
+    expect(lexicalIndex.search('docs', 'pool', 5)).toEqual([]);
+  });
+});
@@ -0,0 +1,77 @@
+const { PassThrough } = require('stream');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.MOCK_STREAM_DELAY_MS = '0';
+
+const MockLlmProvider = require('../src/utils/llmProviders/mockLlmProvider');
+const OpenAILlmProvider = require('../src/utils/llmProviders/openaiLlmProvider');
+
+const task = {
+  type: 'answer',
+  query: 'How long do refunds take?',
+  contexts: [{ content: 'Refunds are issued within 14 days.' }]
+};
+
+describe('MockLlmProvider', () => {
+  test('reports its own model even when another one is requested', async () => {
+    const provider = new MockLlmProvider();
+
+    const completion = await provider.complete({ model: 'gpt-4o', task });
+
+    expect(completion.model).toBe('mock');
+    expect(completion.text).toMatch(/Refunds are issued within 14 days \[1\]/);
+  });
+
+  test('streams the completion and reports its model', async () => {
+    const provider = new MockLlmProvider();
+    const deltas = [];
+
+    const result = await provider.stream({ model: 'gpt-4o', task }, delta => deltas.push(delta));
+
+    expect(result).toEqual({ model: 'mock' });
+    expect(deltas.join('')).toBe((await provider.complete({ task })).text);
+  });
+});
+
+describe('OpenAILlmProvider', () => {
+  const createProvider = (createChatCompletion) => {
+    const provider = new OpenAILlmProvider({ apiKey: 'test', model: 'gpt-3.5-turbo' });
+    provider.client = { createChatCompletion: jest.fn(createChatCompletion) };
+    return provider;
+  };
+
+  test('reports the model named in the response rather than the requested one', async () => {
+    const provider = createProvider(async () => ({
+      data: { model: 'gpt-4o-2024-08-06', choices: [{ message: { content: ' Within 14 days. ' } }] }
+    }));
+
+    const completion = await provider.complete({ messages: [], model: 'gpt-4o' });
+
+    expect(completion).toEqual({ text: 'Within 14 days.', model: 'gpt-4o-2024-08-06' });
+  });
+
+  test('falls back to the requested model when the response names none', async () => {
+    const provider = createProvider(async () => ({
+      data: { choices: [{ message: { content: 'Within 14 days.' } }] }
+    }));
+
+    await expect(provider.complete({ messages: [] })).resolves.toEqual({ text: 'Within 14 days.', model: 'gpt-3.5-turbo' });
+  });
+
+  test('reports the model named in streamed chunks', async () => {
+    const body = new PassThrough();
+    const provider = createProvider(async () => ({ data: body }));
+    const deltas = [];
+
+    const streaming = provider.stream({ messages: [], model: 'llama3' }, delta => deltas.push(delta));
+    body.end([
+      'data: {"model":"llama3:8b","choices":[{"delta":{"content":"Within "}}]}',
+      'data: {"model":"llama3:8b","choices":[{"delta":{"content":"14 days."}}]}',
+      'data: [DONE]',
+      ''
+    ].join('\n'));
+
+    await expect(streaming).resolves.toEqual({ model: 'llama3:8b' });
+    expect(deltas.join('')).toBe('Within 14 days.');
+  });
+});
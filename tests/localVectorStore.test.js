@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-local-store-'));
+process.env.EMBEDDING_PROVIDER = 'hashing';
+process.env.LOG_LEVEL = 'silent';
+
+const LocalVectorStore = require('../src/utils/vectorStores/localVectorStore');
+const { buildFilterConditions } = require('../src/utils/searchFilters');
+
+// Unit vectors along one axis, so similarities are easy to predict
+const axis = (index, size = 4) => Array.from({ length: size }, (_, i) => (i === index ? 1 : 0));
+
+const documents = [
+  { id: 'chunk-a', content: 'Refunds are issued within 14 days.', embedding: [1, 0, 0, 0], metadata: { document_id: 'doc1', file_type: 'text', created_at: '2024-01-10T00:00:00.000Z', user_metadata: { team: 'support' } } },
+  { id: 'chunk-b', content: 'Refunds need a receipt.', embedding: [0.8, 0.6, 0, 0], metadata: { document_id: 'doc1', file_type: 'text', created_at: '2024-01-10T00:00:00.000Z', user_metadata: { team: 'support' } } },
+  { id: 'chunk-c', content: 'Employees get 25 days of paid leave.', embedding: [0, 0, 1, 0], metadata: { document_id: 'doc2', file_type: 'pdf', created_at: '2024-06-01T00:00:00.000Z', user_metadata: { team: ['hr', 'legal'] } } }
+];
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('LocalVectorStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new LocalVectorStore();
+    await store.deleteCollection('docs');
+    const result = await store.addDocuments('docs', documents);
+    expect(result).toMatchObject({ success: true, documentsAdded: 3, collectionWasCreated: true });
+  });
+
+  it('returns the most similar documents above the minimum score, best first', async () => {
+    const results = await store.search('docs', axis(0), 5, 0.5);
+
+    expect(results.map(result => result.id)).toEqual(['chunk-a', 'chunk-b']);
+    expect(results[0].score).toBeCloseTo(1);
+    expect(results[1].score).toBeCloseTo(0.8);
+    expect(results[0].metadata).toMatchObject({ document_id: 'doc1', file_type: 'text' });
+  });
+
+  it('limits the number of results', async () => {
+    const results = await store.search('docs', [1, 1, 1, 0], 1, 0);
+    expect(results).toHaveLength(1);
+  });
+
+  it('rejects embeddings of the wrong size', async () => {
+    const result = await store.addDocuments('docs', [{ id: 'chunk-d', content: 'Too short', embedding: [1, 0], metadata: {} }]);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/dimension mismatch/);
+  });
+
+  it('applies filter conditions', async () => {
+    const query = [1, 1, 1, 0];
+
+    const byFileType = await store.search('docs', query, 5, 0, buildFilterConditions({ fileTypes: ['pdf'] }));
+    expect(byFileType.map(result => result.id)).toEqual(['chunk-c']);
+
+    const byArrayMetadata = await store.search('docs', query, 5, 0, buildFilterConditions({ metadata: { team: 'legal' } }));
+    expect(byArrayMetadata.map(result => result.id)).toEqual(['chunk-c']);
+
+    const byDate = await store.search('docs', query, 5, 0, buildFilterConditions({ createdBefore: '2024-02-01' }));
+    expect(byDate.map(result => result.id).sort()).toEqual(['chunk-a', 'chunk-b']);
+  });
+
+  it('gets and deletes points by payload fields', async () => {
+    expect((await store.getPoints('docs', { document_id: 'doc1' })).map(point => point.id).sort()).toEqual(['chunk-a', 'chunk-b']);
+
+    await expect(store.deletePoints('docs', { document_id: 'doc1' })).resolves.toEqual({ success: true, deleted: 2 });
+    expect((await store.search('docs', [1, 1, 1, 0], 5, 0)).map(result => result.id)).toEqual(['chunk-c']);
+  });
+
+  it('reports nothing deleted for a missing collection and refuses to delete without a filter', async () => {
+    await expect(store.deletePoints('missing', { document_id: 'doc1' })).resolves.toEqual({ success: true, deleted: 0 });
+    expect((await store.deletePoints('docs', {})).success).toBe(false);
+  });
+
+  it('reloads persisted collections', async () => {
+    const reloaded = new LocalVectorStore();
+
+    expect(await reloaded.listCollections()).toContain('docs');
+    expect((await reloaded.search('docs', axis(2), 5, 0.5)).map(result => result.id)).toEqual(['chunk-c']);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Loads a fresh logger module with the given environment
+ */
+const loadLogger = (env) => {
+  const previous = { LOG_LEVEL: process.env.LOG_LEVEL, LOG_LEVELS: process.env.LOG_LEVELS };
+  Object.assign(process.env, env);
+  let logger;
+  jest.isolateModules(() => {
+    logger = require('../src/utils/logger');
+  });
+  for (const [key, value] of Object.entries(previous)) {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  }
+  return logger;
+};
+
+describe('log levels', () => {
+  test('uses LOG_LEVEL and per-module LOG_LEVELS', () => {
+    const { createLogger } = loadLogger({ LOG_LEVEL: 'WARN', LOG_LEVELS: 'job_queue=debug' });
+
+    expect(createLogger('rag_service').level).toBe('warn');
+    expect(createLogger('job_queue').level).toBe('debug');
+  });
+
+  test('ignores names inherited from Object.prototype', () => {
+    const { createLogger } = loadLogger({ LOG_LEVEL: 'constructor', LOG_LEVELS: 'job_queue=toString,vector_store=error' });
+
+    expect(createLogger('rag_service').level).toBe('info');
+    expect(createLogger('job_queue').level).toBe('info');
+    expect(createLogger('vector_store').level).toBe('error');
+  });
+});
@@ -0,0 +1,66 @@
+process.env.LOG_LEVEL = 'silent';
+
+// The real client contacts the server as soon as it is constructed
+jest.mock('@qdrant/js-client-rest', () => ({ QdrantClient: jest.fn() }));
+
+const QdrantVectorStore = require('../src/utils/vectorStores/qdrantVectorStore');
+
+/**
+ * Creates a store whose Qdrant client is a stub holding the given collections
+ */
+const createStore = (collectionNames) => {
+  jest.spyOn(QdrantVectorStore.prototype, 'initialize').mockResolvedValue();
+  const store = new QdrantVectorStore();
+  store.client = {
+    getCollections: jest.fn().mockResolvedValue({ collections: collectionNames.map(name => ({ name })) }),
+    count: jest.fn().mockResolvedValue({ count: 3 }),
+    delete: jest.fn().mockResolvedValue({})
+  };
+  return store;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('QdrantVectorStore.deletePoints', () => {
+  test('reports nothing deleted for a collection that does not exist', async () => {
+    const store = createStore(['other']);
+
+    await expect(store.deletePoints('missing', { document_id: 'doc-1' })).resolves.toEqual({ success: true, deleted: 0 });
+    expect(store.client.count).not.toHaveBeenCalled();
+    expect(store.client.delete).not.toHaveBeenCalled();
+  });
+
+  test('counts and deletes matching points in an existing collection', async () => {
+    const store = createStore(['documents']);
+
+    await expect(store.deletePoints('documents', { document_id: 'doc-1' })).resolves.toEqual({ success: true, deleted: 3 });
+    expect(store.client.delete).toHaveBeenCalledWith('documents', {
+      wait: true,
+      filter: { must: [{ key: 'document_id', match: { value: 'doc-1' } }] }
+    });
+  });
+
+  test('refuses to delete without a filter', async () => {
+    const store = createStore(['documents']);
+
+    const result = await store.deletePoints('documents', {});
+
+    expect(result.success).toBe(false);
+    expect(store.client.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe('QdrantVectorStore._buildSearchFilter', () => {
+  // Datetime ranges like these are only understood by Qdrant 1.8 or later (see README prerequisites)
+  test('sends date filters as ISO 8601 datetime ranges', () => {
+    const store = createStore(['documents']);
+
+    expect(store._buildSearchFilter([
+      { key: 'created_at', range: { gte: '2024-01-01T00:00:00.000Z', lte: '2024-06-30T00:00:00.000Z' } }
+    ])).toEqual({
+      must: [{ key: 'created_at', range: { gte: '2024-01-01T00:00:00.000Z', lte: '2024-06-30T00:00:00.000Z' } }]
+    });
+  });
+});
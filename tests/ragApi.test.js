@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-api-'));
+process.env.DATA_DIR = dataDir;
+process.env.VECTOR_STORE_PROVIDER = 'local';
+process.env.EMBEDDING_PROVIDER = 'hashing';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'silent';
+process.env.MOCK_STREAM_DELAY_MS = '0';
+
+const app = require('../src/server');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const postJson = (route, body) => fetch(`${baseUrl}${route}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+/**
+ * Parses a Server-Sent Events body into { event, data } pairs
+ */
+const parseEvents = (body) => body.split('\n\n').filter(Boolean).map(frame => {
+  const [, event] = frame.match(/^event: (.+)$/m);
+  const [, data] = frame.match(/^data: (.+)$/m);
+  return { event, data: JSON.parse(data) };
+});
+
+describe('index, chat and stream round trip', () => {
+  let documentId;
+
+  beforeAll(async () => {
+    const form = new FormData();
+    form.append('document', new Blob(['Refunds are issued within 14 days of purchase. Items must be returned unused.']), 'refunds.txt');
+    const response = await fetch(`${baseUrl}/api/rag/index?wait=true`, { method: 'POST', body: form });
+    const result = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(result).toMatchObject({ success: true, action: 'created', chunksIndexed: 1 });
+    documentId = result.documentId;
+  });
+
+  it('answers from the indexed document', async () => {
+    const response = await postJson('/api/rag/chat', { query: 'How long do refunds take?', searchMode: 'hybrid' });
+    const result = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(result.contexts[0]).toMatchObject({ marker: 1, source: 'refunds.txt' });
+    expect(result.response).toMatch(/^Based on the information I have, .*Refunds are issued within 14 days of purchase.* \[1\]\./);
+    expect(result.citations).toEqual([expect.objectContaining({ marker: 1, documentId, filename: 'refunds.txt' })]);
+    expect(result.llm).toEqual({ provider: 'mock', model: 'mock' });
+    expect(result.degradedReasons).toEqual(['mock_llm']);
+  });
+
+  it('streams contexts, deltas and a final event within a conversation', async () => {
+    const conversation = await (await postJson('/api/rag/conversations', {})).json();
+    const { conversationId } = conversation.conversation;
+
+    const response = await postJson('/api/rag/chat/stream', { query: 'How long do refunds take?', conversationId });
+    const events = parseEvents(await response.text());
+
+    expect(events[0].event).toBe('contexts');
+    expect(events[0].data.contexts[0].source).toBe('refunds.txt');
+
+    const deltas = events.filter(({ event }) => event === 'delta').map(({ data }) => data.content);
+    const done = events[events.length - 1];
+    expect(done.event).toBe('done');
+    expect(deltas.join('')).toBe(done.data.response);
+    expect(done.data).toMatchObject({ conversationId, citations: [expect.objectContaining({ documentId })] });
+    expect(done.data.usage.totalTokens).toBeGreaterThan(0);
+
+    const history = await (await fetch(`${baseUrl}/api/rag/conversations/${conversationId}`)).json();
+    expect(history.conversation.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+  });
+});
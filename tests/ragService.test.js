@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-service-'));
+process.env.DATA_DIR = dataDir;
+process.env.VECTOR_STORE_PROVIDER = 'local';
+process.env.EMBEDDING_PROVIDER = 'hashing';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'silent';
+
+const ragService = require('../src/services/ragService');
+const jobService = require('../src/services/jobService');
+const retrievalService = require('../src/services/retrievalService');
+const documentProcessor = require('../src/utils/documentProcessor');
+const vectorStore = require('../src/utils/vectorStore');
+const documentRegistry = require('../src/utils/documentRegistry');
+const contentGenerator = require('../src/utils/contentGenerator');
+const answerCache = require('../src/utils/answerCache');
+const conversationStore = require('../src/utils/conversationStore');
+const { DOCUMENT_STATUS } = require('../src/utils/documentRegistry');
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Writes an upload the way multer leaves it on disk
+ */
+const upload = (content) => {
+  const filePath = path.join(dataDir, `upload-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+  fs.writeFileSync(filePath, content);
+  return { path: filePath, originalname: 'policy.txt' };
+};
+
+describe('indexDocument versioning', () => {
+  test('keeps a new version indexed when the previous one cannot be superseded, and retries later', async () => {
+    const first = await ragService.indexDocument(upload('Refunds are issued within 14 days.'));
+    expect(first.action).toBe('created');
+
+    const deleteSpy = jest.spyOn(vectorStore, 'deletePoints')
+      .mockResolvedValueOnce({ success: false, error: 'store unavailable' });
+    const second = await ragService.indexDocument(upload('Refunds are issued within 30 days.'));
+    deleteSpy.mockRestore();
+
+    expect(second.success).toBe(true);
+    expect(second.action).toBe('replaced');
+    expect(second.supersedeWarning).toMatch(first.documentId);
+    expect(documentRegistry.get(second.documentId).status).toBe(DOCUMENT_STATUS.INDEXED);
+    expect(documentRegistry.get(first.documentId).status).toBe(DOCUMENT_STATUS.INDEXED);
+
+    const third = await ragService.indexDocument(upload('Refunds are issued within 60 days.'));
+
+    expect(third.success).toBe(true);
+    expect(third.supersedeWarning).toBeUndefined();
+    expect(documentRegistry.get(first.documentId).status).toBe(DOCUMENT_STATUS.SUPERSEDED);
+    expect(documentRegistry.get(second.documentId).status).toBe(DOCUMENT_STATUS.SUPERSEDED);
+    expect(documentRegistry.get(third.documentId).status).toBe(DOCUMENT_STATUS.INDEXED);
+  });
+});
+
+describe('indexDocument version numbers', () => {
+  test('numbers a retry after a failed attempt past the failed version', async () => {
+    const upload = (content) => {
+      const filePath = path.join(dataDir, `retry-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+      fs.writeFileSync(filePath, content);
+      return { path: filePath, originalname: 'handbook.txt' };
+    };
+
+    const first = await ragService.indexDocument(upload('Office hours are 9 to 5.'));
+    const processSpy = jest.spyOn(documentProcessor, 'processFile').mockRejectedValueOnce(new Error('extraction failed'));
+    const failed = await ragService.indexDocument(upload('Office hours are 8 to 4.'));
+    processSpy.mockRestore();
+    const retried = await ragService.indexDocument(upload('Office hours are 8 to 4.'));
+
+    expect(failed.success).toBe(false);
+    expect(first.version).toBe(1);
+    expect(retried.version).toBe(3);
+    expect(documentRegistry.listVersions(first.collectionName, 'handbook.txt').map(doc => [doc.version, doc.status])).toEqual([
+      [3, DOCUMENT_STATUS.INDEXED],
+      [2, DOCUMENT_STATUS.FAILED],
+      [1, DOCUMENT_STATUS.SUPERSEDED]
+    ]);
+  });
+});
+
+describe('enqueueIndexText', () => {
+  test('indexes untitled texts as separate documents that stay searchable', async () => {
+    const indexText = async (text) => {
+      const enqueued = await ragService.enqueueIndexText({ text });
+      const { success, job } = await jobService.waitForJob(enqueued.jobId);
+      expect(success).toBe(true);
+      return job.result;
+    };
+
+    const first = await indexText('The cafeteria opens at 8 in the morning.');
+    const second = await indexText('Parking permits are renewed every January.');
+
+    expect(first.action).toBe('created');
+    expect(second.action).toBe('created');
+    expect(documentRegistry.get(first.documentId).status).toBe(DOCUMENT_STATUS.INDEXED);
+    expect(documentRegistry.get(second.documentId).status).toBe(DOCUMENT_STATUS.INDEXED);
+
+    const { results } = await retrievalService.retrieveContexts('cafeteria parking', first.collectionName, { searchMode: 'keyword', stages: [] });
+    expect(results.map(result => result.metadata.document_id).sort()).toEqual([first.documentId, second.documentId].sort());
+  });
+});
+
+describe('generateChatResponse', () => {
+  test('reports the model the provider used rather than the requested one', async () => {
+    const result = await ragService.generateChatResponse('How long do refunds take?', { model: 'gpt-4o' });
+
+    expect(result.success).toBe(true);
+    expect(result.llm).toEqual({ provider: 'mock', model: 'mock' });
+  });
+
+  /**
+   * Makes the LLM fail the given kind of task while answering the others
+   */
+  const failLlmTask = (type) => {
+    const callLlm = contentGenerator._callLlm.bind(contentGenerator);
+    return jest.spyOn(contentGenerator, '_callLlm').mockImplementation((method, request) => (
+      request.task && request.task.type === type
+        ? Promise.reject(new Error(`${type} provider unavailable`))
+        : callLlm(method, request)
+    ));
+  };
+
+  test('reports a failed re-rank and does not cache the answer', async () => {
+    const storeSpy = jest.spyOn(answerCache, 'store');
+    const llmSpy = failLlmTask('rerank');
+    const cacheEnabled = answerCache.enabled;
+    answerCache.enabled = true;
+    try {
+      const result = await ragService.generateChatResponse('How long do refunds take?', { stages: ['rerank'] });
+
+      expect(result.success).toBe(true);
+      expect(result.degradedReasons).toContain('rerank_failed');
+      expect(storeSpy).not.toHaveBeenCalled();
+    } finally {
+      answerCache.enabled = cacheEnabled;
+      llmSpy.mockRestore();
+      storeSpy.mockRestore();
+    }
+  });
+
+  test('reports a follow-up question that could not be condensed', async () => {
+    const conversation = await conversationStore.create();
+    await ragService.generateChatResponse('How long do refunds take?', { conversationId: conversation.conversationId });
+
+    const llmSpy = failLlmTask('condense');
+    const result = await ragService.generateChatResponse('And for exchanges?', { conversationId: conversation.conversationId });
+    llmSpy.mockRestore();
+
+    expect(result.success).toBe(true);
+    expect(result.standaloneQuery).toBe('And for exchanges?');
+    expect(result.degradedReasons).toContain('condense_failed');
+  });
+});
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-retrieval-'));
+process.env.DATA_DIR = dataDir;
+process.env.VECTOR_STORE_PROVIDER = 'local';
+process.env.EMBEDDING_PROVIDER = 'hashing';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'silent';
+
+const ragService = require('../src/services/ragService');
+const retrievalService = require('../src/services/retrievalService');
+
+const files = {
+  'database.txt': 'The connection pool is configured in the constructor of the Database class.',
+  'errors.txt': 'Error ERR_CONN-42 means the pool ran out of connections.',
+  'leave.txt': 'Vacation policy: employees get 25 days of paid leave.'
+};
+
+let collectionName;
+const documentIds = {};
+
+beforeAll(async () => {
+  for (const [filename, content] of Object.entries(files)) {
+    const filePath = path.join(dataDir, `upload-${filename}`);
+    fs.writeFileSync(filePath, content);
+    const result = await ragService.indexDocument({ path: filePath, originalname: filename });
+    expect(result.success).toBe(true);
+    collectionName = result.collectionName;
+    documentIds[filename] = result.documentId;
+  }
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const retrieve = (query, options) => retrievalService.retrieveContexts(query, collectionName, { stages: [], ...options });
+
+describe('retrieveContexts', () => {
+  it('keyword: ranks chunks by BM25', async () => {
+    const { results } = await retrieve('ERR_CONN-42', { searchMode: 'keyword' });
+
+    expect(results[0].metadata.source_file).toBe('errors.txt');
+    expect(results[0].vectorScore).toBeNull();
+    expect(results[0].keywordScore).toBeGreaterThan(0);
+  });
+
+  it('hybrid: fuses the vector and keyword rankings with reciprocal rank fusion', async () => {
+    const { results, degradedReasons } = await retrieve('connection pool constructor', { searchMode: 'hybrid' });
+
+    expect(degradedReasons).toEqual([]);
+    expect(results[0].metadata.source_file).toBe('database.txt');
+    expect(results[0].vectorScore).toBeGreaterThan(0);
+    expect(results[0].keywordScore).toBeGreaterThan(0);
+    // A result ranked first by both components gets 2 / (RRF_K + 1)
+    expect(results[0].score).toBeCloseTo(2 / 61);
+    expect(results.every(result => Number.isFinite(result.score))).toBe(true);
+  });
+
+  it('hybrid: scores query terms named like Object.prototype properties', async () => {
+    const { results } = await retrieve('constructor', { searchMode: 'hybrid' });
+
+    const database = results.find(result => result.metadata.source_file === 'database.txt');
+    expect(database.keywordScore).toBeGreaterThan(0);
+    expect(results.every(result => Number.isFinite(result.score))).toBe(true);
+  });
+
+  it('applies metadata filters to both components', async () => {
+    const { results } = await retrieve('pool', {
+      searchMode: 'hybrid',
+      filters: { documentIds: [documentIds['errors.txt']] }
+    });
+
+    expect(results.map(result => result.metadata.source_file)).toEqual(['errors.txt']);
+  });
+});
+
+describe('validateRetrievalOptions', () => {
+  it('rejects out-of-range options', () => {
+    expect(retrievalService.validateRetrievalOptions({ searchMode: 'semantic' })).toMatch(/searchMode/);
+    expect(retrievalService.validateRetrievalOptions({ topK: -5 })).toMatch(/topK/);
+    expect(retrievalService.validateRetrievalOptions({ stages: ['shuffle'] })).toMatch(/shuffle/);
+    expect(retrievalService.validateRetrievalOptions({ searchMode: 'hybrid', topK: 3 })).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+process.env.LOG_LEVEL = 'silent';
+
+// The real Qdrant client contacts the server as soon as it is constructed
+jest.mock('@qdrant/js-client-rest', () => ({ QdrantClient: jest.fn() }));
+
+const { validateSearchFilters, buildFilterConditions, matchesConditions } = require('../src/utils/searchFilters');
+const QdrantVectorStore = require('../src/utils/vectorStores/qdrantVectorStore');
+
+describe('validateSearchFilters', () => {
+  it('accepts missing and well-formed filters', () => {
+    expect(validateSearchFilters(undefined)).toBeNull();
+    expect(validateSearchFilters({
+      documentIds: ['doc1'],
+      fileTypes: ['pdf', 'text'],
+      createdAfter: '2024-01-01',
+      createdBefore: '2024-12-31T23:59:59Z',
+      metadata: { team: 'support', year: [2023, 2024], published: true }
+    })).toBeNull();
+  });
+
+  it.each([
+    [[], 'filters must be an object'],
+    [{ owner: 'me' }, 'Invalid filter "owner"'],
+    [{ documentIds: [] }, 'filters.documentIds must be an array'],
+    [{ fileTypes: 'pdf' }, 'filters.fileTypes must be an array'],
+    [{ createdAfter: 'yesterday' }, 'filters.createdAfter must be an ISO 8601 date'],
+    [{ createdAfter: '2024-06-01', createdBefore: '2024-01-01' }, 'must not be later than'],
+    [{ metadata: { 'bad key': 'x' } }, 'Invalid metadata filter key "bad key"'],
+    [{ metadata: { team: { nested: true } } }, 'Invalid value for metadata filter "team"']
+  ])('rejects %j', (filters, message) => {
+    expect(validateSearchFilters(filters)).toContain(message);
+  });
+});
+
+describe('buildFilterConditions', () => {
+  it('returns no conditions without filters', () => {
+    expect(buildFilterConditions(undefined)).toEqual([]);
+  });
+
+  it('translates each filter into a condition on the chunk payload', () => {
+    expect(buildFilterConditions({
+      documentIds: ['doc1', 'doc2'],
+      fileTypes: ['pdf'],
+      createdAfter: '2024-01-01',
+      metadata: { team: 'support', year: [2023, 2024] }
+    })).toEqual([
+      { key: 'document_id', anyOf: ['doc1', 'doc2'] },
+      { key: 'file_type', anyOf: ['pdf'] },
+      { key: 'created_at', range: { gte: '2024-01-01T00:00:00.000Z' } },
+      { key: 'user_metadata.team', anyOf: ['support'] },
+      { key: 'user_metadata.year', anyOf: [2023, 2024] }
+    ]);
+  });
+});
+
+describe('matchesConditions', () => {
+  const payload = {
+    document_id: 'doc1',
+    file_type: 'pdf',
+    created_at: '2024-03-15T12:00:00.000Z',
+    user_metadata: { team: ['support', 'billing'], year: 2024 }
+  };
+
+  it('requires every condition to hold', () => {
+    expect(matchesConditions(payload, buildFilterConditions({ documentIds: ['doc1'], fileTypes: ['pdf'] }))).toBe(true);
+    expect(matchesConditions(payload, buildFilterConditions({ documentIds: ['doc1'], fileTypes: ['text'] }))).toBe(false);
+  });
+
+  it('matches array fields when any element matches', () => {
+    expect(matchesConditions(payload, buildFilterConditions({ metadata: { team: 'billing' } }))).toBe(true);
+    expect(matchesConditions(payload, buildFilterConditions({ metadata: { team: 'hr' } }))).toBe(false);
+  });
+
+  it('matches dates within an inclusive range', () => {
+    expect(matchesConditions(payload, buildFilterConditions({ createdAfter: '2024-03-15T12:00:00Z', createdBefore: '2024-04-01' }))).toBe(true);
+    expect(matchesConditions(payload, buildFilterConditions({ createdAfter: '2024-04-01' }))).toBe(false);
+    expect(matchesConditions({}, buildFilterConditions({ createdAfter: '2024-01-01' }))).toBe(false);
+  });
+});
+
+/**
+ * Creates a Qdrant store whose client is a stub holding the given collections
+ */
+const createQdrantStore = (collectionNames) => {
+  jest.spyOn(QdrantVectorStore.prototype, 'initialize').mockResolvedValue();
+  const store = new QdrantVectorStore();
+  store.client = {
+    getCollections: jest.fn().mockResolvedValue({ collections: collectionNames.map(name => ({ name })) })
+  };
+  return store;
+};
+
+describe('QdrantVectorStore filter translation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('translates search conditions into a Qdrant filter', () => {
+    const store = createQdrantStore([]);
+
+    expect(store._buildSearchFilter([])).toBeUndefined();
+    expect(store._buildSearchFilter(buildFilterConditions({
+      fileTypes: ['pdf', 'text'],
+      createdBefore: '2024-06-01',
+      metadata: { year: 2024, rating: 4.5 }
+    }))).toEqual({
+      must: [
+        { should: [{ key: 'file_type', match: { value: 'pdf' } }, { key: 'file_type', match: { value: 'text' } }] },
+        { key: 'created_at', range: { lte: '2024-06-01T00:00:00.000Z' } },
+        { should: [{ key: 'user_metadata.year', match: { value: 2024 } }] },
+        { should: [{ key: 'user_metadata.rating', range: { gte: 4.5, lte: 4.5 } }] }
+      ]
+    });
+  });
+
+  it('passes the translated filter to the search', async () => {
+    const store = createQdrantStore(['documents']);
+    store.client.search = jest.fn().mockResolvedValue([]);
+
+    // A short timeout, so the search's timeout timer does not outlive the test
+    await store.search('documents', [1, 0], 5, 0.5, buildFilterConditions({ documentIds: ['doc1'] }), 50);
+
+    expect(store.client.search).toHaveBeenCalledWith('documents', expect.objectContaining({
+      filter: { must: [{ should: [{ key: 'document_id', match: { value: 'doc1' } }] }] }
+    }));
+  });
+});
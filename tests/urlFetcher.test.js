@@ -0,0 +1,54 @@
+process.env.LOG_LEVEL = 'silent';
+
+const urlFetcher = require('../src/utils/urlFetcher');
+
+describe('isPublicAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254'
+  ])('rejects %s', (address) => {
+    expect(urlFetcher.isPublicAddress(address)).toBe(false);
+  });
+
+  it.each(['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'])('accepts %s', (address) => {
+    expect(urlFetcher.isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe('checkUrlAllowed', () => {
+  it('rejects non-http URLs', async () => {
+    expect(await urlFetcher.checkUrlAllowed('file:///etc/passwd')).toMatch(/http or https/);
+  });
+
+  it('rejects loopback and metadata hosts', async () => {
+    expect(await urlFetcher.checkUrlAllowed('http://169.254.169.254/latest/meta-data/')).toMatch(/public address/);
+    expect(await urlFetcher.checkUrlAllowed('http://[::1]:3000/')).toMatch(/public address/);
+    expect(await urlFetcher.checkUrlAllowed('http://localhost:3000/')).toMatch(/public address/);
+  });
+
+  it('accepts public IP literals', async () => {
+    expect(await urlFetcher.checkUrlAllowed('https://93.184.216.34/page.html')).toBeNull();
+  });
+});
+
+describe('downloadToFile', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('refuses a redirect to a non-public address without requesting it', async () => {
+    global.fetch = jest.fn(async () => new Response(null, {
+      status: 302,
+      headers: { location: 'http://169.254.169.254/latest/meta-data/' }
+    }));
+
+    await expect(urlFetcher.downloadToFile('http://93.184.216.34/start')).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringMatching(/Redirect to http:\/\/169\.254\.169\.254.* refused/)
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][1].redirect).toBe('manual');
+  });
+});